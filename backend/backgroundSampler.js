@@ -0,0 +1,268 @@
+/**
+ * Background Sampler Module
+ * Works out the colours behind a text object from the shapes and images beneath it
+ */
+
+import { compositeColor, parseColor, toHexColor } from './colorUtils.js'
+import { readImageSources } from './imageSources.js'
+import { toCanvasPoint, toLocalPoint } from './geometry.js'
+import { flattenCanvasObjects } from './objectTree.js'
+
+// Images are decoded at this size at most; contrast does not need full resolution
+const MAX_DECODED_SIZE = 256
+
+// Spacing of the sample grid over the text box, and its limits per axis
+const SAMPLE_SPACING = 20
+const SAMPLE_COLUMNS = { min: 3, max: 24 }
+const SAMPLE_ROWS = { min: 2, max: 8 }
+
+/**
+ * Decode the images of a canvas to RGBA pixels
+ * Images that cannot be read or decoded are left out, and the sampler then looks
+ * through them to the layers below.
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @returns {Promise<Map>} Map of object index to { width, height, naturalWidth, naturalHeight, data };
+ *   indices count the children of groups too, in the order of flattenCanvasObjects
+ */
+export async function decodeCanvasImages(canvasData) {
+  const images = new Map()
+  const imageObjects = flattenCanvasObjects(canvasData)
+    .map(({ obj }, index) => ({ obj, index }))
+    .filter(({ obj }) => obj.type === 'image' && obj.src)
+  if (imageObjects.length === 0) return images
+
+  let sharp
+  try {
+    ({ default: sharp } = await import('sharp'))
+  } catch (error) {
+    console.warn('Image decoding unavailable, contrast is checked against shapes only:', error.message)
+    return images
+  }
+
+  const sources = await readImageSources(imageObjects.map(({ obj }) => obj.src))
+  for (const { obj, index } of imageObjects) {
+    try {
+      const source = sources.get(obj.src)
+      if (!source) continue
+
+      const image = sharp(source)
+      const { width: naturalWidth, height: naturalHeight } = await image.metadata()
+      const { data, info } = await image
+        .resize(MAX_DECODED_SIZE, MAX_DECODED_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+
+      images.set(index, { width: info.width, height: info.height, naturalWidth, naturalHeight, data })
+    } catch (error) {
+      console.warn(`Could not decode image ${index} for contrast sampling:`, error.message)
+    }
+  }
+
+  return images
+}
+
+// Canvas point in an object's coordinates, with (0, 0) at the top left of its box
+function toBoxPoint(obj, x, y) {
+  const point = toLocalPoint(obj, x, y)
+  const width = obj.width || 0
+  const height = obj.height || 0
+  const inside = point.x >= -width / 2 && point.x < width / 2 && point.y >= -height / 2 && point.y < height / 2
+  return inside ? { x: point.x + width / 2, y: point.y + height / 2, width, height } : null
+}
+
+// Colour of a gradient stop, with the stop opacity folded into its alpha
+function getStopColor(stop) {
+  const color = parseColor(stop.color)
+  return color && { ...color, a: color.a * (stop.opacity ?? 1) }
+}
+
+const mixColors = (from, to, amount) => ['r', 'g', 'b', 'a'].reduce((color, channel) => ({
+  ...color,
+  [channel]: from[channel] + (to[channel] - from[channel]) * amount
+}), {})
+
+/**
+ * Get the colour a linear gradient paints at a point
+ * Gradient coordinates are relative to the top left of the object's box, like the point.
+ * @param {Object} gradient - Fabric.js linear gradient
+ * @param {Object} point - { x, y, width, height } in the object's box
+ * @returns {Object|null} { r, g, b, a }
+ */
+function linearGradientColorAt(gradient, point) {
+  const stops = gradient.colorStops
+    .map(stop => ({ offset: stop.offset, color: getStopColor(stop) }))
+    .filter(stop => stop.color)
+    .sort((a, b) => a.offset - b.offset)
+  if (stops.length === 0) return null
+
+  const scaleX = gradient.gradientUnits === 'percentage' ? point.width : 1
+  const scaleY = gradient.gradientUnits === 'percentage' ? point.height : 1
+  const { x1 = 0, y1 = 0, x2 = 0, y2 = 0 } = gradient.coords || {}
+  const start = { x: x1 * scaleX + (gradient.offsetX || 0), y: y1 * scaleY + (gradient.offsetY || 0) }
+  const dx = (x2 - x1) * scaleX
+  const dy = (y2 - y1) * scaleY
+  const length = dx * dx + dy * dy
+
+  // Position of the point along the gradient line, clamped to its ends
+  const t = length > 0 ? Math.min(1, Math.max(0, ((point.x - start.x) * dx + (point.y - start.y) * dy) / length)) : 0
+  const after = stops.findIndex(stop => stop.offset >= t)
+  if (after <= 0) return stops[after === -1 ? stops.length - 1 : 0].color
+  const before = stops[after - 1]
+  const span = stops[after].offset - before.offset
+  return mixColors(before.color, stops[after].color, span > 0 ? (t - before.offset) / span : 0)
+}
+
+/**
+ * Get the colour of a shape fill at a point
+ * Linear gradients are evaluated at the point; radial gradients are reduced to the
+ * average of their colour stops.
+ * @param {string|Object} fill - Fabric.js fill
+ * @param {Object} point - { x, y, width, height } in the object's box
+ * @returns {Object|null} { r, g, b, a } or null for no fill
+ */
+function getFillColor(fill, point) {
+  if (!fill) return null
+
+  if (Array.isArray(fill.colorStops) && fill.colorStops.length > 0) {
+    if (fill.type !== 'radial') return linearGradientColorAt(fill, point)
+
+    const stops = fill.colorStops.map(getStopColor).filter(Boolean)
+    if (stops.length === 0) return null
+    return ['r', 'g', 'b', 'a'].reduce((color, channel) => ({
+      ...color,
+      [channel]: stops.reduce((sum, stop) => sum + stop[channel], 0) / stops.length
+    }), {})
+  }
+
+  return parseColor(fill)
+}
+
+/**
+ * Check whether a point in a shape's box lies on the shape
+ * @param {Object} obj - Shape JSON
+ * @param {Object|null} point - Point from toBoxPoint
+ * @returns {boolean}
+ */
+function shapeContains(obj, point) {
+  if (!point) return false
+
+  // Circles and ellipses fill the ellipse inscribed in their box
+  if (obj.type === 'circle' || obj.type === 'ellipse') {
+    const dx = (point.x - point.width / 2) / (point.width / 2)
+    const dy = (point.y - point.height / 2) / (point.height / 2)
+    return dx * dx + dy * dy <= 1
+  }
+
+  // Triangles point up from the middle of the top edge
+  if (obj.type === 'triangle') {
+    const halfWidth = point.y / point.height * point.width / 2
+    return Math.abs(point.x - point.width / 2) <= halfWidth
+  }
+
+  return true
+}
+
+/**
+ * Read the pixel of a decoded image under a canvas point
+ * @param {Object} obj - Image JSON
+ * @param {Object} image - Decoded image from decodeCanvasImages
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {Object|null} { r, g, b, a } or null if the point is off the image
+ */
+function imagePixelAt(obj, image, x, y) {
+  const point = toBoxPoint(obj, x, y)
+  if (!point) return null
+
+  // Canvas point -> source pixel (including crop) -> decoded pixel
+  const sourceX = (obj.cropX || 0) + point.x
+  const sourceY = (obj.cropY || 0) + point.y
+  const px = Math.min(image.width - 1, Math.max(0, Math.floor(sourceX * image.width / (image.naturalWidth || image.width))))
+  const py = Math.min(image.height - 1, Math.max(0, Math.floor(sourceY * image.height / (image.naturalHeight || image.height))))
+
+  const offset = (py * image.width + px) * 4
+  return { r: image.data[offset], g: image.data[offset + 1], b: image.data[offset + 2], a: image.data[offset + 3] / 255 }
+}
+
+/**
+ * Get the colour one object paints at a canvas point
+ * @param {Object} obj - Object JSON
+ * @param {Object|undefined} image - Decoded image, for image objects
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {Object|null} { r, g, b, a } with the object's opacity applied, or null if it paints nothing there
+ */
+function layerColorAt(obj, image, x, y) {
+  let color = null
+  if (obj.type === 'image') {
+    color = image && imagePixelAt(obj, image, x, y)
+  } else if (!['textbox', 'text', 'i-text', 'group'].includes(obj.type)) {
+    const point = toBoxPoint(obj, x, y)
+    color = shapeContains(obj, point) ? getFillColor(obj.fill, point) : null
+  }
+  return color && { ...color, a: color.a * (obj.opacity ?? 1) }
+}
+
+/**
+ * Find the colour at a canvas point from the objects below a given layer
+ * Translucent shapes, image pixels and objects with opacity are composited over
+ * the layers below them, down to the first opaque layer or the canvas background.
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {number} belowIndex - Only objects with a lower index are considered
+ * @param {Map} images - Decoded images
+ * @param {Function} isOverlay - Returns true for editor overlays that should be ignored
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {Object} { r, g, b }
+ */
+function colorAt(canvasData, belowIndex, images, isOverlay, x, y) {
+  // Layers painting this point, top first, down to the first opaque one
+  const layers = []
+  for (let index = belowIndex - 1; index >= 0; index--) {
+    const obj = canvasData.objects[index]
+    if (!obj || isOverlay(obj) || obj.visible === false) continue
+
+    const color = layerColorAt(obj, images.get(index), x, y)
+    if (!color || color.a <= 0) continue
+    layers.push(color)
+    if (color.a >= 1) break
+  }
+
+  // The canvas background sits on the white page
+  const white = { r: 255, g: 255, b: 255 }
+  const background = compositeColor(parseColor(canvasData.backgroundColor) || { ...white, a: 1 }, white)
+  return layers.reduceRight((below, layer) => compositeColor(layer, below), background)
+}
+
+/**
+ * Sample the colours behind an object
+ * Colours are read on a grid over the object's own (possibly rotated) box, from the shapes and
+ * image pixels below it composited over the canvas background.
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {number} objectIndex - Index of the object (usually a text) in canvasData.objects
+ * @param {Object} options - Options
+ * @param {Map} options.images - Decoded images from decodeCanvasImages
+ * @param {Function} options.isOverlay - Returns true for editor overlays that should be ignored
+ * @returns {Array<string>} Hex colours, one per sample point
+ */
+export function sampleBackgroundColors(canvasData, objectIndex, { images = new Map(), isOverlay = () => false } = {}) {
+  const obj = canvasData.objects[objectIndex]
+  const width = obj.width || 0
+  const height = obj.height || 0
+  const scaleX = Math.abs(obj.scaleX ?? 1)
+  const scaleY = Math.abs(obj.scaleY ?? 1)
+  const columns = Math.min(SAMPLE_COLUMNS.max, Math.max(SAMPLE_COLUMNS.min, Math.ceil(width * scaleX / SAMPLE_SPACING)))
+  const rows = Math.min(SAMPLE_ROWS.max, Math.max(SAMPLE_ROWS.min, Math.ceil(height * scaleY / SAMPLE_SPACING)))
+
+  // The grid lies on the object's own box, so it turns with rotated text
+  const samples = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const { x, y } = toCanvasPoint(obj, ((column + 0.5) / columns - 0.5) * width, ((row + 0.5) / rows - 0.5) * height)
+      const { r, g, b } = colorAt(canvasData, objectIndex, images, isOverlay, x, y)
+      samples.push(toHexColor({ r, g, b }))
+    }
+  }
+  return samples
+}
@@ -0,0 +1,399 @@
+/**
+ * Canvas Renderer Module
+ * Renders Fabric.js canvas JSON to an image without a browser
+ *
+ * The canvas is converted to SVG (shapes, paths, images, text and their transforms)
+ * and rasterized with sharp. Text is laid out with estimated glyph widths, so textbox
+ * line breaks can differ slightly from the browser; fonts come from the system.
+ */
+
+import { isUnsafeZoneOverlay, isTextObject } from './checkHelpers.js'
+import { readImageSources } from './imageSources.js'
+import { getObjectCenter } from './geometry.js'
+
+// Largest canvas side and output width rendered, so a request cannot rasterize a huge image
+export const MAX_RENDER_SIZE = 4000
+
+// Fabric.js text metrics (fabric.Text defaults)
+const FONT_SIZE_MULT = 1.13
+const FONT_SIZE_FRACTION = 0.222
+const DEFAULT_LINE_HEIGHT = 1.16
+
+// Average glyph widths as a share of the font size, used to wrap textboxes
+const GLYPH_WIDTHS = [
+  [/[iljtfI.,;:!|'"`()[\]{} ]/, 0.3],
+  [/[mwMW@%]/, 0.85],
+  [/[A-Z0-9#&$£€]/, 0.66]
+]
+const DEFAULT_GLYPH_WIDTH = 0.52
+const BOLD_WIDTH_FACTOR = 1.08
+
+// Escape text for SVG content and attribute values
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Format a number for SVG output
+function num(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(3)) : 0
+}
+
+// Build an attribute string, leaving out empty values
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}="${escapeXml(typeof value === 'number' ? num(value) : value)}"`)
+    .join(' ')
+}
+
+/**
+ * Get the SVG transform that places an object's centre and applies its rotation, scale,
+ * flip and skew, matching Fabric's transform order
+ * @param {Object} obj - Object JSON
+ * @returns {string} SVG transform
+ */
+function getObjectTransform(obj) {
+  const scaleX = (obj.scaleX ?? 1) * (obj.flipX ? -1 : 1)
+  const scaleY = (obj.scaleY ?? 1) * (obj.flipY ? -1 : 1)
+  const { x: centerX, y: centerY } = getObjectCenter(obj)
+
+  return [
+    `translate(${num(centerX)} ${num(centerY)})`,
+    obj.angle ? `rotate(${num(obj.angle)})` : '',
+    scaleX !== 1 || scaleY !== 1 ? `scale(${num(scaleX)} ${num(scaleY)})` : '',
+    obj.skewX ? `skewX(${num(obj.skewX)})` : '',
+    obj.skewY ? `skewY(${num(obj.skewY)})` : ''
+  ].filter(Boolean).join(' ')
+}
+
+/**
+ * Convert a Fabric.js gradient to an SVG gradient definition
+ * Gradient coordinates are relative to the object's top-left corner, which sits
+ * at (-width / 2, -height / 2) inside the object's transform.
+ * @param {Object} gradient - Fabric.js gradient JSON
+ * @param {Object} obj - Object the gradient fills
+ * @param {string} id - Element id for the definition
+ * @returns {string} SVG gradient element
+ */
+function gradientToSVG(gradient, obj, id) {
+  const coords = gradient.coords || {}
+  const isPercentage = gradient.gradientUnits === 'percentage'
+  const toX = value => (isPercentage ? value * obj.width : value) - obj.width / 2 + (gradient.offsetX || 0)
+  const toY = value => (isPercentage ? value * obj.height : value) - obj.height / 2 + (gradient.offsetY || 0)
+
+  const stops = [...(gradient.colorStops || [])]
+    .sort((a, b) => a.offset - b.offset)
+    .map(stop => `<stop ${attrs({ offset: stop.offset, 'stop-color': stop.color, 'stop-opacity': stop.opacity ?? 1 })}/>`)
+    .join('')
+
+  if (gradient.type === 'radial') {
+    return `<radialGradient ${attrs({
+      id,
+      gradientUnits: 'userSpaceOnUse',
+      fx: toX(coords.x1 ?? 0),
+      fy: toY(coords.y1 ?? 0),
+      cx: toX(coords.x2 ?? 0),
+      cy: toY(coords.y2 ?? 0),
+      r: isPercentage ? (coords.r2 ?? 0) * Math.max(obj.width, obj.height) : coords.r2 ?? 0
+    })}>${stops}</radialGradient>`
+  }
+
+  return `<linearGradient ${attrs({
+    id,
+    gradientUnits: 'userSpaceOnUse',
+    x1: toX(coords.x1 ?? 0),
+    y1: toY(coords.y1 ?? 0),
+    x2: toX(coords.x2 ?? 0),
+    y2: toY(coords.y2 ?? 0)
+  })}>${stops}</linearGradient>`
+}
+
+/**
+ * Estimate the rendered width of a string
+ * @param {string} text - Text to measure
+ * @param {Object} obj - Text object (font size and weight)
+ * @returns {number} Width in pixels
+ */
+export function measureText(text, obj) {
+  const fontSize = obj.fontSize || 40
+  const weightFactor = ['bold', '600', '700', '800', '900'].includes(String(obj.fontWeight)) ? BOLD_WIDTH_FACTOR : 1
+  const spacing = ((obj.charSpacing || 0) / 1000) * fontSize
+
+  return [...text].reduce((width, char) => {
+    const share = GLYPH_WIDTHS.find(([pattern]) => pattern.test(char))?.[1] ?? DEFAULT_GLYPH_WIDTH
+    return width + share * fontSize * weightFactor + spacing
+  }, 0)
+}
+
+/**
+ * Split the text of a text object into rendered lines
+ * Textboxes wrap words at their width; other text types only break at newlines.
+ * @param {Object} obj - Text object JSON
+ * @returns {Array<string>} Lines
+ */
+export function layoutTextLines(obj) {
+  const paragraphs = String(obj.text ?? '').split('\n')
+  if (obj.type !== 'textbox' || !obj.width) return paragraphs
+
+  return paragraphs.flatMap(paragraph => {
+    const lines = []
+    let line = ''
+    paragraph.split(/(\s+)/).filter(part => part !== '').forEach(part => {
+      const candidate = line + part
+      if (line.trim() && !/^\s+$/.test(part) && measureText(candidate, obj) > obj.width) {
+        lines.push(line.trimEnd())
+        line = part
+      } else {
+        line = candidate
+      }
+    })
+    lines.push(line.trimEnd())
+    return lines
+  })
+}
+
+// Paint attributes shared by shapes and text
+function paintAttributes(obj, fillRef) {
+  return {
+    fill: fillRef ?? (obj.fill === null || obj.fill === undefined ? 'none' : obj.fill),
+    stroke: obj.stroke || undefined,
+    'stroke-width': obj.stroke ? obj.strokeWidth ?? 1 : undefined,
+    'stroke-dasharray': obj.stroke && Array.isArray(obj.strokeDashArray) ? obj.strokeDashArray.join(' ') : undefined,
+    'stroke-linecap': obj.stroke ? obj.strokeLineCap : undefined,
+    'stroke-linejoin': obj.stroke ? obj.strokeLineJoin : undefined
+  }
+}
+
+// Text lines as SVG text elements, positioned like fabric.Text
+function textToSVG(obj, paint) {
+  const fontSize = obj.fontSize || 40
+  const lineHeight = fontSize * (obj.lineHeight ?? DEFAULT_LINE_HEIGHT) * FONT_SIZE_MULT
+  const align = obj.textAlign || 'left'
+  const anchor = align === 'center' ? 'middle' : align === 'right' ? 'end' : 'start'
+  const x = anchor === 'middle' ? 0 : anchor === 'end' ? obj.width / 2 : -obj.width / 2
+  const decorations = [obj.underline && 'underline', obj.linethrough && 'line-through', obj.overline && 'overline']
+    .filter(Boolean)
+    .join(' ')
+
+  const textAttributes = attrs({
+    ...paint,
+    'font-family': obj.fontFamily || 'Times New Roman',
+    'font-size': fontSize,
+    'font-weight': obj.fontWeight,
+    'font-style': obj.fontStyle,
+    'text-anchor': anchor,
+    'text-decoration': decorations || undefined,
+    'letter-spacing': obj.charSpacing ? (obj.charSpacing / 1000) * fontSize : undefined,
+    'xml:space': 'preserve'
+  })
+
+  const lines = layoutTextLines(obj).map((line, index) => {
+    const baseline = -obj.height / 2 + index * lineHeight + fontSize * FONT_SIZE_MULT * (1 - FONT_SIZE_FRACTION)
+    return `<text ${attrs({ x, y: baseline })}>${escapeXml(line)}</text>`
+  })
+  return `<g ${textAttributes}>${lines.join('')}</g>`
+}
+
+// Image element, cropped to cropX / cropY when the natural size is known
+function imageToSVG(obj, image, clipId) {
+  const width = obj.width || 0
+  const height = obj.height || 0
+  const cropX = obj.cropX || 0
+  const cropY = obj.cropY || 0
+
+  if ((cropX || cropY) && image.width && image.height) {
+    return `<clipPath id="${clipId}"><rect ${attrs({ x: -width / 2, y: -height / 2, width, height })}/></clipPath>` +
+      `<image ${attrs({
+        href: image.href,
+        x: -width / 2 - cropX,
+        y: -height / 2 - cropY,
+        width: image.width,
+        height: image.height,
+        preserveAspectRatio: 'none',
+        'clip-path': `url(#${clipId})`
+      })}/>`
+  }
+
+  return `<image ${attrs({ href: image.href, x: -width / 2, y: -height / 2, width, height, preserveAspectRatio: 'none' })}/>`
+}
+
+// Convert a Fabric.js path command array to SVG path data
+function pathData(path) {
+  if (typeof path === 'string') return path
+  return (path || []).map(command => command.join(' ')).join(' ')
+}
+
+/**
+ * Convert one object (and its children, for groups) to SVG
+ * @param {Object} obj - Object JSON
+ * @param {Object} state - { images, defs, nextId }
+ * @returns {string} SVG markup
+ */
+function objectToSVG(obj, state) {
+  if (!obj || obj.visible === false || obj.excludeFromExport || isUnsafeZoneOverlay(obj)) return ''
+
+  const width = obj.width || 0
+  const height = obj.height || 0
+
+  let fillRef
+  if (obj.fill && typeof obj.fill === 'object' && obj.fill.colorStops) {
+    const id = `gradient${state.nextId++}`
+    state.defs.push(gradientToSVG(obj.fill, obj, id))
+    fillRef = `url(#${id})`
+  }
+  const paint = paintAttributes(obj, fillRef)
+
+  let body
+  if (isTextObject(obj)) {
+    body = textToSVG(obj, paint)
+  } else {
+    switch (obj.type) {
+      case 'rect':
+        body = `<rect ${attrs({ x: -width / 2, y: -height / 2, width, height, rx: obj.rx || undefined, ry: obj.ry || undefined, ...paint })}/>`
+        break
+      case 'circle':
+        body = `<circle ${attrs({ r: obj.radius ?? width / 2, ...paint })}/>`
+        break
+      case 'ellipse':
+        body = `<ellipse ${attrs({ rx: obj.rx ?? width / 2, ry: obj.ry ?? height / 2, ...paint })}/>`
+        break
+      case 'triangle':
+        body = `<polygon ${attrs({ points: `${num(-width / 2)},${num(height / 2)} 0,${num(-height / 2)} ${num(width / 2)},${num(height / 2)}`, ...paint })}/>`
+        break
+      case 'line': {
+        const xMult = (obj.x1 ?? 0) <= (obj.x2 ?? 0) ? -1 : 1
+        const yMult = (obj.y1 ?? 0) <= (obj.y2 ?? 0) ? -1 : 1
+        body = `<line ${attrs({ x1: xMult * width / 2, y1: yMult * height / 2, x2: -xMult * width / 2, y2: -yMult * height / 2, ...paint })}/>`
+        break
+      }
+      case 'polygon':
+      case 'polyline': {
+        const offset = obj.pathOffset || { x: 0, y: 0 }
+        const points = (obj.points || []).map(point => `${num(point.x - offset.x)},${num(point.y - offset.y)}`).join(' ')
+        body = `<${obj.type} ${attrs({ points, ...paint })}/>`
+        break
+      }
+      case 'path': {
+        const offset = obj.pathOffset || { x: 0, y: 0 }
+        body = `<path ${attrs({ d: pathData(obj.path), transform: `translate(${num(-offset.x)} ${num(-offset.y)})`, ...paint })}/>`
+        break
+      }
+      case 'image': {
+        const image = state.images.get(obj)
+        body = image ? imageToSVG(obj, image, `clip${state.nextId++}`) : ''
+        break
+      }
+      case 'group':
+      case 'activeSelection':
+        // Group members are positioned relative to the group's centre
+        body = (obj.objects || []).map(child => objectToSVG(child, state)).join('')
+        break
+      default:
+        body = ''
+    }
+  }
+
+  if (!body) return ''
+  return `<g ${attrs({ transform: getObjectTransform(obj), opacity: obj.opacity ?? 1 })}>${body}</g>`
+}
+
+/**
+ * Convert canvas JSON to an SVG document
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {Object} options - Options
+ * @param {Map} options.images - Image objects mapped to { href, width, height }; images without an entry are left out
+ * @returns {string} SVG markup
+ */
+export function canvasToSVG(canvasData, { images = new Map() } = {}) {
+  const width = canvasData.width || 1080
+  const height = canvasData.height || 1080
+  const state = { images, defs: [], nextId: 0 }
+
+  const background = canvasData.backgroundColor ?? canvasData.background
+  const layers = [
+    typeof background === 'string' && background ? `<rect ${attrs({ width, height, fill: background })}/>` : '',
+    canvasData.backgroundImage ? objectToSVG(canvasData.backgroundImage, state) : '',
+    ...(canvasData.objects || []).map(obj => objectToSVG(obj, state))
+  ].join('')
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${attrs({ width, height, viewBox: `0 0 ${width} ${height}` })}>` +
+    (state.defs.length > 0 ? `<defs>${state.defs.join('')}</defs>` : '') +
+    layers +
+    '</svg>'
+}
+
+// Every image object in the canvas, including those inside groups
+function collectImages(objects = [], found = []) {
+  objects.forEach(obj => {
+    if (obj?.type === 'image') found.push(obj)
+    if (Array.isArray(obj?.objects)) collectImages(obj.objects, found)
+  })
+  return found
+}
+
+/**
+ * Check that a canvas is small enough to render
+ * A missing width or height falls back to 1080 pixels.
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @returns {string|null} Why the canvas cannot be rendered, or null if it can
+ */
+export function getRenderSizeError(canvasData) {
+  const invalid = ['width', 'height'].filter(side => {
+    const size = canvasData[side]
+    return size !== undefined && !(typeof size === 'number' && size > 0 && size <= MAX_RENDER_SIZE)
+  })
+  return invalid.length > 0 ? `Canvas ${invalid.join(' and ')} must be a number between 1 and ${MAX_RENDER_SIZE} pixels` : null
+}
+
+/**
+ * Render canvas JSON to an image
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {Object} options - Options
+ * @param {string} options.fileType - 'png' (default) or 'jpg'
+ * @param {number} options.width - Output width in pixels (keeps the aspect ratio; defaults to the canvas width)
+ * @param {number} options.quality - JPEG/PNG quality (default 90)
+ * @returns {Promise<Buffer>} Encoded image
+ * @throws {RangeError} When the canvas or output width is larger than MAX_RENDER_SIZE
+ */
+export async function renderCanvas(canvasData, { fileType = 'png', width, quality = 90 } = {}) {
+  const sizeError = getRenderSizeError(canvasData) ||
+    (width !== undefined && !(width > 0 && width <= MAX_RENDER_SIZE) ? `Width must be between 1 and ${MAX_RENDER_SIZE} pixels` : null)
+  if (sizeError) throw new RangeError(sizeError)
+
+  const { default: sharp } = await import('sharp')
+
+  // Inline every image as a data URL so the rasterizer never fetches anything
+  const images = new Map()
+  const imageObjects = collectImages([canvasData.backgroundImage, ...(canvasData.objects || [])].filter(Boolean))
+  const sources = await readImageSources(imageObjects.map(obj => obj.src))
+  for (const obj of imageObjects) {
+    try {
+      const source = sources.get(obj.src)
+      if (!source) {
+        console.warn(`Could not read image "${String(obj.src).substring(0, 60)}" for rendering`)
+        continue
+      }
+      const metadata = await sharp(source).metadata()
+      images.set(obj, {
+        href: `data:image/${metadata.format === 'jpeg' ? 'jpeg' : metadata.format};base64,${source.toString('base64')}`,
+        width: metadata.width,
+        height: metadata.height
+      })
+    } catch (error) {
+      console.warn('Could not decode image for rendering:', error.message)
+    }
+  }
+
+  let image = sharp(Buffer.from(canvasToSVG(canvasData, { images })))
+  if (width) {
+    image = image.resize({ width: Math.round(width) })
+  }
+
+  return fileType === 'jpg' || fileType === 'jpeg'
+    ? image.flatten({ background: '#FFFFFF' }).jpeg({ quality }).toBuffer()
+    : image.png({ quality }).toBuffer()
+}
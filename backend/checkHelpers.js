@@ -0,0 +1,135 @@
+/**
+ * Check Helpers
+ * Shared helpers for the compliance check plugins in checks/
+ */
+
+export const TEXT_TYPES = ['textbox', 'text', 'i-text']
+
+// Semantic roles an object can carry in its `role` property
+export const ROLES = ['headline', 'subhead', 'tag', 'disclaimer', 'packshot', 'logo', 'background']
+
+// Text roles typography rules are set for; 'body' is text without a role
+export const TYPOGRAPHY_ROLES = ['headline', 'subhead', 'tag', 'disclaimer', 'body']
+
+/**
+ * Check whether an object is a text object
+ * @param {Object} obj - Canvas object JSON
+ * @returns {boolean}
+ */
+export function isTextObject(obj) {
+  return Boolean(obj) && TEXT_TYPES.includes(obj.type)
+}
+
+/**
+ * Check whether an object is one of the editor's unsafe zone overlays
+ * @param {Object} obj - Canvas object JSON
+ * @returns {boolean}
+ */
+export function isUnsafeZoneOverlay(obj) {
+  return typeof obj.name === 'string' && obj.name.startsWith('unsafeZone')
+}
+
+/**
+ * Get the semantic role of an object
+ * The `role` property decides. Objects saved before roles existed are read by name:
+ * 'packshot' and 'background' name their role. Other images have no role, so a photo
+ * nobody marked as a product shot is never held to the packshot rules.
+ * @param {Object} obj - Canvas object JSON
+ * @returns {string|null} One of ROLES, or null when the object has no role
+ */
+export function getRole(obj) {
+  if (!obj) return null
+  if (ROLES.includes(obj.role)) return obj.role
+  if (obj.name === 'packshot' || obj.name === 'background') return obj.name
+  return null
+}
+
+/**
+ * Check whether an object is a packshot (product shot)
+ * @param {Object} obj - Canvas object JSON
+ * @returns {boolean}
+ */
+export function isPackshot(obj) {
+  return Boolean(obj) && !isUnsafeZoneOverlay(obj) && getRole(obj) === 'packshot'
+}
+
+/**
+ * Get the rendered font size of a text object (font size × scale)
+ * @param {Object} obj - Text object JSON
+ * @returns {number} Font size in pixels
+ */
+export function getRenderedFontSize(obj) {
+  return (obj.fontSize || 0) * Math.max(obj.scaleX || 1, obj.scaleY || 1)
+}
+
+/**
+ * Get the role typography rules apply to a text by
+ * @param {Object} obj - Text object JSON
+ * @returns {string|null} One of TYPOGRAPHY_ROLES, or null for text with another role (e.g. a logo)
+ */
+export function getTypographyRole(obj) {
+  const role = getRole(obj)
+  if (!role) return 'body'
+  return TYPOGRAPHY_ROLES.includes(role) ? role : null
+}
+
+/**
+ * Get the minimum rendered font size for a text
+ * The text's role can set its own minimum; otherwise the pack's minFontSize applies.
+ * @param {Object} rules - Retail rules object
+ * @param {Object} obj - Text object JSON
+ * @returns {number} Minimum font size in pixels
+ */
+export function getMinFontSize(rules, obj) {
+  return rules.roleTypography?.[getTypographyRole(obj)]?.minFontSize ?? rules.minFontSize
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length
+}
+
+/**
+ * Get the text object a violation points at
+ * @param {Object} violation - Violation with objectIndex
+ * @param {Object} context - Fix context
+ * @returns {Object|null} Text object or null if the violation has no text target
+ */
+export function getTextTarget(violation, context) {
+  if (violation.objectIndex === null || violation.objectIndex === undefined) {
+    return null
+  }
+  const obj = context.canvasData.objects[violation.objectIndex]
+  return isTextObject(obj) ? obj : null
+}
+
+/**
+ * Move an object to another place in the paint order
+ * Decoded images are keyed by object index, so their keys follow the objects that move.
+ * @param {Object} context - Fix context
+ * @param {number} from - Current index in canvasData.objects
+ * @param {number} to - Index after the move
+ */
+export function moveInPaintOrder(context, from, to) {
+  const objects = context.canvasData.objects
+  const images = [...context.images].map(([index, image]) => [objects[index], image])
+  objects.splice(to, 0, ...objects.splice(from, 1))
+
+  context.images.clear()
+  images.forEach(([obj, image]) => context.images.set(objects.indexOf(obj), image))
+}
+
+/**
+ * Add an object to the canvas at a place in the paint order
+ * @param {Object} context - Fix context
+ * @param {Object} obj - Object JSON to add
+ * @param {number} index - Index it gets in canvasData.objects; objects from there on move up
+ */
+export function insertInPaintOrder(context, obj, index) {
+  context.canvasData.objects.push(obj)
+  moveInPaintOrder(context, context.canvasData.objects.length - 1, index)
+}
@@ -0,0 +1,130 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+/**
+ * Check Registry
+ * Discovers the compliance check plugins in checks/ and lets other modules register more
+ *
+ * A plugin is a module whose default export looks like:
+ *
+ *   export default {
+ *     name: 'fontSize',
+ *     description: 'Rendered font size must reach the minimum',
+ *     order: 20,                                    // optional, lower runs first (default 100)
+ *     ruleFields: ['minFontSize', 'severities'],   // rule fields the plugin reads
+ *     check(context) { return [violation, ...] },
+ *     fixes: {                                      // fix codes the plugin resolves
+ *       increase_font_size(violation, context) { ...; return true }
+ *     }
+ *   }
+ *
+ * check() receives { canvasData, rules, severities, canvasWidth, canvasHeight, unsafeZone,
+ * images, texts }, where texts lists { obj, index, textIndex, text, role } for every text object
+ * and images holds decoded image pixels. Fix handlers receive the violation and
+ * { canvasData, nested, rules, openai, canvasWidth, canvasHeight, unsafeZone, images }, where
+ * nested is the Set of flattened objects that sit inside a group; they change canvasData in
+ * place, may be async, and return true when they applied a fix.
+ */
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_ORDER = 100
+
+const checks = []
+const fixHandlers = new Map()
+
+/**
+ * Register a check plugin
+ * @param {Object} plugin - Check plugin
+ * @throws {TypeError} If the plugin is malformed
+ * @throws {Error} If its name or one of its fix codes is already registered
+ */
+export function registerCheck(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new TypeError('Check plugin must have a name')
+  }
+  if (plugin.check !== undefined && typeof plugin.check !== 'function') {
+    throw new TypeError(`Check plugin "${plugin.name}": check must be a function`)
+  }
+  if (!Array.isArray(plugin.ruleFields)) {
+    throw new TypeError(`Check plugin "${plugin.name}": ruleFields must be an array`)
+  }
+  if (checks.some(check => check.name === plugin.name)) {
+    throw new Error(`Check plugin "${plugin.name}" is already registered`)
+  }
+
+  const fixes = Object.entries(plugin.fixes || {})
+  fixes.forEach(([code, handler]) => {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Check plugin "${plugin.name}": fix "${code}" must be a function`)
+    }
+    if (fixHandlers.has(code)) {
+      throw new Error(`Fix "${code}" of check plugin "${plugin.name}" is already handled by "${fixHandlers.get(code).plugin}"`)
+    }
+  })
+
+  checks.push(plugin)
+  checks.sort((a, b) => (a.order ?? DEFAULT_ORDER) - (b.order ?? DEFAULT_ORDER))
+  fixes.forEach(([code, handler]) => fixHandlers.set(code, { plugin: plugin.name, handler }))
+}
+
+/**
+ * Remove a check plugin and its fix handlers
+ * @param {string} name - Plugin name
+ */
+export function unregisterCheck(name) {
+  const index = checks.findIndex(check => check.name === name)
+  if (index === -1) return
+  checks.splice(index, 1)
+  fixHandlers.forEach((entry, code) => {
+    if (entry.plugin === name) fixHandlers.delete(code)
+  })
+}
+
+/**
+ * Get the registered check plugins in run order
+ * @returns {Array<Object>} Check plugins
+ */
+export function getChecks() {
+  return [...checks]
+}
+
+/**
+ * Get the handler for a fix code
+ * @param {string} code - Fix code from a violation
+ * @returns {Function|null} Fix handler
+ */
+export function getFixHandler(code) {
+  return fixHandlers.get(code)?.handler || null
+}
+
+/**
+ * Get every fix code a registered plugin can resolve
+ * @returns {Array<string>} Fix codes
+ */
+export function getFixCodes() {
+  return [...fixHandlers.keys()]
+}
+
+/**
+ * Describe the registered plugins
+ * @returns {Array<Object>} Array of { name, description, ruleFields, fixes }
+ */
+export function describeChecks() {
+  return checks.map(check => ({
+    name: check.name,
+    description: check.description || '',
+    ruleFields: check.ruleFields,
+    fixes: Object.keys(check.fixes || {})
+  }))
+}
+
+// Discover the built-in plugins (checks/*.js, in file name order)
+const checksDir = path.join(__dirname, 'checks')
+const pluginFiles = fs.readdirSync(checksDir).filter(file => file.endsWith('.js')).sort()
+for (const file of pluginFiles) {
+  const { default: plugin } = await import(pathToFileURL(path.join(checksDir, file)).href)
+  registerCheck(plugin)
+}
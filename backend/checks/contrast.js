@@ -0,0 +1,281 @@
+import { getRenderedFontSize, getTextTarget, insertInPaintOrder, isPackshot, isUnsafeZoneOverlay } from '../checkHelpers.js'
+import { compositeColor, fixTextContrast, getContrastRatio, hexToRgb, isLargeText, parseColor, toHexColor } from '../colorUtils.js'
+import { sampleBackgroundColors } from '../backgroundSampler.js'
+import { getBoundingBox, getObjectCenter, getOverlapArea, getTransformedSize } from '../geometry.js'
+
+// An outline at least this fraction of the font size (and 1px) separates text from its background
+const MIN_OUTLINE_FRACTION = 0.05
+// Shadows softer or further offset than this fraction of the font size do not outline the glyphs
+const MAX_SHADOW_BLUR_FRACTION = 0.25
+const MAX_SHADOW_OFFSET_FRACTION = 0.1
+
+// Contrast fixes from least to most intrusive: a brand colour keeps the design as it is, a
+// shadow and a backing plate add to it, a scrim tints the image, and recolouring can leave
+// the brand palette. The fix uses the first one the pack allows that reaches the ratio.
+const STRATEGY_ORDER = ['palette', 'shadow', 'plate', 'scrim', 'recolor']
+
+// Gap between a text and the edge of its backing plate or scrim, as a fraction of the font size
+const PLATE_PADDING_FRACTION = 0.3
+// Scrim opacities tried, lightest first
+const SCRIM_OPACITIES = [0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]
+
+/**
+ * Find a stroke or shadow that outlines the glyphs of a text
+ * @param {Object} obj - Text object JSON
+ * @returns {Object|null} { type: 'stroke'|'shadow', color: { r, g, b, a } } or null
+ */
+function getTextOutline(obj) {
+  const fontSize = getRenderedFontSize(obj)
+  const scale = Math.max(Math.abs(obj.scaleX || 1), Math.abs(obj.scaleY || 1))
+
+  const stroke = parseColor(obj.stroke)
+  if (stroke && stroke.a > 0 && (obj.strokeWidth || 0) * scale >= Math.max(1, fontSize * MIN_OUTLINE_FRACTION)) {
+    return { type: 'stroke', color: stroke }
+  }
+
+  const shadow = obj.shadow && typeof obj.shadow === 'object' ? obj.shadow : null
+  const shadowColor = shadow && parseColor(shadow.color)
+  if (shadowColor && shadowColor.a > 0 &&
+      (shadow.blur || 0) * scale <= fontSize * MAX_SHADOW_BLUR_FRACTION &&
+      Math.max(Math.abs(shadow.offsetX || 0), Math.abs(shadow.offsetY || 0)) * scale <= fontSize * MAX_SHADOW_OFFSET_FRACTION) {
+    return { type: 'shadow', color: shadowColor }
+  }
+
+  return null
+}
+
+/**
+ * Measure the contrast of a text against the colours sampled behind it
+ * The text colour is its fill with the fill alpha and object opacity composited over
+ * each sample. A stroke or tight shadow outlining the glyphs counts as well: where the
+ * text contrasts more with its outline than with the background, that ratio is used.
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {number} index - Index of the text object
+ * @param {Map} images - Decoded images
+ * @returns {Object} { worst, average, background, outline } where background is the worst-case colour
+ */
+function measureContrast(canvasData, index, images) {
+  const obj = canvasData.objects[index]
+  const fill = parseColor(obj.fill || '#000000') || { r: 0, g: 0, b: 0, a: 1 }
+  const opacity = obj.opacity ?? 1
+  const outline = getTextOutline(obj)
+
+  const samples = sampleBackgroundColors(canvasData, index, { images, isOverlay: isUnsafeZoneOverlay })
+    .map(background => {
+      const backgroundColor = hexToRgb(background)
+      const textColor = toHexColor(compositeColor(fill, backgroundColor, opacity))
+      let ratio = getContrastRatio(textColor, background)
+      if (outline) {
+        const outlineColor = toHexColor(compositeColor(outline.color, backgroundColor, opacity))
+        ratio = Math.max(ratio, getContrastRatio(textColor, outlineColor))
+      }
+      return { background, ratio }
+    })
+
+  const worst = samples.reduce((lowest, sample) => (sample.ratio < lowest.ratio ? sample : lowest))
+  const average = samples.reduce((sum, sample) => sum + sample.ratio, 0) / samples.length
+  return { worst: worst.ratio, average, background: worst.background, outline: outline?.type || null }
+}
+
+/**
+ * Get the contrast ratio a text has to reach
+ * Large text (WCAG: 24px, or 18.66px bold) uses the pack's large-text minimum.
+ * @param {Object} obj - Text object JSON
+ * @param {Object} rules - Retail rules object
+ * @returns {Object} { ratio, largeText }
+ */
+function getRequiredContrast(obj, rules) {
+  const largeText = isLargeText(getRenderedFontSize(obj), obj.fontWeight)
+  return { ratio: largeText ? rules.minLargeContrastRatio : rules.minContrastRatio, largeText }
+}
+
+// Black or white, whichever contrasts more with a colour
+const extremeFor = color => (getContrastRatio('#000000', color) >= getContrastRatio('#FFFFFF', color) ? '#000000' : '#FFFFFF')
+
+const round = value => Math.round(value * 10) / 10
+
+const colorDistance = (first, second) => Math.hypot(first.r - second.r, first.g - second.g, first.b - second.b)
+
+// Faded text is made fully opaque along with a new fill
+const withOpaqueFill = (obj, fill) => ({ fill, ...((obj.opacity ?? 1) < 1 && { opacity: 1 }) })
+
+/**
+ * Contrast strategies
+ * Each proposes candidate fixes for a text, best first, as { changes } to the text and an
+ * optional object to `insert` just below it.
+ */
+const STRATEGIES = {
+  // The brand colours nearest the current fill
+  palette(obj, index, context) {
+    const fill = parseColor(obj.fill || '#000000') || { r: 0, g: 0, b: 0 }
+    return (context.rules.brandPalette || [])
+      .map(color => ({ color, distance: colorDistance(hexToRgb(color), fill) }))
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ color }) => ({ changes: withOpaqueFill(obj, color) }))
+  },
+
+  // A tight black or white shadow, which outlines the glyphs
+  shadow(obj) {
+    const scale = Math.max(Math.abs(obj.scaleX || 1), Math.abs(obj.scaleY || 1))
+    const blur = getRenderedFontSize(obj) * MAX_SHADOW_BLUR_FRACTION / 2 / scale
+    const color = extremeFor(toHexColor(obj.fill || '#000000'))
+    return [{ changes: { shadow: { color, blur: round(blur), offsetX: 0, offsetY: 0 } } }]
+  },
+
+  // An opaque rectangle behind the text, in a brand colour if one works
+  plate(obj, index, context) {
+    const padding = getRenderedFontSize(obj) * PLATE_PADDING_FRACTION
+    const { width, height } = getTransformedSize(obj, { painted: true })
+    const center = getObjectCenter(obj)
+    const fill = toHexColor(obj.fill || '#000000')
+    return [...(context.rules.brandPalette || []), extremeFor(fill)].map(color => ({
+      insert: {
+        type: 'rect',
+        name: 'contrast_plate',
+        left: round(center.x),
+        top: round(center.y),
+        originX: 'center',
+        originY: 'center',
+        width: round(width + padding * 2),
+        height: round(height + padding * 2),
+        angle: obj.angle || 0,
+        fill: color,
+        strokeWidth: 0
+      }
+    }))
+  },
+
+  // A gradient over the background image behind the text, solid behind the text and fading
+  // out towards the nearer image edge. Packshots are never covered.
+  scrim(obj, index, context) {
+    const image = context.canvasData.objects
+      .slice(0, index)
+      .reverse()
+      .find(other => other.type === 'image' && other.visible !== false && !isPackshot(other) && getOverlapArea(obj, other) > 0)
+    if (!image) return []
+
+    const padding = getRenderedFontSize(obj) * PLATE_PADDING_FRACTION
+    const text = getBoundingBox(obj)
+    const area = getBoundingBox(image)
+    const left = round(Math.max(0, area.left))
+    const right = round(Math.min(context.canvasWidth, area.right))
+    const imageTop = Math.max(0, area.top)
+    const imageBottom = Math.min(context.canvasHeight, area.bottom)
+    const fade = text.height + padding * 2
+
+    // Text in the lower half of the image gets a scrim rising from the bottom, and the other way round
+    const fromBottom = text.top + text.height / 2 >= (imageTop + imageBottom) / 2
+    const top = round(fromBottom ? Math.max(imageTop, text.top - padding - fade) : imageTop)
+    const bottom = round(fromBottom ? imageBottom : Math.min(imageBottom, text.bottom + padding + fade))
+    const coords = fromBottom
+      ? { x1: 0, y1: 0, x2: 0, y2: round(Math.max(0, text.top - padding - top)) }
+      : { x1: 0, y1: round(bottom - top), x2: 0, y2: round(Math.min(bottom - top, text.bottom + padding - top)) }
+    const color = extremeFor(toHexColor(obj.fill || '#000000'))
+
+    return SCRIM_OPACITIES.map(opacity => ({
+      insert: {
+        type: 'rect',
+        name: 'contrast_scrim',
+        left,
+        top,
+        originX: 'left',
+        originY: 'top',
+        width: round(right - left),
+        height: round(bottom - top),
+        fill: {
+          type: 'linear',
+          gradientUnits: 'pixels',
+          coords,
+          colorStops: [{ offset: 0, color, opacity: 0 }, { offset: 1, color, opacity }]
+        },
+        strokeWidth: 0
+      }
+    }))
+  },
+
+  // Darken or lighten the fill, falling back to black or white
+  recolor(obj, index, context, required) {
+    const { background } = measureContrast(context.canvasData, index, context.images)
+    return [{ changes: withOpaqueFill(obj, fixTextContrast(toHexColor(obj.fill || '#000000'), background, required.ratio)) }]
+  }
+}
+
+// Measure a candidate fix on a copy of the canvas
+function reachesRatio(context, index, candidate, required) {
+  const objects = [...context.canvasData.objects]
+  objects[index] = { ...objects[index], ...candidate.changes }
+  if (candidate.insert) objects.splice(index, 0, candidate.insert)
+  const textIndex = candidate.insert ? index + 1 : index
+  return measureContrast({ ...context.canvasData, objects }, textIndex, context.images).worst >= required.ratio
+}
+
+/**
+ * Contrast check
+ * Text colour must reach the pack's minimum WCAG contrast ratio against everything
+ * behind it: the canvas background, shapes and sampled image pixels. The worst-case
+ * ratio over the text box decides; the average is reported alongside it. Large text
+ * is held to the lower WCAG large-text minimum of the pack's contrast level.
+ * Translucent fills and text opacity are blended with the background first, so
+ * faded text is judged by the colour it actually shows.
+ * The pack's auto_fix.contrast_strategies choose how contrast may be fixed (see
+ * STRATEGY_ORDER); only recolouring is kept when it falls short of the ratio.
+ */
+export default {
+  name: 'contrast',
+  description: 'Text must reach the minimum contrast ratio against its background',
+  order: 30,
+  ruleFields: ['contrastLevel', 'minContrastRatio', 'minLargeContrastRatio', 'brandPalette', 'autoFix', 'severities'],
+
+  check({ texts, canvasData, rules, severities, images }) {
+    return texts
+      .map(({ obj, index, textIndex }) => {
+        const required = getRequiredContrast(obj, rules)
+        const contrast = measureContrast(canvasData, index, images)
+        if (contrast.worst >= required.ratio) return null
+        return {
+          id: `contrast_low_${textIndex}`,
+          message: `Text contrast too low (worst ${contrast.worst.toFixed(2)}:1, average ${contrast.average.toFixed(2)}:1). Minimum required: ${required.ratio}:1 for ${required.largeText ? 'large' : 'normal'} text (WCAG ${rules.contrastLevel})`,
+          fix: 'increase_text_contrast',
+          objectIndex: index,
+          severity: severities.contrast_low,
+          contrast: {
+            worst: Number(contrast.worst.toFixed(2)),
+            average: Number(contrast.average.toFixed(2)),
+            background: contrast.background,
+            required: required.ratio,
+            largeText: required.largeText,
+            outline: contrast.outline
+          }
+        }
+      })
+      .filter(Boolean)
+  },
+
+  fixes: {
+    increase_text_contrast(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+
+      const required = getRequiredContrast(obj, context.rules)
+      const allowed = context.rules.autoFix?.contrastStrategies || ['recolor']
+      // Plates and scrims cannot be put inside the group of a nested text, however the
+      // violation named it
+      const nested = context.nested?.has(obj)
+
+      for (const strategy of STRATEGY_ORDER.filter(name => allowed.includes(name))) {
+        if (nested && (strategy === 'plate' || strategy === 'scrim')) continue
+
+        const candidates = STRATEGIES[strategy](obj, violation.objectIndex, context, required)
+        const fix = strategy === 'recolor'
+          ? candidates[0]
+          : candidates.find(candidate => reachesRatio(context, violation.objectIndex, candidate, required))
+        if (!fix) continue
+
+        Object.assign(obj, fix.changes)
+        if (fix.insert) insertInPaintOrder(context, fix.insert, violation.objectIndex)
+        return true
+      }
+      return false
+    }
+  }
+}
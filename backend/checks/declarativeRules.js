@@ -0,0 +1,17 @@
+import { evaluateCustomRules } from '../customRules.js'
+import { isUnsafeZoneOverlay } from '../checkHelpers.js'
+
+/**
+ * Declarative rules check
+ * Runs the custom_rules defined in the rule pack (see customRules.js)
+ */
+export default {
+  name: 'declarativeRules',
+  description: 'Custom rules defined in the rule pack',
+  order: 900,
+  ruleFields: ['customRules'],
+
+  check({ canvasData, rules }) {
+    return evaluateCustomRules(canvasData, rules, isUnsafeZoneOverlay)
+  }
+}
@@ -0,0 +1,95 @@
+import { getTextTarget, isTextObject } from '../checkHelpers.js'
+import { getTextColumn, placeObject } from '../placement.js'
+
+// Accepted disclaimer phrases, lowercased
+function getDisclaimerPhrases(rules) {
+  return [rules.requiredDisclaimer, ...rules.requiredDisclaimers]
+    .map(disclaimer => disclaimer.toLowerCase())
+}
+
+// Roles whose text is not copy, so it never makes a disclaimer necessary
+const NON_COPY_ROLES = ['tag', 'disclaimer']
+
+/**
+ * Disclaimer check
+ * Creatives with substantial copy must carry one of the pack's disclaimer phrases, and
+ * text with the 'disclaimer' role must be one of them
+ */
+export default {
+  name: 'disclaimer',
+  description: 'Creatives with substantial copy need a disclaimer',
+  order: 40,
+  ruleFields: ['requiredDisclaimer', 'requiredDisclaimers', 'disclaimerTriggerLength', 'severities', 'autoFix'],
+
+  check({ texts, rules, severities }) {
+    const disclaimerPhrases = getDisclaimerPhrases(rules)
+    const isDisclaimer = text => disclaimerPhrases.some(disclaimer => text.toLowerCase().includes(disclaimer))
+    const violations = texts
+      .filter(({ role, text }) => role === 'disclaimer' && !isDisclaimer(text))
+      .map(({ index, textIndex, text }) => ({
+        id: `disclaimer_incorrect_${textIndex}`,
+        message: `Disclaimer must contain "${rules.requiredDisclaimer}". Current: "${text.substring(0, 40)}"`,
+        fix: 'fix_disclaimer_text',
+        objectIndex: index,
+        severity: severities.disclaimer_incorrect
+      }))
+
+    // Only flag a missing disclaimer if there's substantial copy on the canvas
+    const disclaimerFound = texts.some(({ text }) => isDisclaimer(text))
+    const hasSubstantialText = texts.some(({ text, role }) => (
+      !NON_COPY_ROLES.includes(role) && text.trim().length > rules.disclaimerTriggerLength
+    ))
+
+    if (!disclaimerFound && hasSubstantialText) {
+      violations.push({
+        id: 'missing_disclaimer',
+        message: `Missing required disclaimer text (e.g., "${rules.requiredDisclaimer}")`,
+        fix: 'add_disclaimer_text',
+        objectIndex: null,
+        severity: severities.missing_disclaimer
+      })
+    }
+
+    return violations
+  },
+
+  fixes: {
+    add_disclaimer_text(violation, context) {
+      const { canvasData, rules, unsafeZone, canvasHeight } = context
+      // Check if disclaimer already exists
+      const disclaimerPhrases = getDisclaimerPhrases(rules)
+      const hasDisclaimer = canvasData.objects.some(obj => {
+        if (!isTextObject(obj)) return false
+        const text = (obj.text || '').toLowerCase()
+        return disclaimerPhrases.some(disclaimer => text.includes(disclaimer))
+      })
+      if (hasDisclaimer) return false
+
+      const { margin, disclaimerStyle } = rules.autoFix
+      const added = {
+        type: 'textbox',
+        text: rules.requiredDisclaimer,
+        role: 'disclaimer',
+        left: Math.max(50, unsafeZone.left + margin),
+        top: canvasHeight - unsafeZone.bottom - disclaimerStyle.fontSize - margin,
+        ...disclaimerStyle,
+        width: 300,
+        height: disclaimerStyle.fontSize,
+        originX: 'left',
+        originY: 'top'
+      }
+      // Line it up with the existing copy, in free room from the bottom of the safe area
+      if (getTextColumn(context).align === 'center') added.textAlign = 'center'
+      placeObject(added, context, { anchor: 'bottom' })
+      canvasData.objects.push(added)
+      return true
+    },
+
+    fix_disclaimer_text(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+      obj.text = context.rules.requiredDisclaimer
+      return true
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { getMinFontSize, getRenderedFontSize, getTextTarget, getTypographyRole } from '../checkHelpers.js'
+
+/**
+ * Font size check
+ * Rendered font size (font size × scale) must reach the minimum for the text's role,
+ * or the pack minimum for text whose role sets none
+ */
+export default {
+  name: 'fontSize',
+  description: 'Rendered font size must reach the minimum for the text role',
+  order: 20,
+  ruleFields: ['minFontSize', 'roleTypography', 'severities'],
+
+  check({ texts, rules, severities }) {
+    return texts
+      .map(({ obj, index, textIndex }) => {
+        const minFontSize = getMinFontSize(rules, obj)
+        const actualFontSize = getRenderedFontSize(obj)
+        if (actualFontSize >= minFontSize) return null
+
+        const role = getTypographyRole(obj)
+        const forRole = role && role !== 'body' ? ` for ${role}` : ''
+        return {
+          id: `font_small_${textIndex}`,
+          message: `Font too small${forRole} (<${minFontSize}px). Current size: ${actualFontSize.toFixed(1)}px`,
+          fix: 'increase_font_size',
+          objectIndex: index,
+          severity: severities.font_small
+        }
+      })
+      .filter(Boolean)
+  },
+
+  fixes: {
+    increase_font_size(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+
+      const minFontSize = getMinFontSize(context.rules, obj)
+      const currentSize = getRenderedFontSize(obj)
+      if (currentSize < minFontSize) {
+        obj.fontSize = Math.max(obj.fontSize || 12, minFontSize)
+        // Reset scale to maintain proper sizing
+        obj.scaleX = 1
+        obj.scaleY = 1
+      }
+      return true
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { isPackshot, isTextObject, isUnsafeZoneOverlay, moveInPaintOrder } from '../checkHelpers.js'
+import { getOrientedBoundingBox, getOverlapArea } from '../geometry.js'
+import { placeObject } from '../placement.js'
+
+// Objects taking part in the analysis: visible, painted, and not editor overlays or groups
+function isCreativeElement(obj) {
+  return Boolean(obj) && obj.visible !== false && (obj.opacity ?? 1) > 0 && obj.type !== 'group' && !isUnsafeZoneOverlay(obj)
+}
+
+// Objects that hide what lies below them: images, and shapes with a fill
+function isOpaqueElement(obj) {
+  return !isTextObject(obj) && (obj.type === 'image' || Boolean(obj.fill))
+}
+
+function getArea(obj) {
+  const { width, height } = getOrientedBoundingBox(obj)
+  return width * height
+}
+
+/**
+ * Measure how much two objects overlap
+ * @param {Object} first - Object JSON
+ * @param {Object} second - Object JSON
+ * @param {Object} options - Options
+ * @param {boolean} options.ofFirst - Measure against the first object instead of the smaller one
+ * @returns {number} Overlapping share in percent
+ */
+function getOverlapPercent(first, second, { ofFirst = false } = {}) {
+  const area = ofFirst ? getArea(first) : Math.min(getArea(first), getArea(second))
+  return area > 0 ? getOverlapArea(first, second) / area * 100 : 0
+}
+
+const excerptOf = obj => (obj.text || '').substring(0, 30)
+
+// Move a text to the nearest room clear of every other text and packshot, not just the one reported
+function nudgeText(violation, context) {
+  const obj = context.canvasData.objects[violation.objectIndex]
+  return isTextObject(obj) && placeObject(obj, context)
+}
+
+/**
+ * Overlap check
+ * Texts must not collide with other texts or sit over packshots, and no image or filled
+ * shape may be painted over a text. Overlap is measured on the objects' rotated boxes as a
+ * percentage of the smaller object (of the text, for occlusion) and tolerated up to the
+ * pack's max_overlap. Collisions are fixed by nudging the text clear, occlusions by
+ * bringing the text above what hides it.
+ */
+export default {
+  name: 'overlap',
+  description: 'Text must not overlap other text or packshots, or be hidden by other elements',
+  order: 55,
+  ruleFields: ['maxOverlap', 'unsafeZones', 'severities', 'autoFix'],
+
+  check({ canvasData, texts, rules, severities }) {
+    const violations = []
+    const elements = canvasData.objects
+      .map((obj, index) => ({ obj, index }))
+      .filter(({ obj }) => isCreativeElement(obj))
+    const visibleTexts = texts.filter(({ obj }) => isCreativeElement(obj))
+
+    visibleTexts.forEach(({ obj, index, textIndex }, position) => {
+      // Texts against the texts painted above them, so every pair is reported once
+      visibleTexts.slice(position + 1).forEach(other => {
+        const percent = getOverlapPercent(obj, other.obj)
+        if (percent <= rules.maxOverlap) return
+        violations.push({
+          id: `text_overlap_${textIndex}_${other.textIndex}`,
+          message: `Text "${excerptOf(other.obj)}..." overlaps text "${excerptOf(obj)}..." by ${percent.toFixed(0)}%`,
+          fix: 'nudge_overlapping_text',
+          objectIndex: other.index,
+          relatedObjectIndex: index,
+          overlap: { percent },
+          severity: severities.text_overlap
+        })
+      })
+
+      // Packshots painted below the text must stay clear of it
+      elements
+        .filter(element => element.index < index && isPackshot(element.obj))
+        .forEach(element => {
+          const percent = getOverlapPercent(obj, element.obj)
+          if (percent <= rules.maxOverlap) return
+          violations.push({
+            id: `text_over_packshot_${textIndex}_${element.index}`,
+            message: `Text "${excerptOf(obj)}..." covers a packshot by ${percent.toFixed(0)}%`,
+            fix: 'nudge_overlapping_text',
+            objectIndex: index,
+            relatedObjectIndex: element.index,
+            overlap: { percent },
+            severity: severities.text_over_packshot
+          })
+        })
+
+      // Images and filled shapes painted above the text hide it; the worst one is reported
+      const occluder = elements
+        .filter(element => element.index > index && isOpaqueElement(element.obj))
+        .map(element => ({ ...element, percent: getOverlapPercent(obj, element.obj, { ofFirst: true }) }))
+        .sort((a, b) => b.percent - a.percent)[0]
+      if (occluder && occluder.percent > rules.maxOverlap) {
+        violations.push({
+          id: `text_occluded_${textIndex}`,
+          message: `Text "${excerptOf(obj)}..." is ${occluder.percent.toFixed(0)}% hidden by an element above it`,
+          fix: 'bring_text_to_front',
+          objectIndex: index,
+          relatedObjectIndex: occluder.index,
+          overlap: { percent: occluder.percent },
+          severity: severities.text_occluded
+        })
+      }
+    })
+
+    return violations
+  },
+
+  fixes: {
+    nudge_overlapping_text: nudgeText,
+
+    bring_text_to_front(violation, context) {
+      const objects = context.canvasData.objects
+      const obj = objects[violation.objectIndex]
+      if (!isTextObject(obj)) return false
+
+      // Texts inside groups cannot leave their group, so they are moved clear instead
+      if (violation.path && violation.path.length > 1) {
+        return nudgeText(violation, context)
+      }
+
+      // Restack just above the highest element that hides the text
+      const occluders = objects
+        .map((other, index) => ({ other, index }))
+        .filter(({ other, index }) => (
+          index > violation.objectIndex && isCreativeElement(other) && isOpaqueElement(other) && getOverlapArea(obj, other) > 0
+        ))
+      if (occluders.length === 0) return false
+
+      moveInPaintOrder(context, violation.objectIndex, occluders[occluders.length - 1].index)
+      return true
+    }
+  }
+}
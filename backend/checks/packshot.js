@@ -0,0 +1,155 @@
+import { isPackshot, isTextObject } from '../checkHelpers.js'
+import { getBoundingBox, getObjectCenter, getOrientedBoundingBox, setObjectCenter, translateObject } from '../geometry.js'
+import { getSafeArea, placeObject } from '../placement.js'
+
+// Scaling up lands this much past the minimum so rounding does not leave it just short
+const SCALE_UP_TOLERANCE = 1.001
+
+// Packshots in paint order; packshotIndex numbers them from 1
+function getPackshots(canvasData) {
+  return canvasData.objects
+    .map((obj, index) => ({ obj, index }))
+    .filter(({ obj }) => obj.visible !== false && isPackshot(obj))
+    .map(({ obj, index }, position) => ({ obj, index, packshotIndex: position + 1 }))
+}
+
+// The area packshots must stay inside: the safe area, or the whole canvas
+function getAllowedArea(context) {
+  return context.rules.packshotInSafeArea
+    ? getSafeArea(context)
+    : { left: 0, top: 0, right: context.canvasWidth, bottom: context.canvasHeight }
+}
+
+const isInside = (box, area) => (
+  box.left >= area.left && box.top >= area.top && box.right <= area.right && box.bottom <= area.bottom
+)
+
+/**
+ * Move a packshot into an area
+ * It goes to the nearest free room clear of the texts; other packshots may overlap it, as
+ * product shots are often grouped. Without free room it moves the shortest distance that puts
+ * its bounding box inside the area, and is centred along an axis where it is larger than the area.
+ * @param {Object} obj - Object JSON (changed in place)
+ * @param {Object} area - { left, top, right, bottom }
+ * @param {Object} context - Fix context
+ */
+function moveInto(obj, area, context) {
+  if (placeObject(obj, context, { area, avoid: isTextObject })) return
+
+  const box = getBoundingBox(obj)
+  const shift = (start, end, areaStart, areaEnd) => {
+    if (end - start > areaEnd - areaStart) return areaStart + (areaEnd - areaStart - (end - start)) / 2 - start
+    if (start < areaStart) return areaStart - start
+    if (end > areaEnd) return areaEnd - end
+    return 0
+  }
+  translateObject(obj, shift(box.left, box.right, area.left, area.right), shift(box.top, box.bottom, area.top, area.bottom))
+}
+
+/**
+ * Scale an object around its centre
+ * @param {Object} obj - Object JSON (changed in place)
+ * @param {number} factor - Scale factor
+ */
+function scaleAroundCenter(obj, factor) {
+  const center = getObjectCenter(obj)
+  obj.scaleX = (obj.scaleX ?? 1) * factor
+  obj.scaleY = (obj.scaleY ?? 1) * factor
+  setObjectCenter(obj, center)
+}
+
+/**
+ * Packshot check
+ * Packshots (objects with the 'packshot' role, or the legacy name 'packshot') must cover
+ * a minimum share of the canvas, stay inside the safe area, not be cropped by the
+ * canvas edges, and not exceed the pack's maximum count.
+ */
+export default {
+  name: 'packshot',
+  description: 'Packshots must be large enough, uncropped, inside the safe area and limited in number',
+  order: 45,
+  ruleFields: ['packshotMinArea', 'packshotMaxCount', 'packshotInSafeArea', 'packshotOnCanvas', 'unsafeZones', 'severities'],
+
+  check(context) {
+    const { canvasData, rules, severities, canvasWidth, canvasHeight } = context
+    const packshots = getPackshots(canvasData)
+    const safeArea = getSafeArea(context)
+    const canvasArea = canvasWidth * canvasHeight
+    const violations = []
+
+    packshots.forEach(({ obj, index, packshotIndex }) => {
+      const { width, height } = getOrientedBoundingBox(obj)
+      const areaShare = width * height / canvasArea
+      const box = getBoundingBox(obj)
+
+      if (areaShare < rules.packshotMinArea) {
+        violations.push({
+          id: `packshot_small_${packshotIndex}`,
+          message: `Packshot covers ${(areaShare * 100).toFixed(1)}% of the canvas. Minimum: ${(rules.packshotMinArea * 100).toFixed(1)}%`,
+          fix: 'scale_up_packshot',
+          objectIndex: index,
+          severity: severities.packshot_small
+        })
+      }
+
+      const cropped = box.left < 0 || box.top < 0 || box.right > canvasWidth || box.bottom > canvasHeight
+      if (rules.packshotOnCanvas && cropped) {
+        violations.push({
+          id: `packshot_cropped_${packshotIndex}`,
+          message: 'Packshot is cropped by the edge of the canvas',
+          fix: 'move_packshot_into_safe_area',
+          objectIndex: index,
+          severity: severities.packshot_cropped
+        })
+      }
+
+      if (rules.packshotInSafeArea && !isInside(box, safeArea)) {
+        violations.push({
+          id: `packshot_unsafe_${packshotIndex}`,
+          message: 'Packshot must sit fully inside the safe area',
+          fix: 'move_packshot_into_safe_area',
+          objectIndex: index,
+          severity: severities.packshot_unsafe
+        })
+      }
+    })
+
+    if (packshots.length > rules.packshotMaxCount) {
+      violations.push({
+        id: 'packshot_count',
+        message: `Creative has ${packshots.length} packshots. Maximum: ${rules.packshotMaxCount}`,
+        fix: null,
+        hint: 'Remove or combine packshots',
+        objectIndex: null,
+        severity: severities.packshot_count
+      })
+    }
+
+    return violations
+  },
+
+  fixes: {
+    scale_up_packshot(violation, context) {
+      const obj = context.canvasData.objects[violation.objectIndex]
+      if (!isPackshot(obj)) return false
+
+      // Scale around the centre until the packshot covers the minimum area, then make
+      // sure the larger packshot still fits where it has to be
+      const { width, height } = getOrientedBoundingBox(obj)
+      const minArea = context.rules.packshotMinArea * context.canvasWidth * context.canvasHeight
+      if (width * height > 0 && width * height < minArea) {
+        scaleAroundCenter(obj, Math.sqrt(minArea / (width * height)) * SCALE_UP_TOLERANCE)
+      }
+      moveInto(obj, getAllowedArea(context), context)
+      return true
+    },
+
+    move_packshot_into_safe_area(violation, context) {
+      const obj = context.canvasData.objects[violation.objectIndex]
+      if (!isPackshot(obj)) return false
+
+      moveInto(obj, getAllowedArea(context), context)
+      return true
+    }
+  }
+}
@@ -0,0 +1,71 @@
+import { getTextTarget } from '../checkHelpers.js'
+import { rewriteCopy } from '../copyFixer.js'
+import { findPhrases } from '../phraseMatcher.js'
+
+// Rewrite the offending text with the copy fixer, keeping it if nothing usable is left
+async function rewriteText(violation, context) {
+  const obj = getTextTarget(violation, context)
+  if (!obj) return false
+  const text = await rewriteCopy(obj.text || '', context.rules, context.openai, { role: obj.role })
+  if (!text) return false
+  obj.text = text
+  return true
+}
+
+// Quote the matched terms for a violation message
+function listMatches(matches) {
+  return matches.map(match => `"${match.text}"`).join(', ')
+}
+
+/**
+ * Prohibited copy check
+ * Text must not contain the pack's prohibited claims or words
+ * Phrases match whole words and their inflections; the pack's exception phrases
+ * (e.g. "gluten free") never count as a match. Violations list every matched term
+ * with its offsets into the text in `matches`.
+ */
+export default {
+  name: 'prohibitedCopy',
+  description: 'Text must not contain prohibited claims or words',
+  order: 60,
+  // The copy rewrite also follows the tag phrases and tone guidance
+  ruleFields: ['prohibitedClaims', 'prohibitedWords', 'exceptionPhrases', 'allowedTagPhrases', 'toneGuidelines', 'complianceRules', 'severities'],
+
+  check({ texts, rules, severities }) {
+    const violations = []
+    const options = { exceptions: rules.exceptionPhrases }
+
+    texts.forEach(({ index, textIndex, text }) => {
+      const claims = findPhrases(text, rules.prohibitedClaims, options)
+      if (claims.length > 0) {
+        violations.push({
+          id: `prohibited_claim_${textIndex}`,
+          message: `Text contains prohibited claim. Found: ${listMatches(claims)}`,
+          fix: 'fix_claims',
+          objectIndex: index,
+          severity: severities.prohibited_claim,
+          matches: claims
+        })
+      }
+
+      const words = findPhrases(text, rules.prohibitedWords, options)
+      if (words.length > 0) {
+        violations.push({
+          id: `unsafe_word_${textIndex}`,
+          message: `Text contains unsafe/prohibited word. Found: ${listMatches(words)}`,
+          fix: 'fix_unsafe_words',
+          objectIndex: index,
+          severity: severities.unsafe_word,
+          matches: words
+        })
+      }
+    })
+
+    return violations
+  },
+
+  fixes: {
+    fix_claims: rewriteText,
+    fix_unsafe_words: rewriteText
+  }
+}
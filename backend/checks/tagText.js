@@ -0,0 +1,103 @@
+import { getTextTarget, isTextObject } from '../checkHelpers.js'
+import { rewriteCopy } from '../copyFixer.js'
+import { getTextColumn, placeObject } from '../placement.js'
+
+/**
+ * TAG text check
+ * The creative must carry an approved TAG phrase, and text with the 'tag' role must use
+ * one of those phrases. Text without a role is judged by its content instead: short text
+ * mentioning the retailer counts as an attempted TAG.
+ */
+export default {
+  name: 'tagText',
+  description: 'Creatives need an approved TAG phrase',
+  order: 50,
+  ruleFields: ['allowedTagPhrases', 'brandKeywords', 'tagTextMaxLength', 'prohibitedClaims', 'prohibitedWords', 'toneGuidelines', 'complianceRules', 'severities', 'autoFix'],
+
+  check({ texts, rules, severities }) {
+    const violations = []
+    const requiredTagTexts = rules.allowedTagPhrases.map(tag => tag.toLowerCase())
+    const tagPhraseList = rules.allowedTagPhrases.map(tag => `"${tag}"`).join(' or ')
+    const brandKeywords = rules.brandKeywords.map(keyword => keyword.toLowerCase())
+    let tagTextFound = false
+
+    texts.forEach(({ index, textIndex, text, role }) => {
+      const textLower = text.toLowerCase()
+      if (requiredTagTexts.some(tag => textLower.includes(tag))) {
+        tagTextFound = true
+        return
+      }
+
+      // A TAG without an approved phrase, or text without a role that mentions the
+      // retailer but doesn't match the required format
+      const mentionsBrand = brandKeywords.some(keyword => textLower.includes(keyword))
+      if (role === 'tag' || (!role && mentionsBrand && text.length < rules.tagTextMaxLength)) {
+        violations.push({
+          id: `tag_text_incorrect_${textIndex}`,
+          message: `TAG text incorrect. Must contain ${tagPhraseList}. Current: "${text.substring(0, 40)}"`,
+          fix: 'fix_tag_text',
+          objectIndex: index,
+          severity: severities.tag_text_incorrect
+        })
+      }
+    })
+
+    if (!tagTextFound) {
+      violations.push({
+        id: 'missing_tag_text',
+        message: `Missing required TAG text. Must contain ${tagPhraseList}`,
+        fix: 'add_tag_text',
+        objectIndex: null,
+        severity: severities.missing_tag_text
+      })
+    }
+
+    return violations
+  },
+
+  fixes: {
+    add_tag_text(violation, context) {
+      const { canvasData, rules, unsafeZone } = context
+      // Check if tag text already exists
+      const allowedTags = rules.allowedTagPhrases.map(tag => tag.toLowerCase())
+      const hasTagText = canvasData.objects.some(obj => {
+        if (!isTextObject(obj)) return false
+        const text = (obj.text || '').toLowerCase()
+        return allowedTags.some(tag => text.includes(tag))
+      })
+      if (hasTagText) return false
+
+      const { margin, tagStyle } = rules.autoFix
+      const added = {
+        type: 'textbox',
+        text: rules.allowedTagPhrases[0],
+        role: 'tag',
+        left: Math.max(50, unsafeZone.left + margin),
+        top: unsafeZone.top + margin * 2,
+        ...tagStyle,
+        width: 200,
+        height: Math.round(tagStyle.fontSize * 1.25),
+        originX: 'left',
+        originY: 'top'
+      }
+      // Line it up with the existing copy, in free room from the top of the safe area
+      if (getTextColumn(context).align === 'center') added.textAlign = 'center'
+      placeObject(added, context, { anchor: 'top' })
+      canvasData.objects.push(added)
+      return true
+    },
+
+    async fix_tag_text(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+      // A TAG is replaced by the approved phrase; text read as a TAG by its content is
+      // rewritten around it
+      const text = obj.role === 'tag'
+        ? context.rules.allowedTagPhrases[0]
+        : await rewriteCopy(obj.text || '', context.rules, context.openai, { role: 'tag' })
+      if (!text) return false
+      obj.text = text
+      return true
+    }
+  }
+}
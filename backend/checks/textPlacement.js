@@ -0,0 +1,97 @@
+import { getTextTarget } from '../checkHelpers.js'
+import { getBoundingBox, translateObject } from '../geometry.js'
+import { placeObject } from '../placement.js'
+
+/**
+ * Text placement check
+ * Text must stay out of the unsafe zones of the canvas format. Texts are located by
+ * their true bounding box, so rotated, scaled and centre-origin texts are placed right.
+ */
+export default {
+  name: 'textPlacement',
+  description: 'Text must stay out of the unsafe zones',
+  order: 10,
+  ruleFields: ['unsafeZones', 'unsafeTop', 'unsafeBottom', 'severities', 'autoFix'],
+
+  check({ texts, unsafeZone, canvasWidth, canvasHeight, severities }) {
+    const violations = []
+
+    texts.forEach(({ obj, index, textIndex, text }) => {
+      const { top: textTop, bottom: textBottom, left: textLeft, right: textRight } = getBoundingBox(obj)
+      const excerpt = text.substring(0, 30)
+
+      if (textTop < unsafeZone.top) {
+        violations.push({
+          id: `text_unsafe_top_${textIndex}`,
+          message: `Text "${excerpt}..." is in unsafe top zone (<${unsafeZone.top}px)`,
+          fix: 'move_text_out_of_unsafe_zone',
+          objectIndex: index,
+          severity: severities.text_unsafe_top
+        })
+      }
+
+      if (textBottom > canvasHeight - unsafeZone.bottom) {
+        violations.push({
+          id: `text_unsafe_bottom_${textIndex}`,
+          message: `Text "${excerpt}..." is in unsafe bottom zone (>${canvasHeight - unsafeZone.bottom}px)`,
+          fix: 'move_text_out_of_unsafe_zone',
+          objectIndex: index,
+          severity: severities.text_unsafe_bottom
+        })
+      }
+
+      // Side margins are only checked when the format defines them
+      if (unsafeZone.left > 0 && textLeft < unsafeZone.left) {
+        violations.push({
+          id: `text_unsafe_left_${textIndex}`,
+          message: `Text "${excerpt}..." is in unsafe left margin (<${unsafeZone.left}px)`,
+          fix: 'move_text_out_of_unsafe_zone',
+          objectIndex: index,
+          severity: severities.text_unsafe_left
+        })
+      }
+
+      if (unsafeZone.right > 0 && textRight > canvasWidth - unsafeZone.right) {
+        violations.push({
+          id: `text_unsafe_right_${textIndex}`,
+          message: `Text "${excerpt}..." is in unsafe right margin (>${canvasWidth - unsafeZone.right}px)`,
+          fix: 'move_text_out_of_unsafe_zone',
+          objectIndex: index,
+          severity: severities.text_unsafe_right
+        })
+      }
+    })
+
+    return violations
+  },
+
+  fixes: {
+    move_text_out_of_unsafe_zone(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+
+      // Nearest free room in the safe area, clear of the other texts and packshots
+      if (placeObject(obj, context)) return true
+
+      // No free room: move the bounding box into the safe area even if it lands on something
+      const { unsafeZone, canvasWidth, canvasHeight } = context
+      const { margin } = context.rules.autoFix
+      const box = getBoundingBox(obj)
+
+      let dx = 0
+      let dy = 0
+      if (box.top < unsafeZone.top) {
+        dy = unsafeZone.top + margin - box.top // Add small margin
+      } else if (box.bottom > canvasHeight - unsafeZone.bottom) {
+        dy = Math.max(unsafeZone.top + margin, canvasHeight - unsafeZone.bottom - box.height - margin) - box.top
+      }
+      if (unsafeZone.left > 0 && box.left < unsafeZone.left) {
+        dx = unsafeZone.left + margin - box.left
+      } else if (unsafeZone.right > 0 && box.right > canvasWidth - unsafeZone.right) {
+        dx = Math.max(unsafeZone.left + margin, canvasWidth - unsafeZone.right - box.width - margin) - box.left
+      }
+      translateObject(obj, dx, dy)
+      return true
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { countWords, getRenderedFontSize, getTextTarget, getTypographyRole, isTextObject } from '../checkHelpers.js'
+import { rewriteCopy } from '../copyFixer.js'
+
+// Visible texts of each role in the pack's hierarchy, skipping the roles with no text
+function getHierarchyLevels(canvasData, rules) {
+  const texts = canvasData.objects
+    .map((obj, index) => ({ obj, index }))
+    .filter(({ obj }) => isTextObject(obj) && obj.visible !== false)
+  return rules.hierarchy
+    .map(role => ({ role, texts: texts.filter(({ obj }) => getTypographyRole(obj) === role) }))
+    .filter(level => level.texts.length > 0)
+}
+
+const capitalize = word => `${word.charAt(0).toUpperCase()}${word.slice(1)}`
+
+// The text of a level with the smallest or largest rendered font size
+const smallest = texts => texts.reduce((min, text) => (getRenderedFontSize(text.obj) < getRenderedFontSize(min.obj) ? text : min))
+const largest = texts => texts.reduce((max, text) => (getRenderedFontSize(text.obj) > getRenderedFontSize(max.obj) ? text : max))
+
+/**
+ * Typography check
+ * Texts must keep to the word limit of their role, and the roles of the pack's hierarchy
+ * (by default headline > subhead > body) must step down in size: every text of a role must
+ * be at least hierarchy_ratio times the largest text of the next role present below it.
+ * Long copy is shortened with the copy fixer; hierarchy is restored by growing the texts of
+ * the higher role.
+ */
+export default {
+  name: 'typography',
+  description: 'Texts must keep to their role word limits and the size hierarchy of roles',
+  order: 25,
+  // Shortened copy also follows the tag phrases and tone guidance
+  ruleFields: ['roleTypography', 'hierarchy', 'hierarchyRatio', 'allowedTagPhrases', 'toneGuidelines', 'complianceRules', 'severities'],
+
+  check({ canvasData, texts, rules, severities }) {
+    const violations = []
+
+    texts.forEach(({ obj, index, textIndex, text }) => {
+      const role = getTypographyRole(obj)
+      const maxWords = rules.roleTypography?.[role]?.maxWords
+      const words = countWords(text)
+      if (maxWords && words > maxWords) {
+        violations.push({
+          id: `too_many_words_${textIndex}`,
+          message: `${role === 'body' ? 'Text' : capitalize(role)} has ${words} words. Maximum: ${maxWords}`,
+          fix: 'shorten_copy',
+          objectIndex: index,
+          severity: severities.too_many_words
+        })
+      }
+    })
+
+    // Lower pairs first, so a fix that grows the middle role is made before the one above it
+    const levels = getHierarchyLevels(canvasData, rules)
+    for (let position = levels.length - 2; position >= 0; position--) {
+      const upper = smallest(levels[position].texts)
+      const lower = largest(levels[position + 1].texts)
+      const upperSize = getRenderedFontSize(upper.obj)
+      const lowerSize = getRenderedFontSize(lower.obj)
+      if (upperSize >= lowerSize * rules.hierarchyRatio) continue
+
+      const upperRole = levels[position].role
+      const lowerRole = levels[position + 1].role
+      violations.push({
+        id: `hierarchy_${upperRole}_${lowerRole}`,
+        message: `${capitalize(upperRole)} (${upperSize.toFixed(1)}px) must be at least ${rules.hierarchyRatio}× the ${lowerRole} (${lowerSize.toFixed(1)}px)`,
+        fix: 'fix_hierarchy',
+        objectIndex: upper.index,
+        relatedObjectIndex: lower.index,
+        severity: severities.hierarchy
+      })
+    }
+
+    return violations
+  },
+
+  fixes: {
+    async shorten_copy(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+
+      const maxWords = context.rules.roleTypography?.[getTypographyRole(obj)]?.maxWords
+      if (!maxWords) return false
+      const text = await rewriteCopy(obj.text || '', context.rules, context.openai, { maxWords, role: obj.role })
+      if (!text) return false
+      obj.text = text
+      return true
+    },
+
+    fix_hierarchy(violation, context) {
+      const obj = getTextTarget(violation, context)
+      if (!obj) return false
+
+      // Sizes are read again, as fixes for the roles below may have changed them
+      const levels = getHierarchyLevels(context.canvasData, context.rules)
+      const position = levels.findIndex(level => level.role === getTypographyRole(obj))
+      if (position === -1 || position === levels.length - 1) return false
+
+      const target = Math.ceil(getRenderedFontSize(largest(levels[position + 1].texts).obj) * context.rules.hierarchyRatio)
+      levels[position].texts.forEach(({ obj: text }) => {
+        if (getRenderedFontSize(text) >= target) return
+        const scale = Math.max(text.scaleX || 1, text.scaleY || 1)
+        text.fontSize = target / scale
+      })
+      return true
+    }
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Color Utilities
+ * WCAG contrast helpers shared by the compliance checks and auto-fix
+ */
+
+/**
+ * WCAG minimum contrast ratios per conformance level for normal and large text
+ */
+export const WCAG_CONTRAST_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+}
+
+// WCAG large text: at least 18pt (24px), or 14pt (18.66px) when bold
+const LARGE_TEXT_SIZE = 24
+const LARGE_BOLD_TEXT_SIZE = 18.66
+
+/**
+ * Check whether text counts as large text for WCAG contrast
+ * @param {number} fontSize - Rendered font size in pixels
+ * @param {string|number} fontWeight - CSS font weight
+ * @returns {boolean}
+ */
+export function isLargeText(fontSize, fontWeight) {
+  const bold = fontWeight === 'bold' || fontWeight === 'bolder' || Number(fontWeight) >= 700
+  return fontSize >= LARGE_TEXT_SIZE || (bold && fontSize >= LARGE_BOLD_TEXT_SIZE)
+}
+
+// CSS named colours, as 6-digit hex without the '#'
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+  firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+  magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+  sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+  skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+  whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+}
+
+// Arguments of rgb()/hsl(), separated by commas, spaces or a slash before the alpha
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i
+
+// Parse a CSS number or percentage; percentages are scaled to `range`
+function parseComponent(value, range) {
+  if (value === undefined) return NaN
+  return value.endsWith('%') ? parseFloat(value) / 100 * range : parseFloat(value)
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// Convert HSL (hue in degrees, saturation and lightness 0-1) to RGB 0-255
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 60
+  const chroma = (1 - Math.abs(2 * l - 1)) * s
+  const x = chroma * (1 - Math.abs(hue % 2 - 1))
+  const [r, g, b] = hue < 1 ? [chroma, x, 0]
+    : hue < 2 ? [x, chroma, 0]
+    : hue < 3 ? [0, chroma, x]
+    : hue < 4 ? [0, x, chroma]
+    : hue < 5 ? [x, 0, chroma]
+    : [chroma, 0, x]
+  const m = l - chroma / 2
+  return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 }
+}
+
+/**
+ * Parse a CSS or Fabric.js colour
+ * Understands hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla(),
+ * named colours, 'transparent' and { r, g, b, a } objects.
+ * @param {string|Object} color - Colour to parse
+ * @returns {Object|null} { r, g, b, a } with channels 0-255 and alpha 0-1, or null if not a colour
+ */
+export function parseColor(color) {
+  if (typeof color === 'object' && color !== null && color.r !== undefined) {
+    return { r: color.r, g: color.g, b: color.b, a: color.a ?? 1 }
+  }
+  if (typeof color !== 'string') return null
+
+  const value = color.trim().toLowerCase()
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 }
+
+  // Bare 6-digit hex is accepted too, as hexToRgb always has
+  const hex = /^#([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$|^([a-f\d]{6})$/.exec(NAMED_COLORS[value] ? `#${NAMED_COLORS[value]}` : value)
+  if (hex) {
+    const short = hex[1] || hex[2]
+    const digits = short.length <= 4 ? short.replace(/./g, digit => digit + digit) : short
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    }
+  }
+
+  const call = FUNCTION_PATTERN.exec(value)
+  if (!call) return null
+  const [first, second, third, alpha] = call[2].split(/\s*[,/]\s*|\s+/).filter(Boolean)
+  const a = alpha === undefined ? 1 : clamp(parseComponent(alpha, 1), 0, 1)
+
+  const rgb = call[1].startsWith('rgb')
+    ? { r: parseComponent(first, 255), g: parseComponent(second, 255), b: parseComponent(third, 255) }
+    : hslToRgb(parseFloat(first), clamp(parseComponent(second, 1), 0, 1), clamp(parseComponent(third, 1), 0, 1))
+  if ([rgb.r, rgb.g, rgb.b, a].some(Number.isNaN)) return null
+
+  return { r: clamp(rgb.r, 0, 255), g: clamp(rgb.g, 0, 255), b: clamp(rgb.b, 0, 255), a }
+}
+
+/**
+ * Composite a translucent colour over an opaque one
+ * @param {Object} foreground - { r, g, b, a }
+ * @param {Object} background - { r, g, b }
+ * @param {number} opacity - Extra opacity applied to the foreground, e.g. the object's opacity
+ * @returns {Object} { r, g, b }
+ */
+export function compositeColor(foreground, background, opacity = 1) {
+  const alpha = clamp((foreground.a ?? 1) * opacity, 0, 1)
+  return {
+    r: foreground.r * alpha + background.r * (1 - alpha),
+    g: foreground.g * alpha + background.g * (1 - alpha),
+    b: foreground.b * alpha + background.b * (1 - alpha)
+  }
+}
+
+// Helper function to convert a color to RGB, ignoring alpha
+export function hexToRgb(hex) {
+  const color = parseColor(hex)
+  return color ? { r: color.r, g: color.g, b: color.b } : null
+}
+
+// Calculate relative luminance for contrast calculation
+function getLuminance(r, g, b) {
+  const [rs, gs, bs] = [r, g, b].map(val => {
+    val = val / 255
+    return val <= 0.03928 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4)
+  })
+  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs
+}
+
+// Calculate contrast ratio between two colors
+export function getContrastRatio(color1, color2) {
+  const rgb1 = hexToRgb(color1)
+  const rgb2 = hexToRgb(color2)
+  
+  if (!rgb1 || !rgb2) return 1 // Default to low contrast if colors invalid
+  
+  const lum1 = getLuminance(rgb1.r, rgb1.g, rgb1.b)
+  const lum2 = getLuminance(rgb2.r, rgb2.g, rgb2.b)
+  
+  const lighter = Math.max(lum1, lum2)
+  const darker = Math.min(lum1, lum2)
+  
+  return (lighter + 0.05) / (darker + 0.05)
+}
+
+/**
+ * Darken or lighten a hex color
+ * @param {string} hex - Hex color string
+ * @param {number} percent - Percentage to darken (negative) or lighten (positive)
+ * @returns {string} Adjusted hex color
+ */
+function adjustColorBrightness(hex, percent) {
+  const num = parseInt(hex.replace('#', ''), 16)
+  if (isNaN(num)) return hex // Return original if invalid
+  
+  const r = (num >> 16) & 0xFF
+  const g = (num >> 8) & 0xFF
+  const b = num & 0xFF
+  
+  const newR = Math.min(255, Math.max(0, Math.round(r + r * percent)))
+  const newG = Math.min(255, Math.max(0, Math.round(g + g * percent)))
+  const newB = Math.min(255, Math.max(0, Math.round(b + b * percent)))
+  
+  return '#' + [newR, newG, newB].map(x => {
+    const hex = x.toString(16)
+    return hex.length === 1 ? '0' + hex : hex
+  }).join('')
+}
+
+/**
+ * Get luminance of a hex color
+ * @param {string} hex - Hex color string
+ * @returns {number} Luminance value (0-1)
+ */
+function getColorLuminance(hex) {
+  const rgb = hexToRgb(hex)
+  if (!rgb) return 0.5
+  return getLuminance(rgb.r, rgb.g, rgb.b)
+}
+
+// Black or white, whichever contrasts more with the background; mid greys can favour black
+function getExtremeColor(backgroundColor) {
+  return getContrastRatio('#000000', backgroundColor) >= getContrastRatio('#FFFFFF', backgroundColor) ? '#000000' : '#FFFFFF'
+}
+
+/**
+ * Fix text contrast by adjusting color brightness
+ * @param {string} textColor - Current text color (hex)
+ * @param {string} backgroundColor - Background color (hex)
+ * @param {number} targetRatio - Target contrast ratio
+ * @returns {string} Adjusted text color
+ */
+export function fixTextContrast(textColor, backgroundColor, targetRatio = 4.5) {
+  const bgLuminance = getColorLuminance(backgroundColor)
+  const currentRatio = getContrastRatio(textColor, backgroundColor)
+  
+  if (currentRatio >= targetRatio) {
+    return textColor // Already meets requirement
+  }
+  
+  // If background is light, darken text; if dark, lighten text
+  if (bgLuminance > 0.5) {
+    // Light background - darken text
+    let adjustedColor = textColor
+    let attempts = 0
+    while (getContrastRatio(adjustedColor, backgroundColor) < targetRatio && attempts < 20) {
+      adjustedColor = adjustColorBrightness(adjustedColor, -0.1) // Darken by 10%
+      attempts++
+    }
+    // If still not enough contrast, use black or white, whichever contrasts more
+    if (getContrastRatio(adjustedColor, backgroundColor) < targetRatio) {
+      return getExtremeColor(backgroundColor)
+    }
+    return adjustedColor
+  } else {
+    // Dark background - lighten text
+    let adjustedColor = textColor
+    let attempts = 0
+    while (getContrastRatio(adjustedColor, backgroundColor) < targetRatio && attempts < 20) {
+      adjustedColor = adjustColorBrightness(adjustedColor, 0.1) // Lighten by 10%
+      attempts++
+    }
+    // If still not enough contrast, use black or white, whichever contrasts more
+    if (getContrastRatio(adjustedColor, backgroundColor) < targetRatio) {
+      return getExtremeColor(backgroundColor)
+    }
+    return adjustedColor
+  }
+}
+
+/**
+ * Convert a Fabric.js fill to a hex color
+ * Alpha is dropped; use parseColor and compositeColor where translucency matters.
+ * @param {string|Object} color - Any colour parseColor understands
+ * @param {string} fallback - Color used when the fill cannot be converted
+ * @returns {string} Hex color
+ */
+export function toHexColor(color, fallback = '#000000') {
+  const rgb = parseColor(color)
+  if (!rgb) return fallback
+  return '#' + [rgb.r, rgb.g, rgb.b]
+    .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('')
+}
@@ -0,0 +1,147 @@
+/**
+ * Copy Fixer Module
+ * Rewrites non-compliant text with an LLM, falling back to basic sanitization
+ */
+
+import { findPhrases } from './phraseMatcher.js'
+
+const USER_PROMPT = 'Rewrite this text to be compliant with retailer rules, avoid claims, avoid misleading language, and enforce allowed terms:'
+
+/**
+ * Build the system prompt for the copy editor
+ * @param {Object} rules - Retail rules object
+ * @param {Object} options - Options
+ * @param {boolean} options.keepStructure - Ask for the headline and subhead on their own lines
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt(rules, { keepStructure = false } = {}) {
+  return `You are a copy editor specializing in retail marketing compliance. Your task is to rewrite marketing copy to be compliant with retailer rules.
+
+Key Requirements:
+- Avoid claims and superlatives (best, cheapest, guaranteed, etc.)
+- Avoid misleading language
+- Use only allowed terms and phrases
+- Enforce compliance with retailer guidelines
+- Maintain the core message while ensuring compliance
+- Keep the tone professional and factual
+- If tag text is present, ensure it matches retailer-approved phrases
+
+Retailer Rules:
+- Allowed Tag Phrases: ${rules.allowedTagPhrases?.join(', ') || 'Only at Tesco, Available at Tesco'}
+- Prohibited Claims: ${rules.prohibitedClaims?.join(', ') || 'best, cheapest, guaranteed'}
+- Prohibited Words: ${rules.prohibitedWords?.join(', ') || 'free, guarantee, warranty'}
+- Allowed Exceptions: ${rules.exceptionPhrases?.join(', ') || 'gluten free, best before'}
+- Tone Guidelines: ${rules.toneGuidelines?.join('; ') || 'Avoid superlatives, use factual language'}
+- Compliance Rules: ${rules.complianceRules?.join('; ') || 'No misleading claims, clear pricing'}
+
+Return ONLY the corrected copy${keepStructure ? ', maintaining the same structure (headline and subhead if both provided)' : ''}. Do not include explanations or notes.`
+}
+
+/**
+ * Remove prohibited claims and words from text
+ * Terms are matched like the prohibited copy check does, so exception phrases such as
+ * "gluten free" are kept.
+ * @param {string} text - Text to sanitize
+ * @param {Object} rules - Retail rules object
+ * @param {Object} options - Options
+ * @param {string} options.role - Role of the text; only a 'tag' falls back to an approved phrase
+ * @returns {string} Sanitized text, empty if nothing is left (the first allowed tag phrase for a TAG)
+ */
+export function sanitizeCopy(text, rules, { role = null } = {}) {
+  const prohibited = [...(rules.prohibitedClaims || []), ...(rules.prohibitedWords || [])]
+  const matches = findPhrases(text, prohibited, { exceptions: rules.exceptionPhrases })
+
+  // Cut the matched spans from the end so earlier offsets stay valid
+  const sanitized = matches.reduceRight(
+    (result, match) => result.slice(0, match.start) + result.slice(match.end),
+    text
+  )
+  const result = sanitized.replace(/\s+/g, ' ').trim()
+  return result || (role === 'tag' && rules.allowedTagPhrases?.[0]) || ''
+}
+
+/**
+ * Cut text down to a number of words
+ * @param {string} text - Text
+ * @param {number} maxWords - Words to keep
+ * @returns {string} The first maxWords words, without trailing punctuation left dangling
+ */
+function limitWords(text, maxWords) {
+  const words = text.split(/\s+/).filter(Boolean)
+  if (words.length <= maxWords) return text
+  return words.slice(0, maxWords).join(' ').replace(/[,;:\-–—]+$/, '')
+}
+
+/**
+ * Rewrite text to comply with the retailer rules
+ * Tries Groq (free) first, then OpenAI. Without an LLM, or if the LLM call fails, the text
+ * is sanitized instead (and cut down to the word limit); a TAG falls back to the first
+ * allowed tag phrase.
+ * @param {string} text - Current text
+ * @param {Object} rules - Retail rules object
+ * @param {Object|null} openai - OpenAI client
+ * @param {Object} options - Options
+ * @param {number} options.maxWords - Most words the rewritten text may have
+ * @param {string} options.role - Role of the text, e.g. 'tag'
+ * @returns {Promise<string>} Corrected text, empty if nothing usable is left
+ */
+export async function rewriteCopy(text, rules, openai = null, { maxWords = null, role = null } = {}) {
+  const fitWords = result => (maxWords ? limitWords(result, maxWords) : result)
+  const groqApiKey = process.env.GROQ_API_KEY &&
+                    process.env.GROQ_API_KEY !== 'your-groq-api-key-here'
+                    ? process.env.GROQ_API_KEY : null
+
+  if (!groqApiKey && !openai) {
+    return fitWords(sanitizeCopy(text, rules, { role }))
+  }
+
+  try {
+    const messages = [
+      { role: 'system', content: buildSystemPrompt(rules) },
+      { role: 'user', content: `${USER_PROMPT}${maxWords ? ` Use at most ${maxWords} words.` : ''}\n\n${text}\n\nReturn the corrected copy:` }
+    ]
+    let correctedText
+
+    if (groqApiKey) {
+      // Use Groq API (free)
+      const groqResponse = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${groqApiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: 'llama-3.1-70b-versatile',
+          messages,
+          temperature: 0.3,
+          max_tokens: 200
+        })
+      })
+
+      if (groqResponse.ok) {
+        const groqData = await groqResponse.json()
+        correctedText = groqData.choices[0]?.message?.content?.trim()
+      }
+    }
+
+    if (!correctedText && openai) {
+      // Fallback to OpenAI if Groq failed or not available
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-4',
+        messages,
+        temperature: 0.3,
+        max_tokens: 200
+      })
+
+      correctedText = completion.choices[0]?.message?.content?.trim()
+    }
+
+    if (!correctedText) {
+      throw new Error('LLM fix failed')
+    }
+    return fitWords(correctedText)
+  } catch (llmError) {
+    console.error('LLM copy fix failed:', llmError)
+    return fitWords(sanitizeCopy(text, rules, { role }))
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Custom Rules Module
+ * Evaluates the declarative custom_rules of a rule pack against canvas data
+ *
+ * Rule types:
+ * - text_match: every text matching `pattern` is a violation, with each match in `matches`
+ * - region: objects matching `select` must be `inside` or `outside` of `region`
+ * - count: the number of objects matching `select` must be within `min` / `max`
+ * - requires: if any object matches `if`, at least one object must match `then`
+ */
+
+import { resolveUnsafeZone, toPixels } from './unsafeZones.js'
+import { TEXT_TYPES, getRole } from './checkHelpers.js'
+import { getBoundingBox } from './geometry.js'
+
+// Check whether a value is one of the allowed values (a single value or a list)
+function oneOf(allowed, value) {
+  return [].concat(allowed).includes(value)
+}
+
+/**
+ * Check whether an object matches a selector
+ * Selectors can filter on `type` ('text' matches every text type), `name`, `role` and `text` (regex).
+ * @param {Object} obj - Canvas object JSON
+ * @param {Object} select - Selector from the rule
+ * @returns {boolean}
+ */
+function matchesSelector(obj, select = {}) {
+  if (select.type) {
+    const types = [].concat(select.type)
+    const isText = TEXT_TYPES.includes(obj.type)
+    if (!types.includes(obj.type) && !(isText && types.includes('text'))) return false
+  }
+
+  if (select.name && !oneOf(select.name, obj.name)) return false
+
+  if (select.role && !oneOf(select.role, getRole(obj))) return false
+
+  if (select.text) {
+    if (!TEXT_TYPES.includes(obj.type)) return false
+    if (!new RegExp(select.text, select.flags ?? 'i').test(obj.text || '')) return false
+  }
+
+  return true
+}
+
+/**
+ * Resolve a rule region to a box in canvas pixels
+ * @param {Object|string} region - 'safe_area' or { left, top, right, bottom } in pixels or percentages
+ * @param {Object} canvas - { width, height, rules }
+ * @returns {Object} { left, top, right, bottom }
+ */
+function resolveRegion(region, { width, height, rules }) {
+  if (region === 'safe_area') {
+    const zone = resolveUnsafeZone(rules, width, height)
+    return { left: zone.left, top: zone.top, right: width - zone.right, bottom: height - zone.bottom }
+  }
+
+  return {
+    left: toPixels(region.left ?? 0, width),
+    top: toPixels(region.top ?? 0, height),
+    right: toPixels(region.right ?? width, width),
+    bottom: toPixels(region.bottom ?? height, height)
+  }
+}
+
+/**
+ * Fill a message template such as 'Found "{match}" in "{text}"'
+ * @param {string} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message
+ */
+function formatMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (
+    values[key] !== undefined ? String(values[key]) : placeholder
+  ))
+}
+
+/**
+ * Build a violation for a custom rule
+ * @param {Object} rule - Custom rule
+ * @param {Object} values - Placeholder values for the message
+ * @param {number|null} objectIndex - Index of the offending object, or null for canvas-wide rules
+ * @returns {Object} Violation
+ */
+function createViolation(rule, values, objectIndex = null) {
+  return {
+    id: objectIndex === null ? rule.id : `${rule.id}_${objectIndex + 1}`,
+    rule: rule.id,
+    message: formatMessage(rule.message, { id: rule.id, ...values }),
+    fix: rule.fix || null,
+    hint: rule.hint || null,
+    objectIndex,
+    severity: rule.severity || 'medium'
+  }
+}
+
+const evaluators = {
+  text_match(rule, objects) {
+    const pattern = new RegExp(rule.pattern, `${rule.flags ?? 'i'}g`)
+    return objects
+      .filter(({ obj }) => TEXT_TYPES.includes(obj.type) && matchesSelector(obj, rule.select))
+      .map(({ obj, index }) => {
+        const text = obj.text || ''
+        const matches = [...text.matchAll(pattern)]
+          .filter(match => match[0].length > 0)
+          .map(match => ({ phrase: rule.id, text: match[0], start: match.index, end: match.index + match[0].length }))
+        if (matches.length === 0) return null
+        return {
+          ...createViolation(rule, { text: text.substring(0, 30), match: matches[0].text }, index),
+          matches
+        }
+      })
+      .filter(Boolean)
+  },
+
+  region(rule, objects, canvas) {
+    const region = resolveRegion(rule.region, canvas)
+    const mustBeInside = (rule.must || 'inside') === 'inside'
+
+    return objects
+      .filter(({ obj }) => matchesSelector(obj, rule.select))
+      .filter(({ obj }) => {
+        const bounds = getBoundingBox(obj)
+        const inside = bounds.left >= region.left && bounds.top >= region.top &&
+          bounds.right <= region.right && bounds.bottom <= region.bottom
+        const overlaps = bounds.left < region.right && bounds.right > region.left &&
+          bounds.top < region.bottom && bounds.bottom > region.top
+        return mustBeInside ? !inside : overlaps
+      })
+      .map(({ obj, index }) => createViolation(rule, { name: obj.name || obj.type, text: (obj.text || '').substring(0, 30) }, index))
+  },
+
+  count(rule, objects) {
+    const count = objects.filter(({ obj }) => matchesSelector(obj, rule.select)).length
+    const tooFew = rule.min !== undefined && count < rule.min
+    const tooMany = rule.max !== undefined && count > rule.max
+    return tooFew || tooMany
+      ? [createViolation(rule, { count, min: rule.min, max: rule.max })]
+      : []
+  },
+
+  requires(rule, objects) {
+    const trigger = objects.find(({ obj }) => matchesSelector(obj, rule.if))
+    if (!trigger || objects.some(({ obj }) => matchesSelector(obj, rule.then))) {
+      return []
+    }
+    return [createViolation(rule, { text: (trigger.obj.text || '').substring(0, 30) }, trigger.index)]
+  }
+}
+
+/**
+ * Evaluate the custom rules of a rule pack
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @param {Object} rules - Retail rules object
+ * @param {Function} isOverlay - Returns true for editor overlays that should be ignored
+ * @returns {Array} Array of violation objects
+ */
+export function evaluateCustomRules(canvasData, rules, isOverlay = () => false) {
+  const customRules = rules.customRules || []
+  if (customRules.length === 0 || !Array.isArray(canvasData.objects)) {
+    return []
+  }
+
+  const objects = canvasData.objects
+    .map((obj, index) => ({ obj, index }))
+    .filter(({ obj }) => !isOverlay(obj))
+  const canvas = {
+    width: canvasData.width || 1080,
+    height: canvasData.height || 1080,
+    rules
+  }
+
+  return customRules.flatMap(rule => {
+    const evaluate = evaluators[rule.type]
+    if (!evaluate) {
+      console.warn(`Unknown custom rule type "${rule.type}" in rule "${rule.id}"`)
+      return []
+    }
+    return evaluate(rule, objects, canvas)
+  })
+}
+
+/**
+ * Check the regular expressions of custom rules
+ * JSON Schema cannot tell whether a pattern compiles, so this runs after schema validation.
+ * @param {Array} customRules - custom_rules from a rule pack
+ * @returns {Array<Object>} Field-level errors
+ */
+export function validateCustomRulePatterns(customRules = []) {
+  const errors = []
+  const seen = new Set()
+
+  customRules.forEach((rule, index) => {
+    if (seen.has(rule.id)) {
+      errors.push({ field: `custom_rules[${index}].id`, message: `duplicate rule id "${rule.id}"` })
+    }
+    seen.add(rule.id)
+
+    const patterns = [
+      ['pattern', rule.pattern, rule.flags],
+      ['select.text', rule.select?.text, rule.select?.flags],
+      ['if.text', rule.if?.text, rule.if?.flags],
+      ['then.text', rule.then?.text, rule.then?.flags]
+    ]
+    patterns
+      .filter(([, pattern]) => pattern !== undefined)
+      .forEach(([field, pattern, flags]) => {
+        try {
+          new RegExp(pattern, flags ?? 'i')
+        } catch (error) {
+          errors.push({ field: `custom_rules[${index}].${field}`, message: error.message })
+        }
+      })
+  })
+
+  return errors
+}
@@ -0,0 +1,86 @@
+/**
+ * Fix Patch Module
+ * Describes what auto-fix would change as a patch the editor can review change by change
+ *
+ * Objects are matched by their `id` at any depth in groups, so properties of a nested object
+ * are in its group's coordinates, as the editor sets them. A changed object lists each changed
+ * property with its value before and after the fixes. Objects the fixes add come whole, and a
+ * restacked object shows its move as the `index` property (its top-level position).
+ */
+
+import { flattenCanvasObjects } from './objectTree.js'
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Find the objects that changed stacking position
+ * The objects that keep their relative order form the longest increasing run of old
+ * positions; everything outside it was moved.
+ * @param {Array<number>} positions - Old position of each kept object, in the new order
+ * @returns {Set<number>} Old positions of the moved objects
+ */
+function findMovedPositions(positions) {
+  const lengths = positions.map(() => 1)
+  const previous = positions.map(() => -1)
+  positions.forEach((position, i) => {
+    for (let j = 0; j < i; j++) {
+      if (positions[j] < position && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1
+        previous[i] = j
+      }
+    }
+  })
+
+  const kept = new Set()
+  let i = lengths.indexOf(Math.max(0, ...lengths))
+  while (i !== -1) {
+    kept.add(positions[i])
+    i = previous[i]
+  }
+  return new Set(positions.filter(position => !kept.has(position)))
+}
+
+/**
+ * Create the patch between a canvas and its fixed version
+ * @param {Object} before - Canvas JSON before the fixes; every object needs an id
+ * @param {Object} after - Canvas JSON returned by applyAutoFix for it
+ * @returns {Array<Object>} One entry per object, in the paint order after the fixes:
+ *   { objectId, path, type: 'modify', changes: Array<{ property, before, after }> },
+ *   { objectId, path, type: 'add', object } or { objectId, path, type: 'remove' }
+ */
+export function createFixPatch(before, after) {
+  const beforeEntries = flattenCanvasObjects(before)
+  const afterEntries = flattenCanvasObjects(after)
+  const beforeById = new Map(beforeEntries.map(entry => [entry.source.id, entry]))
+  const afterIds = new Set(afterEntries.map(entry => entry.source.id))
+
+  // Top-level objects that were there before, in their new order
+  const kept = (after.objects || []).filter(obj => beforeById.has(obj.id))
+  const moved = findMovedPositions(kept.map(obj => beforeById.get(obj.id).path[0]))
+
+  const patch = []
+  afterEntries.forEach(({ source, path }) => {
+    const previous = beforeById.get(source.id)
+    if (!previous) {
+      // Children come with the object added around them
+      if (path.length === 1) patch.push({ objectId: source.id, path, type: 'add', object: source })
+      return
+    }
+
+    const properties = new Set([...Object.keys(previous.source), ...Object.keys(source)])
+    properties.delete('objects')
+    const changes = [...properties]
+      .filter(property => !sameValue(previous.source[property], source[property]))
+      .map(property => ({ property, before: previous.source[property], after: source[property] }))
+    if (path.length === 1 && moved.has(previous.path[0])) {
+      changes.push({ property: 'index', before: previous.path[0], after: path[0] })
+    }
+    if (changes.length > 0) patch.push({ objectId: source.id, path, type: 'modify', changes })
+  })
+
+  beforeEntries
+    .filter(({ source, path }) => !afterIds.has(source.id) && path.length === 1)
+    .forEach(({ source, path }) => patch.push({ objectId: source.id, path, type: 'remove' }))
+
+  return patch
+}
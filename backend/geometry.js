@@ -0,0 +1,321 @@
+/**
+ * Geometry Module
+ * Works out where Fabric.js objects really are on the canvas
+ *
+ * `left` and `top` place an object's origin point (originX/originY), and the object is
+ * scaled, flipped, skewed and rotated around its centre, as Fabric does it. The helpers
+ * here turn that into canvas coordinates: the centre, the oriented bounding box (the
+ * object's own rectangle, turned with it) and the axis-aligned bounding box around it.
+ */
+
+const ORIGINS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 }
+
+const toRadians = degrees => (degrees || 0) * Math.PI / 180
+
+/**
+ * Convert an origin to a fraction of the object's size
+ * @param {string|number} origin - 'left', 'center', 'right', 'top', 'bottom' or a fraction
+ * @returns {number} 0 for left/top, 0.5 for center, 1 for right/bottom
+ */
+export function originOffset(origin) {
+  return typeof origin === 'number' ? origin : ORIGINS[origin] ?? 0
+}
+
+/**
+ * Get the width of the stroke painted around an object
+ * Fabric.js adds strokeWidth to the size even without a stroke colour; that size is what
+ * it positions the origin by, but only a visible stroke counts towards the painted box.
+ * @param {Object} obj - Object JSON
+ * @param {boolean} painted - Only count the stroke when it is actually drawn
+ * @returns {number} Stroke width
+ */
+function getStrokeWidth(obj, painted) {
+  if (painted && (!obj.stroke || obj.stroke === 'transparent')) return 0
+  return obj.strokeWidth ?? 0
+}
+
+/**
+ * Get the matrix that scales, flips and skews an object (no rotation or position)
+ * @param {Object} obj - Object JSON
+ * @returns {Array<number>} [a, b, c, d] mapping (x, y) to (a·x + c·y, b·x + d·y)
+ */
+function getDimensionsMatrix(obj) {
+  const scaleX = (obj.scaleX ?? 1) * (obj.flipX ? -1 : 1)
+  const scaleY = (obj.scaleY ?? 1) * (obj.flipY ? -1 : 1)
+  const skewX = Math.tan(toRadians(obj.skewX))
+  const skewY = Math.tan(toRadians(obj.skewY))
+
+  // scale · skewX · skewY, in Fabric's order
+  return [
+    scaleX * (1 + skewX * skewY),
+    scaleY * skewY,
+    scaleX * skewX,
+    scaleY
+  ]
+}
+
+/**
+ * Get the size of an object after scaling and skewing, before rotation
+ * A skewed object is measured by the box around its slanted shape.
+ * @param {Object} obj - Object JSON
+ * @param {Object} options - Options
+ * @param {boolean} options.painted - Only include a visible stroke (default: Fabric's sizing)
+ * @returns {Object} { width, height }
+ */
+export function getTransformedSize(obj, { painted = false } = {}) {
+  const strokeWidth = getStrokeWidth(obj, painted)
+  const halfWidth = ((obj.width || 0) + strokeWidth) / 2
+  const halfHeight = ((obj.height || 0) + strokeWidth) / 2
+  const [a, b, c, d] = getDimensionsMatrix(obj)
+
+  const corners = [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]
+    .map(([x, y]) => ({ x: a * x + c * y, y: b * x + d * y }))
+  const xs = corners.map(point => point.x)
+  const ys = corners.map(point => point.y)
+  return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) }
+}
+
+/**
+ * Get the centre of an object in canvas coordinates
+ * @param {Object} obj - Object JSON
+ * @returns {Object} { x, y }
+ */
+export function getObjectCenter(obj) {
+  const { width, height } = getTransformedSize(obj)
+  const angle = toRadians(obj.angle)
+
+  // left/top position the origin point; the offset to the centre turns with the object
+  const dx = (0.5 - originOffset(obj.originX ?? 'left')) * width
+  const dy = (0.5 - originOffset(obj.originY ?? 'top')) * height
+  return {
+    x: (obj.left || 0) + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: (obj.top || 0) + dx * Math.sin(angle) + dy * Math.cos(angle)
+  }
+}
+
+/**
+ * Map a point in the object's own coordinates to the canvas
+ * Object coordinates are unscaled and centred: (0, 0) is the centre and
+ * (±width / 2, ±height / 2) are the corners of the object's box.
+ * @param {Object} obj - Object JSON
+ * @param {number} x - Object x
+ * @param {number} y - Object y
+ * @returns {Object} { x, y } on the canvas
+ */
+export function toCanvasPoint(obj, x, y) {
+  return applyMatrix(getObjectMatrix(obj), x, y)
+}
+
+/**
+ * Map a canvas point into the object's own coordinates (the inverse of toCanvasPoint)
+ * @param {Object} obj - Object JSON
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {Object} { x, y } in object coordinates, or { x: NaN, y: NaN } for a zero scale
+ */
+export function toLocalPoint(obj, x, y) {
+  const matrix = getObjectMatrix(obj)
+  if (matrix[0] * matrix[3] - matrix[1] * matrix[2] === 0) return { x: NaN, y: NaN }
+  return applyMatrix(invertMatrix(matrix), x, y)
+}
+
+/**
+ * Apply a transform matrix to a point
+ * @param {Array<number>} matrix - [a, b, c, d, e, f]
+ * @param {number} x - x
+ * @param {number} y - y
+ * @returns {Object} { x, y }
+ */
+export function applyMatrix([a, b, c, d, e, f], x, y) {
+  return { x: a * x + c * y + e, y: b * x + d * y + f }
+}
+
+/**
+ * Get the transform matrix of an object, like Fabric's calcOwnMatrix
+ * @param {Object} obj - Object JSON
+ * @returns {Array<number>} [a, b, c, d, e, f] mapping object coordinates to its parent's
+ */
+export function getObjectMatrix(obj) {
+  const [a, b, c, d] = getDimensionsMatrix(obj)
+  const center = getObjectCenter(obj)
+  const angle = toRadians(obj.angle)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return [
+    a * cos - b * sin,
+    a * sin + b * cos,
+    c * cos - d * sin,
+    c * sin + d * cos,
+    center.x,
+    center.y
+  ]
+}
+
+/**
+ * Multiply two transform matrices (apply `second`, then `first`)
+ * @param {Array<number>} first - [a, b, c, d, e, f]
+ * @param {Array<number>} second - [a, b, c, d, e, f]
+ * @returns {Array<number>} Product
+ */
+export function multiplyMatrices(first, second) {
+  return [
+    first[0] * second[0] + first[2] * second[1],
+    first[1] * second[0] + first[3] * second[1],
+    first[0] * second[2] + first[2] * second[3],
+    first[1] * second[2] + first[3] * second[3],
+    first[0] * second[4] + first[2] * second[5] + first[4],
+    first[1] * second[4] + first[3] * second[5] + first[5]
+  ]
+}
+
+/**
+ * Invert a transform matrix
+ * @param {Array<number>} matrix - [a, b, c, d, e, f]
+ * @returns {Array<number>} Inverse, or the identity for a singular matrix
+ */
+export function invertMatrix([a, b, c, d, e, f]) {
+  const determinant = a * d - b * c
+  if (determinant === 0) return [1, 0, 0, 1, 0, 0]
+  return [
+    d / determinant,
+    -b / determinant,
+    -c / determinant,
+    a / determinant,
+    (c * f - d * e) / determinant,
+    (b * e - a * f) / determinant
+  ]
+}
+
+/**
+ * Split a transform matrix into Fabric object properties, like fabric.util.qrDecompose
+ * @param {Array<number>} matrix - [a, b, c, d, e, f]
+ * @returns {Object} { angle, scaleX, scaleY, skewX, skewY, flipY, center } for a centre-placed object
+ */
+export function decomposeMatrix([a, b, c, d, e, f]) {
+  const squared = a * a + b * b
+  const scaleX = Math.sqrt(squared)
+  const scaleY = scaleX === 0 ? 0 : (a * d - c * b) / scaleX
+  return {
+    angle: Math.atan2(b, a) * 180 / Math.PI,
+    scaleX,
+    scaleY: Math.abs(scaleY),
+    skewX: squared === 0 ? 0 : Math.atan2(a * c + b * d, squared) * 180 / Math.PI,
+    skewY: 0,
+    flipY: scaleY < 0,
+    center: { x: e, y: f }
+  }
+}
+
+/**
+ * Move an object so its centre lands on a point, keeping its origin setting
+ * @param {Object} obj - Object JSON (changed in place)
+ * @param {Object} point - { x, y } in the object's parent coordinates
+ */
+export function setObjectCenter(obj, point) {
+  const center = getObjectCenter(obj)
+  translateObject(obj, point.x - center.x, point.y - center.y)
+}
+
+/**
+ * Get the oriented bounding box of an object
+ * The box of the scaled and skewed object, turned by its angle around its centre,
+ * like Fabric's control corners.
+ * @param {Object} obj - Object JSON
+ * @returns {Object} { center, width, height, angle, corners } with corners [tl, tr, br, bl] in canvas coordinates
+ */
+export function getOrientedBoundingBox(obj) {
+  const center = getObjectCenter(obj)
+  const { width, height } = getTransformedSize(obj, { painted: true })
+  const angle = toRadians(obj.angle)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const x = sx * width / 2
+    const y = sy * height / 2
+    return { x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos }
+  })
+  return { center, width, height, angle: obj.angle || 0, corners }
+}
+
+/**
+ * Get the axis-aligned bounding box of an object in canvas pixels
+ * @param {Object} obj - Object JSON
+ * @returns {Object} { left, top, right, bottom, width, height }
+ */
+export function getBoundingBox(obj) {
+  const { corners } = getOrientedBoundingBox(obj)
+  const xs = corners.map(point => point.x)
+  const ys = corners.map(point => point.y)
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+  const right = Math.max(...xs)
+  const bottom = Math.max(...ys)
+  return { left, top, right, bottom, width: right - left, height: bottom - top }
+}
+
+// Signed area of a polygon (positive when its points run clockwise on screen)
+function getSignedArea(points) {
+  return points.reduce((sum, point, i) => {
+    const next = points[(i + 1) % points.length]
+    return sum + point.x * next.y - next.x * point.y
+  }, 0) / 2
+}
+
+/**
+ * Clip a polygon by a convex polygon (Sutherland–Hodgman)
+ * @param {Array<Object>} subject - Points { x, y } of the polygon to clip
+ * @param {Array<Object>} clip - Points of the convex clipping polygon
+ * @returns {Array<Object>} Points of the intersection (empty if none)
+ */
+function clipPolygon(subject, clip) {
+  const orientation = Math.sign(getSignedArea(clip)) || 1
+  const inside = (point, a, b) => orientation * ((b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x)) >= 0
+  const intersect = (p, q, a, b) => {
+    const denominator = (p.x - q.x) * (a.y - b.y) - (p.y - q.y) * (a.x - b.x)
+    const t = ((p.x - a.x) * (a.y - b.y) - (p.y - a.y) * (a.x - b.x)) / denominator
+    return { x: p.x + t * (q.x - p.x), y: p.y + t * (q.y - p.y) }
+  }
+
+  return clip.reduce((output, a, i) => {
+    const b = clip[(i + 1) % clip.length]
+    const input = output
+    const result = []
+    input.forEach((current, j) => {
+      const previous = input[(j + input.length - 1) % input.length]
+      if (inside(current, a, b)) {
+        if (!inside(previous, a, b)) result.push(intersect(previous, current, a, b))
+        result.push(current)
+      } else if (inside(previous, a, b)) {
+        result.push(intersect(previous, current, a, b))
+      }
+    })
+    return result
+  }, subject)
+}
+
+/**
+ * Get the area two objects overlap by, using their oriented bounding boxes
+ * @param {Object} first - Object JSON
+ * @param {Object} second - Object JSON
+ * @returns {number} Overlapping area in square canvas pixels
+ */
+export function getOverlapArea(first, second) {
+  const a = getOrientedBoundingBox(first).corners
+  const b = getOrientedBoundingBox(second).corners
+  if (getSignedArea(a) === 0 || getSignedArea(b) === 0) return 0
+  const intersection = clipPolygon(a, b)
+  return intersection.length < 3 ? 0 : Math.abs(getSignedArea(intersection))
+}
+
+/**
+ * Move an object on the canvas
+ * Moving the origin moves the whole object, whatever its origin, angle or scale.
+ * @param {Object} obj - Object JSON (changed in place)
+ * @param {number} dx - Horizontal distance in canvas pixels
+ * @param {number} dy - Vertical distance in canvas pixels
+ */
+export function translateObject(obj, dx, dy) {
+  obj.left = (obj.left || 0) + dx
+  obj.top = (obj.top || 0) + dy
+}
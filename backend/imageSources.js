@@ -0,0 +1,107 @@
+/**
+ * Image Sources Module
+ * Reads the images referenced by canvas JSON on the server
+ *
+ * Canvas JSON comes from clients, so remote images are only fetched from the hosts listed
+ * in IMAGE_HOSTS (comma-separated, e.g. "cdn.example.com,images.example.com"); with none
+ * listed only data URLs and /assets files are read. Redirects are not followed, every image
+ * is capped at MAX_IMAGE_BYTES and all images of a canvas share one time limit.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const assetsDir = path.join(__dirname, '../assets')
+
+// Time allowed for reading all the images of one canvas
+const READ_TIMEOUT_MS = 5000
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024
+
+// Hosts remote images may be fetched from, read per call so tests and .env changes apply
+const getAllowedHosts = () => (process.env.IMAGE_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean)
+
+/**
+ * Check whether a remote image URL may be fetched
+ * @param {string} src - http(s) URL
+ * @returns {boolean} True for http(s) URLs on a host listed in IMAGE_HOSTS
+ */
+export function isAllowedImageUrl(src) {
+  try {
+    const url = new URL(src)
+    return ['http:', 'https:'].includes(url.protocol) && getAllowedHosts().includes(url.hostname.toLowerCase())
+  } catch {
+    return false
+  }
+}
+
+// Read a response body, giving up once it grows past the cap
+async function readCapped(response) {
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) return null
+
+  const chunks = []
+  let size = 0
+  for await (const chunk of response.body) {
+    size += chunk.length
+    if (size > MAX_IMAGE_BYTES) return null
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Read the bytes of an image src
+ * Supports data URLs, files under /assets (as served by this server) and http(s) URLs on
+ * an allowed host. blob: URLs only exist in the browser and cannot be read.
+ * @param {string} src - Image src from the canvas JSON
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Aborts a remote fetch (defaults to READ_TIMEOUT_MS)
+ * @returns {Promise<Buffer|null>} Image bytes or null if the src cannot or may not be read
+ */
+export async function readImageSource(src, { signal = AbortSignal.timeout(READ_TIMEOUT_MS) } = {}) {
+  if (typeof src !== 'string' || !src) return null
+
+  if (src.startsWith('data:')) {
+    const data = src.replace(/^data:[^,]*;base64,/, '')
+    return data.length * 3 / 4 <= MAX_IMAGE_BYTES ? Buffer.from(data, 'base64') : null
+  }
+
+  const assetPath = src.match(/^(?:https?:\/\/[^/]+)?\/assets\/(.+)$/)?.[1]
+  if (assetPath) {
+    const filePath = path.resolve(assetsDir, decodeURIComponent(assetPath))
+    if (filePath.startsWith(assetsDir + path.sep) && fs.existsSync(filePath) && fs.statSync(filePath).size <= MAX_IMAGE_BYTES) {
+      return fs.promises.readFile(filePath)
+    }
+  }
+
+  if (isAllowedImageUrl(src)) {
+    const response = await fetch(src, { signal, redirect: 'error' })
+    return response.ok ? readCapped(response) : null
+  }
+
+  return null
+}
+
+/**
+ * Read the images of a canvas in parallel within one time limit
+ * @param {Array<string>} sources - Image srcs
+ * @returns {Promise<Map>} Map of src to its bytes, or null where it could not be read
+ */
+export async function readImageSources(sources) {
+  const signal = AbortSignal.timeout(READ_TIMEOUT_MS)
+  const unique = [...new Set(sources)]
+  const results = await Promise.all(unique.map(async src => {
+    try {
+      return await readImageSource(src, { signal })
+    } catch (error) {
+      console.warn(`Could not read image "${String(src).substring(0, 60)}":`, error.message)
+      return null
+    }
+  }))
+  return new Map(unique.map((src, i) => [src, results[i]]))
+}
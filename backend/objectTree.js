@@ -0,0 +1,140 @@
+/**
+ * Object Tree Module
+ * Flattens grouped canvas objects so checks and fixes see nested objects like top-level ones
+ *
+ * Fabric.js places the children of a group relative to the group's centre, and the
+ * group's own transform applies on top of theirs. flattenCanvasObjects() walks groups
+ * recursively and lists every object in paint order with its path in the tree. Nested
+ * objects get a canvas-space copy carrying the composed transform and the opacity and
+ * visibility of their groups; top-level objects are listed as they are.
+ */
+
+import { randomUUID } from 'crypto'
+import { decomposeMatrix, getObjectMatrix, invertMatrix, multiplyMatrices, setObjectCenter } from './geometry.js'
+
+const IDENTITY = [1, 0, 0, 1, 0, 0]
+
+// Properties of a canvas-space copy that are composed with the groups above it
+const TRANSFORM_KEYS = ['left', 'top', 'angle', 'scaleX', 'scaleY', 'skewX', 'skewY', 'flipX', 'flipY', 'originX', 'originY']
+const COMPOSED_KEYS = [...TRANSFORM_KEYS, 'opacity', 'visible', 'objects']
+
+/**
+ * Express a nested object in canvas coordinates
+ * @param {Object} source - Object JSON inside a group
+ * @param {Object} parent - { matrix, opacity, visible } of the groups above it
+ * @returns {Object} Copy placed by its centre with the composed transform
+ */
+function toCanvasSpace(source, parent) {
+  const { center, ...transform } = decomposeMatrix(multiplyMatrices(parent.matrix, getObjectMatrix(source)))
+  return {
+    ...source,
+    ...transform,
+    flipX: false,
+    left: center.x,
+    top: center.y,
+    originX: 'center',
+    originY: 'center',
+    opacity: parent.opacity * (source.opacity ?? 1),
+    visible: parent.visible && source.visible !== false
+  }
+}
+
+/**
+ * List every object of a canvas, including the children of groups
+ * @param {Object} canvasData - Fabric.js canvas JSON data
+ * @returns {Array<Object>} Entries in paint order: { obj, source, path, parent }, where obj is
+ *   the canvas-space object, source the object in canvasData, path the indices from
+ *   canvasData.objects down to it and parent the composed transform of its groups (null at the top)
+ */
+export function flattenCanvasObjects(canvasData) {
+  const entries = []
+
+  const visit = (objects, path, parent) => {
+    objects.forEach((source, position) => {
+      if (!source) return
+      const entry = {
+        obj: parent ? toCanvasSpace(source, parent) : source,
+        source,
+        path: [...path, position],
+        parent
+      }
+      entries.push(entry)
+
+      if (source.type === 'group' && Array.isArray(source.objects)) {
+        visit(source.objects, entry.path, {
+          matrix: multiplyMatrices(parent ? parent.matrix : IDENTITY, getObjectMatrix(source)),
+          opacity: (parent ? parent.opacity : 1) * (source.opacity ?? 1),
+          visible: (parent ? parent.visible : true) && source.visible !== false
+        })
+      }
+    })
+  }
+
+  visit(canvasData.objects || [], [], null)
+  return entries
+}
+
+/**
+ * Find the entry of an object by its path
+ * @param {Array<Object>} entries - Entries from flattenCanvasObjects
+ * @param {Array<number>} path - Indices from canvasData.objects down to the object
+ * @returns {number} Index into entries, or -1
+ */
+export function findEntryIndex(entries, path) {
+  return entries.findIndex(entry => (
+    entry.path.length === path.length && entry.path.every((position, depth) => position === path[depth])
+  ))
+}
+
+/**
+ * Find the entry of an object by its id
+ * @param {Array<Object>} entries - Entries from flattenCanvasObjects
+ * @param {string} id - Object id (the `id` property the editor gives every object)
+ * @returns {number} Index into entries, or -1
+ */
+export function findEntryById(entries, id) {
+  return entries.findIndex(entry => entry.source.id === id)
+}
+
+/**
+ * Give every object without an id one, including the children of groups
+ * Used for objects that auto-fixes add, so the editor can refer to them like the others.
+ * @param {Object} canvasData - Fabric.js canvas JSON data (changed in place)
+ */
+export function assignObjectIds(canvasData) {
+  const visit = objects => objects.forEach(obj => {
+    if (!obj) return
+    if (!obj.id) obj.id = randomUUID()
+    if (obj.type === 'group' && Array.isArray(obj.objects)) visit(obj.objects)
+  })
+  visit(canvasData.objects || [])
+}
+
+/**
+ * Copy changes made to a canvas-space object back to the nested object it stands for
+ * The transform is only converted back into the group's coordinates when it changed,
+ * so untouched children keep their own origin and angle settings.
+ * @param {Object} entry - Entry from flattenCanvasObjects
+ * @param {Object} before - Canvas-space object as it was before the changes
+ */
+export function writeBackEntry({ obj, source, parent }, before) {
+  if (!parent) return // Top-level objects are changed in place
+
+  Object.keys(obj)
+    .filter(key => !COMPOSED_KEYS.includes(key))
+    .forEach(key => { source[key] = obj[key] })
+
+  const transformChanged = [...TRANSFORM_KEYS, 'width', 'height', 'strokeWidth'].some(key => obj[key] !== before[key])
+  if (transformChanged) {
+    const { center, ...transform } = decomposeMatrix(multiplyMatrices(invertMatrix(parent.matrix), getObjectMatrix(obj)))
+    Object.assign(source, transform, { flipX: false })
+    setObjectCenter(source, center)
+  }
+
+  if (obj.opacity !== before.opacity && parent.opacity > 0) {
+    source.opacity = Math.min(1, obj.opacity / parent.opacity)
+  }
+  if (obj.visible !== before.visible) {
+    source.visible = obj.visible
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Phrase Matcher Module
+ * Finds phrases in copy by whole words, so "never" does not match "nevertheless"
+ *
+ * Text and phrases are split into word tokens and compared by stem, so "guarantee"
+ * also matches "guaranteed" and "guarantees". Hyphens and punctuation separate words,
+ * which lets the exception phrase "gluten free" cover "gluten-free" as well.
+ */
+
+// Words, optionally with an apostrophe part ("don't") or a trailing percent sign ("100%")
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*%?/gu
+
+// Suffixes removed by stem(), longest first; the replacement keeps "-ies" words on "-y"
+const SUFFIXES = [
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['ing', ''],
+  ['ly', ''],
+  ['ed', ''],
+  ['es', ''],
+  ['s', '']
+]
+
+// Shortest stem a suffix may be removed down to
+const MIN_STEM_LENGTH = 3
+
+/**
+ * Reduce a word to a stem shared by its inflections
+ * A light suffix stripper rather than a full stemmer: it only has to map a claim
+ * and its inflections onto the same key, and both sides go through it.
+ * @param {string} word - Lower case word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (/\d/.test(word)) return word
+
+  let result = word.replace(/['’]s$/, '')
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= MIN_STEM_LENGTH && !result.endsWith('ss')) {
+      result = result.slice(0, -suffix.length) + replacement
+      break
+    }
+  }
+
+  // "guarantee", "guaranteed" and "guarantees" all end up as "guarant"
+  while (result.endsWith('e') && result.length > MIN_STEM_LENGTH) {
+    result = result.slice(0, -1)
+  }
+  return result
+}
+
+/**
+ * Split text into word tokens
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Array of { word, stem, start, end } with offsets into text
+ */
+export function tokenize(text = '') {
+  return [...text.matchAll(TOKEN_PATTERN)].map(match => {
+    const word = match[0].toLowerCase()
+    return {
+      word,
+      stem: stem(word),
+      start: match.index,
+      end: match.index + match[0].length
+    }
+  })
+}
+
+/**
+ * Find every occurrence of the phrases' token sequences in the text tokens
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<string>} phrases - Phrases to look for
+ * @returns {Array<Object>} Array of { phrase, from, to } token ranges (to is exclusive)
+ */
+function findTokenRanges(tokens, phrases) {
+  const ranges = []
+
+  phrases.forEach(phrase => {
+    const stems = tokenize(phrase).map(token => token.stem)
+    if (stems.length === 0) return
+
+    for (let from = 0; from + stems.length <= tokens.length; from++) {
+      if (stems.every((phraseStem, offset) => tokens[from + offset].stem === phraseStem)) {
+        ranges.push({ phrase, from, to: from + stems.length })
+      }
+    }
+  })
+
+  return ranges
+}
+
+/**
+ * Find phrases in text
+ * Matches inside an exception phrase are ignored, e.g. "free" in "gluten-free" when
+ * "gluten free" is an exception. Overlapping matches keep the longest phrase.
+ * @param {string} text - Text to search
+ * @param {Array<string>} phrases - Phrases to look for
+ * @param {Object} options - Options
+ * @param {Array<string>} options.exceptions - Phrases whose words never count as a match
+ * @returns {Array<Object>} Matches in text order: { phrase, text, start, end }
+ */
+export function findPhrases(text = '', phrases = [], { exceptions = [] } = {}) {
+  const tokens = tokenize(text)
+  if (tokens.length === 0) return []
+
+  // Token positions covered by an exception phrase
+  const excepted = new Set()
+  findTokenRanges(tokens, exceptions).forEach(({ from, to }) => {
+    for (let i = from; i < to; i++) excepted.add(i)
+  })
+
+  const used = new Set()
+  return findTokenRanges(tokens, phrases)
+    .filter(({ from, to }) => !Array.from({ length: to - from }, (_, i) => from + i).some(i => excepted.has(i)))
+    .sort((a, b) => (b.to - b.from) - (a.to - a.from) || a.from - b.from)
+    .filter(({ from, to }) => {
+      for (let i = from; i < to; i++) {
+        if (used.has(i)) return false
+      }
+      for (let i = from; i < to; i++) used.add(i)
+      return true
+    })
+    .sort((a, b) => a.from - b.from)
+    .map(({ phrase, from, to }) => ({
+      phrase,
+      text: text.slice(tokens[from].start, tokens[to - 1].end),
+      start: tokens[from].start,
+      end: tokens[to - 1].end
+    }))
+}
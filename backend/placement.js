@@ -0,0 +1,142 @@
+/**
+ * Placement Module
+ * Finds free room in the safe area for elements that auto-fixes move or add
+ *
+ * Candidate positions line an element up with the text column of the layout, with the
+ * safe area edges and with the edges of the texts, packshots and logos already placed, plus a
+ * scan down the safe area. The closest candidate that keeps the auto-fix margin to every
+ * obstacle wins; moving sideways counts extra, since it takes text out of its column.
+ */
+
+import { getRole, isPackshot, isTextObject, isUnsafeZoneOverlay } from './checkHelpers.js'
+import { getBoundingBox, translateObject } from './geometry.js'
+
+// Left edge of the text column when there is no text to line up with
+const DEFAULT_COLUMN_LEFT = 50
+
+// Sideways moves cost this much more than vertical ones
+const HORIZONTAL_COST = 2
+
+// Texts whose centre is this close to the middle of the canvas (share of its width) count as centred
+const CENTER_TOLERANCE = 0.02
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom
+
+/**
+ * Get the canvas minus its unsafe zones
+ * @param {Object} context - Check or fix context
+ * @returns {Object} { left, top, right, bottom }
+ */
+export function getSafeArea({ unsafeZone, canvasWidth, canvasHeight }) {
+  return { left: unsafeZone.left, top: unsafeZone.top, right: canvasWidth - unsafeZone.right, bottom: canvasHeight - unsafeZone.bottom }
+}
+
+// Elements placed elements keep clear of by default
+const isLayoutElement = obj => isTextObject(obj) || isPackshot(obj) || getRole(obj) === 'logo'
+
+/**
+ * Get the bounding boxes of the elements a placed element must keep clear of
+ * @param {Object} context - Fix context
+ * @param {Object} except - Object to leave out (the one being placed)
+ * @param {Function} avoid - Returns true for the objects to keep clear of
+ * @returns {Array<Object>} Bounding boxes of the visible objects to avoid
+ */
+function getObstacles(context, except, avoid) {
+  return context.canvasData.objects
+    .filter(other => (
+      other && other !== except && other.visible !== false && other.type !== 'group' && !isUnsafeZoneOverlay(other) && avoid(other)
+    ))
+    .map(getBoundingBox)
+}
+
+/**
+ * Work out the text column of the layout
+ * With align 'auto', the layout counts as centred when most texts are centred on the
+ * canvas; otherwise texts line up on the left edge most of them share.
+ * @param {Object} context - Fix context
+ * @param {Object} except - Object to leave out (the one being placed)
+ * @returns {Object} { align: 'left' | 'center', left } where left is the column's left edge
+ */
+export function getTextColumn(context, except) {
+  const area = getSafeArea(context)
+  const boxes = context.canvasData.objects
+    .filter(obj => obj !== except && isTextObject(obj) && obj.visible !== false)
+    .map(getBoundingBox)
+    .filter(box => box.left >= area.left && box.right <= area.right)
+
+  let align = context.rules.autoFix.align
+  if (align !== 'left' && align !== 'center') {
+    const centred = boxes.filter(box => Math.abs((box.left + box.right) / 2 - context.canvasWidth / 2) <= context.canvasWidth * CENTER_TOLERANCE)
+    align = boxes.length > 0 && centred.length * 2 > boxes.length ? 'center' : 'left'
+  }
+
+  // The most shared left edge, rounded to whole pixels
+  const counts = new Map()
+  boxes.forEach(box => counts.set(Math.round(box.left), (counts.get(Math.round(box.left)) || 0) + 1))
+  const shared = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]
+  const left = shared ? shared[0] : Math.max(DEFAULT_COLUMN_LEFT, area.left + context.rules.autoFix.margin)
+  return { align, left }
+}
+
+/**
+ * Find free room for an object
+ * @param {Object} obj - Object JSON to place (it does not have to be on the canvas yet)
+ * @param {Object} context - Fix context
+ * @param {Object} options - Options
+ * @param {string} options.anchor - 'top' or 'bottom' to start from that edge of the area in the
+ *   text column (for added elements); by default the object's current position is kept as far as possible
+ * @param {Object} options.area - { left, top, right, bottom } to stay inside (default: the safe area)
+ * @param {number} options.margin - Gap to keep to the area edges and obstacles (default: autoFix.margin)
+ * @param {Function} options.avoid - Returns true for the objects to keep clear of (default: texts, packshots and logos)
+ * @returns {Object|null} { dx, dy } to move the object by, or null if it fits nowhere
+ */
+export function findPlacement(obj, context, options = {}) {
+  const { anchor = null, area = getSafeArea(context), margin = context.rules.autoFix.margin, avoid = isLayoutElement } = options
+  const box = getBoundingBox(obj)
+  const inner = { left: area.left + margin, top: area.top + margin, right: area.right - margin, bottom: area.bottom - margin }
+  if (box.width > inner.right - inner.left || box.height > inner.bottom - inner.top) return null
+
+  const obstacles = getObstacles(context, obj, avoid)
+    .map(other => ({ left: other.left - margin, top: other.top - margin, right: other.right + margin, bottom: other.bottom + margin }))
+  const clampX = x => Math.min(inner.right - box.width, Math.max(inner.left, x))
+  const clampY = y => Math.min(inner.bottom - box.height, Math.max(inner.top, y))
+
+  // Column positions, preferring the layout's column for added elements
+  const column = getTextColumn(context, obj)
+  const columnLeft = column.align === 'center' ? (context.canvasWidth - box.width) / 2 : column.left
+  const preferred = {
+    left: clampX(anchor ? columnLeft : box.left),
+    top: clampY(anchor === 'top' ? inner.top : anchor === 'bottom' ? inner.bottom - box.height : box.top)
+  }
+
+  const step = Math.max(margin, 1)
+  const rows = Array.from({ length: Math.floor((inner.bottom - box.height - inner.top) / step) + 1 }, (_, row) => inner.top + row * step)
+  const lefts = new Set([preferred.left, clampX(columnLeft), ...obstacles.flatMap(other => [other.right, other.left - box.width]).map(clampX)])
+  const tops = new Set([preferred.top, ...obstacles.flatMap(other => [other.bottom, other.top - box.height]).map(clampY), ...rows])
+
+  let best = null
+  lefts.forEach(left => {
+    tops.forEach(top => {
+      const candidate = { left, top, right: left + box.width, bottom: top + box.height }
+      if (obstacles.some(other => overlaps(candidate, other))) return
+      const cost = Math.hypot((left - preferred.left) * HORIZONTAL_COST, top - preferred.top)
+      if (!best || cost < best.cost) best = { left, top, cost }
+    })
+  })
+  return best && { dx: best.left - box.left, dy: best.top - box.top }
+}
+
+/**
+ * Move an object to the free room found by findPlacement
+ * @param {Object} obj - Object JSON (changed in place)
+ * @param {Object} context - Fix context
+ * @param {Object} options - Options for findPlacement
+ * @returns {boolean} Whether room was found; the object is left where it is if not
+ */
+export function placeObject(obj, context, options) {
+  const move = findPlacement(obj, context, options)
+  if (!move) return false
+
+  translateObject(obj, move.dx, move.dy)
+  return true
+}
@@ -1,6 +1,10 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { validateRulePack } from './rulePackSchema.js'
+import { expandUnsafeZones, mergeUnsafeZones } from './unsafeZones.js'
+import { WCAG_CONTRAST_LEVELS } from './colorUtils.js'
+import { TYPOGRAPHY_ROLES } from './checkHelpers.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -9,10 +13,29 @@ const __dirname = path.dirname(__filename)
  * Default retail rules (fallback if JSON file not found)
  */
 export const defaultRetailRules = {
+  id: 'tesco',
   retailer: 'Tesco',
   minFontSize: 20,
+  // Typography per text role ('body' is text without a role); a role's minFontSize
+  // replaces the global one, so legal lines can be smaller and headlines must be larger
+  roleTypography: {
+    headline: { minFontSize: 32, maxWords: 12 },
+    subhead: { minFontSize: 24, maxWords: 20 },
+    tag: { maxWords: 6 },
+    disclaimer: { minFontSize: 14 },
+    body: {}
+  },
+  // Text roles from largest to smallest; each is at least hierarchyRatio times the next
+  hierarchy: ['headline', 'subhead', 'body'],
+  hierarchyRatio: 1.2,
   unsafeTop: 200,
   unsafeBottom: 250,
+  // Unsafe zones per format in pixels or percentages of the canvas size
+  unsafeZones: {
+    '1:1': { top: 200, bottom: 250, left: 0, right: 0 },
+    '9:16': { top: 200, bottom: 250, left: 0, right: 0 },
+    '16:9': { top: '8%', bottom: '10%', left: '4%', right: '4%' }
+  },
   requiredDisclaimer: 'Selected stores. While stocks last.',
   allowedTagPhrases: [
     'Only at Tesco',
@@ -46,8 +69,22 @@ export const defaultRetailRules = {
     'recommended by doctors',
     'clinically proven'
   ],
+  // Phrases whose words never count as a prohibited claim or word
+  exceptionPhrases: [
+    'gluten free',
+    'dairy free',
+    'sugar free',
+    'fat free',
+    'free range',
+    'best before'
+  ],
+  // Phrases that count as a disclaimer (requiredDisclaimer is always accepted too)
   requiredDisclaimers: [
-    'Terms and Conditions apply',
+    'Terms and conditions',
+    'Terms & conditions',
+    'T&Cs',
+    'See terms',
+    'Subject to terms',
     'Subject to availability',
     'See in-store for details',
     'Prices may vary'
@@ -65,44 +102,558 @@ export const defaultRetailRules = {
     'No false promises',
     'Clear pricing information',
     'Accurate product descriptions'
-  ]
+  ],
+  // Text mentioning one of these must use an allowed tag phrase
+  brandKeywords: ['tesco'],
+  // Brand colours contrast fixes may recolour text and backing plates with
+  brandPalette: [],
+  // Only texts shorter than this are treated as attempted TAG text
+  tagTextMaxLength: 50,
+  // A disclaimer is only required once some text is longer than this
+  disclaimerTriggerLength: 20,
+  // WCAG conformance level; sets the minimum contrast for normal and large text
+  contrastLevel: 'AA',
+  minContrastRatio: 4.5, // WCAG AA standard for normal text
+  minLargeContrastRatio: 3, // WCAG AA standard for large text
+  // Packshots: minimum share of the canvas area, maximum count and placement
+  packshotMinArea: 0.1,
+  packshotMaxCount: 3,
+  packshotInSafeArea: true,
+  packshotOnCanvas: true,
+  // Percent of the smaller element text may overlap other text or packshots by
+  maxOverlap: 5,
+  severities: {
+    text_unsafe_top: 'high',
+    text_unsafe_bottom: 'high',
+    text_unsafe_left: 'high',
+    text_unsafe_right: 'high',
+    font_small: 'medium',
+    contrast_low: 'high',
+    tag_text_incorrect: 'high',
+    prohibited_claim: 'high',
+    unsafe_word: 'medium',
+    missing_disclaimer: 'medium',
+    missing_tag_text: 'high',
+    packshot_small: 'high',
+    packshot_unsafe: 'medium',
+    packshot_cropped: 'high',
+    packshot_count: 'medium',
+    text_overlap: 'medium',
+    text_over_packshot: 'medium',
+    text_occluded: 'high',
+    disclaimer_incorrect: 'medium',
+    too_many_words: 'medium',
+    hierarchy: 'medium'
+  },
+  // Declarative rules evaluated after the built-in checks (see customRules.js)
+  customRules: [],
+  autoFix: {
+    margin: 10,
+    // Check-and-fix passes auto-fix makes to clear violations its own fixes introduce
+    maxPasses: 3,
+    // Ways the contrast fix may raise contrast; it uses the least intrusive one that works
+    contrastStrategies: ['recolor'],
+    // Column added and moved text lines up on; 'auto' follows the existing text
+    align: 'auto',
+    tagStyle: {
+      fontSize: 24,
+      fontFamily: 'Arial',
+      fontWeight: 'bold',
+      fill: '#0066CC'
+    },
+    disclaimerStyle: {
+      fontSize: 20,
+      fontFamily: 'Arial',
+      fontWeight: 'normal',
+      fill: '#000000'
+    }
+  }
+}
+
+// Rule pack JSON fields and the rule properties they populate
+const RULE_FIELDS = {
+  min_font_size: 'minFontSize',
+  unsafe_top: 'unsafeTop',
+  unsafe_bottom: 'unsafeBottom',
+  required_disclaimer: 'requiredDisclaimer',
+  allowed_tags: 'allowedTagPhrases',
+  prohibited_claims: 'prohibitedClaims',
+  prohibited_words: 'prohibitedWords',
+  exception_phrases: 'exceptionPhrases',
+  required_disclaimers: 'requiredDisclaimers',
+  tone_guidelines: 'toneGuidelines',
+  compliance_rules: 'complianceRules',
+  brand_keywords: 'brandKeywords',
+  brand_palette: 'brandPalette',
+  tag_text_max_length: 'tagTextMaxLength',
+  disclaimer_trigger_length: 'disclaimerTriggerLength',
+  contrast_level: 'contrastLevel',
+  min_contrast_ratio: 'minContrastRatio',
+  min_large_contrast_ratio: 'minLargeContrastRatio',
+  packshot_min_area: 'packshotMinArea',
+  packshot_max_count: 'packshotMaxCount',
+  packshot_in_safe_area: 'packshotInSafeArea',
+  packshot_on_canvas: 'packshotOnCanvas',
+  max_overlap: 'maxOverlap',
+  hierarchy: 'hierarchy',
+  hierarchy_ratio: 'hierarchyRatio',
+  custom_rules: 'customRules'
+}
+
+// Text style fields used by auto-fix when inserting TAG and disclaimer text
+const STYLE_FIELDS = {
+  font_size: 'fontSize',
+  font_family: 'fontFamily',
+  font_weight: 'fontWeight',
+  fill: 'fill'
+}
+
+// Typography fields per text role
+const TYPOGRAPHY_FIELDS = {
+  min_font_size: 'minFontSize',
+  max_words: 'maxWords'
 }
 
 /**
- * Load retail rules from JSON file dynamically
- * @param {string} retailer - Retailer name (default: 'Tesco')
+ * Convert a snake_case text style from a rule pack to Fabric.js properties
+ * @param {Object} style - Style from the rule pack
+ * @param {Object} defaults - Default style
+ * @returns {Object} Merged style
+ */
+function normalizeStyle(style = {}, defaults) {
+  const normalized = { ...defaults }
+  Object.entries(STYLE_FIELDS).forEach(([field, property]) => {
+    if (style[field] !== undefined) normalized[property] = style[field]
+  })
+  return normalized
+}
+
+/**
+ * Check whether a rule pack sets any unsafe zone fields
+ * @param {Object} rulePack - Rule pack JSON
+ * @returns {boolean}
+ */
+function definesUnsafeZones(rulePack) {
+  return Boolean(rulePack.unsafe_zones) || rulePack.unsafe_top !== undefined || rulePack.unsafe_bottom !== undefined
+}
+
+/**
+ * Convert a validated rule pack into the rules object used by the checker
+ * @param {string} id - Rule pack ID
+ * @param {Object} rulePack - Rule pack JSON
  * @returns {Object} Retail rules object
  */
-export function getRetailRules(retailer = 'Tesco') {
-  try {
-    // Construct path to rules file
-    const rulesPath = path.join(__dirname, '..', 'rules', `${retailer.toLowerCase()}.json`)
-    
-    // Check if file exists
-    if (fs.existsSync(rulesPath)) {
-      // Read and parse JSON file
-      const rulesData = fs.readFileSync(rulesPath, 'utf8')
-      const rules = JSON.parse(rulesData)
-      
-      // Merge with default rules, prioritizing JSON file values
-      return {
-        ...defaultRetailRules,
-        retailer: retailer,
-        minFontSize: rules.min_font_size || defaultRetailRules.minFontSize,
-        unsafeTop: rules.unsafe_top || defaultRetailRules.unsafeTop,
-        unsafeBottom: rules.unsafe_bottom || defaultRetailRules.unsafeBottom,
-        requiredDisclaimer: rules.required_disclaimer || defaultRetailRules.requiredDisclaimer,
-        allowedTagPhrases: rules.allowed_tags || defaultRetailRules.allowedTagPhrases,
-        // Keep other default rules (prohibitedClaims, prohibitedWords, etc.)
+export function normalizeRulePack(id, rulePack) {
+  const rules = {
+    ...defaultRetailRules,
+    id: id,
+    retailer: rulePack.name || id,
+  }
+
+  Object.entries(RULE_FIELDS).forEach(([field, property]) => {
+    if (rulePack[field] !== undefined) rules[property] = rulePack[field]
+  })
+
+  // Packs without any unsafe zone fields keep the default per-format zones
+  rules.unsafeZones = definesUnsafeZones(rulePack)
+    ? expandUnsafeZones({ unsafe_top: rules.unsafeTop, unsafe_bottom: rules.unsafeBottom, unsafe_zones: rulePack.unsafe_zones })
+    : defaultRetailRules.unsafeZones
+
+  // The WCAG level sets the minimum ratios; explicit ratios can only raise them
+  const contrastLevel = WCAG_CONTRAST_LEVELS[rules.contrastLevel] || WCAG_CONTRAST_LEVELS.AA
+  rules.minContrastRatio = Math.max(rulePack.min_contrast_ratio ?? 0, contrastLevel.normal)
+  rules.minLargeContrastRatio = Math.max(rulePack.min_large_contrast_ratio ?? 0, contrastLevel.large)
+
+  rules.severities = { ...defaultRetailRules.severities, ...rulePack.severities }
+
+  // Role typography is merged onto the defaults role by role
+  const roleTypography = rulePack.role_typography || {}
+  rules.roleTypography = Object.fromEntries(TYPOGRAPHY_ROLES.map(role => {
+    const typography = { ...defaultRetailRules.roleTypography[role] }
+    Object.entries(TYPOGRAPHY_FIELDS).forEach(([field, property]) => {
+      if (roleTypography[role]?.[field] !== undefined) typography[property] = roleTypography[role][field]
+    })
+    return [role, typography]
+  }))
+
+  const autoFix = rulePack.auto_fix || {}
+  rules.autoFix = {
+    margin: autoFix.margin ?? defaultRetailRules.autoFix.margin,
+    align: autoFix.align ?? defaultRetailRules.autoFix.align,
+    maxPasses: autoFix.max_passes ?? defaultRetailRules.autoFix.maxPasses,
+    contrastStrategies: autoFix.contrast_strategies ?? defaultRetailRules.autoFix.contrastStrategies,
+    tagStyle: normalizeStyle(autoFix.tag_style, defaultRetailRules.autoFix.tagStyle),
+    disclaimerStyle: normalizeStyle(autoFix.disclaimer_style, defaultRetailRules.autoFix.disclaimerStyle)
+  }
+
+  return rules
+}
+
+// Numeric and on/off fields combine to the strictest value when packs are layered
+const STRICTEST = {
+  min_font_size: Math.max,
+  unsafe_top: Math.max,
+  unsafe_bottom: Math.max,
+  min_contrast_ratio: Math.max,
+  min_large_contrast_ratio: Math.max,
+  contrast_level: (a, b) => (a === 'AAA' || b === 'AAA' ? 'AAA' : 'AA'),
+  tag_text_max_length: Math.max,
+  disclaimer_trigger_length: Math.min,
+  packshot_min_area: Math.max,
+  packshot_max_count: Math.min,
+  packshot_in_safe_area: (a, b) => a || b,
+  packshot_on_canvas: (a, b) => a || b,
+  max_overlap: Math.min,
+  hierarchy_ratio: Math.max
+}
+
+// Role typography fields combine to the strictest value per role
+const STRICTEST_TYPOGRAPHY = {
+  min_font_size: Math.max,
+  max_words: Math.min
+}
+
+// Lists of prohibited terms and guidance, unioned unless the layer names them in "override"
+const LIST_FIELDS = [
+  'prohibited_claims',
+  'prohibited_words',
+  'tone_guidelines',
+  'compliance_rules',
+  'brand_keywords'
+]
+
+// Lists of what is allowed or accepted: adding to them loosens the pack, so layered packs
+// keep only the phrases they share and an extending pack replaces them
+const ALLOW_LIST_FIELDS = [
+  'allowed_tags',
+  'exception_phrases',
+  'required_disclaimers'
+]
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 }
+
+// Fields that only describe how a pack file is composed
+const COMPOSITION_FIELDS = ['$schema', 'extends', 'override']
+
+/**
+ * Union two phrase lists, keeping the first spelling of case-insensitive duplicates
+ * @param {Array<string>} base - Base list
+ * @param {Array<string>} layer - List to add
+ * @returns {Array<string>} Combined list
+ */
+function unionPhrases(base, layer) {
+  const seen = new Set(base.map(phrase => phrase.toLowerCase()))
+  return [...base, ...layer.filter(phrase => {
+    const key = phrase.toLowerCase()
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })]
+}
+
+/**
+ * Intersect two phrase lists, keeping the base spelling and order
+ * @param {Array<string>} base - Base list
+ * @param {Array<string>} layer - List to intersect with
+ * @returns {Array<string>} Phrases in both lists
+ */
+function intersectPhrases(base, layer) {
+  const shared = new Set(layer.map(phrase => phrase.toLowerCase()))
+  return base.filter(phrase => shared.has(phrase.toLowerCase()))
+}
+
+/**
+ * Merge one rule pack on top of another
+ * Lists of prohibited terms and guidance are unioned (or replaced when named in the layer's
+ * "override"), allow-lists are replaced or, when strictest is set, intersected; severities
+ * and numbers either take the layer's value or, when strictest is set, the strictest of both.
+ * @param {Object} base - Rule pack JSON to merge onto
+ * @param {Object} layer - Rule pack JSON to merge
+ * @param {Object} options - { strictest: boolean }
+ * @returns {Object} Merged rule pack JSON
+ */
+function mergeRulePacks(base, layer, { strictest = false } = {}) {
+  const merged = { ...base }
+  const overrides = layer.override || []
+
+  Object.entries(layer).forEach(([field, value]) => {
+    if (COMPOSITION_FIELDS.includes(field)) return
+
+    if (LIST_FIELDS.includes(field)) {
+      merged[field] = base[field] && !overrides.includes(field)
+        ? unionPhrases(base[field], value)
+        : [...value]
+    } else if (ALLOW_LIST_FIELDS.includes(field)) {
+      merged[field] = strictest && base[field] ? intersectPhrases(base[field], value) : [...value]
+    } else if (strictest && STRICTEST[field] && base[field] !== undefined) {
+      merged[field] = STRICTEST[field](base[field], value)
+    } else if (field === 'severities') {
+      merged.severities = { ...base.severities }
+      Object.entries(value).forEach(([type, severity]) => {
+        const current = merged.severities[type]
+        if (!strictest || !current || SEVERITY_RANK[severity] > SEVERITY_RANK[current]) {
+          merged.severities[type] = severity
+        }
+      })
+    } else if (field === 'custom_rules') {
+      // Rules with the same id replace the inherited rule
+      const inherited = overrides.includes(field) ? [] : base.custom_rules || []
+      merged.custom_rules = [
+        ...inherited.filter(rule => !value.some(layerRule => layerRule.id === rule.id)),
+        ...value
+      ]
+    } else if (field === 'unsafe_zones') {
+      merged.unsafe_zones = strictest
+        ? mergeUnsafeZones(base.unsafe_zones || {}, value)
+        : Object.fromEntries(Object.keys({ ...base.unsafe_zones, ...value }).map(format => [
+          format,
+          { ...base.unsafe_zones?.[format], ...value[format] }
+        ]))
+    } else if (field === 'role_typography') {
+      merged.role_typography = Object.fromEntries(Object.keys({ ...base.role_typography, ...value }).map(role => {
+        const typography = { ...base.role_typography?.[role] }
+        Object.entries(value[role] || {}).forEach(([key, setting]) => {
+          typography[key] = strictest && typography[key] !== undefined ? STRICTEST_TYPOGRAPHY[key](typography[key], setting) : setting
+        })
+        return [role, typography]
+      }))
+    } else if (field === 'auto_fix') {
+      const autoFix = base.auto_fix || {}
+      merged.auto_fix = {
+        ...autoFix,
+        ...value,
+        tag_style: { ...autoFix.tag_style, ...value.tag_style },
+        disclaimer_style: { ...autoFix.disclaimer_style, ...value.disclaimer_style }
       }
     } else {
-      console.warn(`Rules file not found at ${rulesPath}, using default rules`)
-      return defaultRetailRules
+      merged[field] = value
     }
+  })
+
+  return merged
+}
+
+/**
+ * Layer several resolved rule packs, e.g. retailer + channel + region
+ * Numbers and severities take the strictest value, prohibited terms and guidance are unioned
+ * unless a later pack overrides them, allow-lists such as allowed_tags keep only the phrases
+ * every pack allows, and other values come from the last pack that sets them.
+ * @param {Array<Object>} rulePacks - Rule pack JSON objects in layering order
+ * @returns {Object} Composed rule pack JSON
+ * @throws {RulePackError} If the packs share no allowed TAG phrase
+ */
+export function composeRulePacks(rulePacks) {
+  // Expand each pack's unsafe zones first so every format is compared side by side
+  const composed = rulePacks
+    .map(rulePack => (definesUnsafeZones(rulePack) ? { ...rulePack, unsafe_zones: expandUnsafeZones(rulePack) } : rulePack))
+    .reduce((merged, rulePack) => mergeRulePacks(merged, rulePack, { strictest: true }), {})
+  const name = rulePacks.map(rulePack => rulePack.name).join(' + ')
+
+  if (composed.allowed_tags?.length === 0) {
+    throw new RulePackError(`Rule packs "${name}" share no allowed TAG phrase`, {
+      errors: [{ field: 'allowed_tags', message: 'the layered packs have no allowed TAG phrase in common' }]
+    })
+  }
+  return { ...composed, name }
+}
+
+const rulesDir = path.join(__dirname, '..', 'rules')
+
+// Rule pack IDs map directly to file names, so only allow simple slugs
+const RETAILER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/
+
+/**
+ * Normalize a retailer name or ID to a rule pack ID
+ * @param {string} retailer - Retailer name or ID (e.g. 'Tesco' or 'tesco')
+ * @returns {string|null} Rule pack ID or null if the value is not a valid ID
+ */
+export function toRetailerId(retailer) {
+  if (typeof retailer !== 'string') return null
+  const id = retailer.trim().toLowerCase()
+  return RETAILER_ID_PATTERN.test(id) ? id : null
+}
+
+/**
+ * Error raised when a rule pack cannot be parsed or fails schema validation
+ */
+export class RulePackError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { retailer, errors: Array<{ field, message }>, status }
+   */
+  constructor(message, { retailer = null, errors = [], status = 422 } = {}) {
+    super(message)
+    this.name = 'RulePackError'
+    this.retailer = retailer
+    this.errors = errors
+    this.status = status
+  }
+}
+
+/**
+ * Read and parse a rule pack file
+ * @param {string} id - Rule pack ID
+ * @returns {Object} Parsed rule pack JSON
+ * @throws {RulePackError} If the file is not valid JSON
+ */
+function readRulePackFile(id) {
+  const rulesData = fs.readFileSync(path.join(rulesDir, `${id}.json`), 'utf8')
+  try {
+    return JSON.parse(rulesData)
   } catch (error) {
-    console.error(`Error loading rules file for ${retailer}:`, error)
-    console.warn('Using default rules')
-    return defaultRetailRules
+    throw new RulePackError(`Rule pack "${id}" is not valid JSON`, {
+      retailer: id,
+      errors: [{ field: '(root)', message: error.message }]
+    })
+  }
+}
+
+/**
+ * Load a rule pack file and resolve its "extends" chain
+ * Base packs are applied in order and the pack's own fields override them.
+ * @param {string} id - Rule pack ID
+ * @param {Array<string>} chain - IDs of the packs extending this one
+ * @returns {Object} Resolved rule pack JSON
+ * @throws {RulePackError} If a pack in the chain is invalid, missing or circular
+ */
+function resolveRulePack(id, chain = []) {
+  const root = chain[0] || id
+
+  if (chain.includes(id)) {
+    throw new RulePackError(`Rule pack "${root}" has circular extends`, {
+      retailer: root,
+      errors: [{ field: 'extends', message: `circular extends: ${[...chain, id].join(' -> ')}` }]
+    })
+  }
+
+  if (!hasRetailRules(id)) {
+    throw new RulePackError(`Rule pack "${root}" extends unknown pack "${id}"`, {
+      retailer: root,
+      errors: [{ field: 'extends', message: `unknown rule pack "${id}"` }]
+    })
+  }
+
+  const rulePack = readRulePackFile(id)
+  const { valid, errors } = validateRulePack(rulePack)
+  if (!valid) {
+    throw new RulePackError(`Rule pack "${id}" is invalid`, { retailer: id, errors })
+  }
+
+  const bases = [].concat(rulePack.extends || [])
+  const inherited = bases.reduce((merged, baseId) => mergeRulePacks(merged, resolveRulePack(baseId, [...chain, id])), {})
+  return mergeRulePacks(inherited, rulePack)
+}
+
+/**
+ * Validate a rule pack file, including the packs it extends
+ * @param {string} id - Rule pack ID
+ * @returns {Object} { valid, errors }
+ */
+function checkRulePackFile(id) {
+  try {
+    resolveRulePack(id)
+    return { valid: true, errors: [] }
+  } catch (error) {
+    if (!error.errors) {
+      return { valid: false, errors: [{ field: '(root)', message: error.message }] }
+    }
+    // Errors in a base pack are reported against this pack's "extends" field
+    const errors = error.retailer === id
+      ? error.errors
+      : error.errors.map(({ field, message }) => ({ field: 'extends', message: `${error.retailer}: ${field} ${message}` }))
+    return { valid: false, errors }
+  }
+}
+
+/**
+ * Check whether a rule pack file exists for a retailer
+ * @param {string} retailer - Retailer name or ID
+ * @returns {boolean}
+ */
+export function hasRetailRules(retailer) {
+  const id = toRetailerId(retailer)
+  return id !== null && fs.existsSync(path.join(rulesDir, `${id}.json`))
+}
+
+/**
+ * Validate every rule pack file in the rules directory
+ * @returns {Array<Object>} Array of { id, valid, errors }
+ */
+export function validateRulePackFiles() {
+  if (!fs.existsSync(rulesDir)) {
+    return []
   }
+
+  return fs.readdirSync(rulesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const id = path.basename(file, '.json')
+      return { id, ...checkRulePackFile(id) }
+    })
 }
 
+/**
+ * List available rule packs with their metadata
+ * @returns {Array<Object>} Array of { id, name, description, version, kind, extends, valid }
+ */
+export function listRetailers() {
+  if (!fs.existsSync(rulesDir)) {
+    return []
+  }
+
+  return fs.readdirSync(rulesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const id = path.basename(file, '.json')
+      try {
+        const rules = readRulePackFile(id)
+        return {
+          id,
+          name: rules.name || id,
+          description: rules.description || '',
+          version: rules.version || null,
+          kind: rules.kind || 'retailer',
+          extends: [].concat(rules.extends || []),
+          valid: checkRulePackFile(id).valid,
+        }
+      } catch (error) {
+        console.error(`Error reading rules file ${file}:`, error.message)
+        return { id, name: id, description: '', version: null, kind: 'retailer', extends: [], valid: false }
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Load retail rules from JSON file dynamically
+ * Pass a list of IDs to layer packs, e.g. ['tesco', 'instagram-story', 'uk-legal'].
+ * @param {string|Array<string>} retailer - Retailer name or ID, or a list of rule pack IDs (default: 'Tesco')
+ * @returns {Object} Retail rules object
+ * @throws {RulePackError} If a rule pack is not valid JSON, fails schema validation or cannot be resolved
+ */
+export function getRetailRules(retailer = 'Tesco') {
+  const ids = [].concat(retailer).filter(name => {
+    const id = toRetailerId(name)
+    if (!id) {
+      console.warn(`Invalid retailer "${name}", skipping rule pack`)
+      return false
+    }
+    if (!hasRetailRules(id)) {
+      console.warn(`Rules file not found for "${id}", skipping rule pack`)
+      return false
+    }
+    return true
+  }).map(toRetailerId)
+
+  if (ids.length === 0) {
+    console.warn('No rule pack found, using default rules')
+    return defaultRetailRules
+  }
+
+  // Resolve each pack's extends chain, then layer the packs in order
+  const rulePacks = ids.map(id => resolveRulePack(id))
+  const rulePack = rulePacks.length === 1 ? rulePacks[0] : composeRulePacks(rulePacks)
+
+  // Merge with default rules, prioritizing JSON file values
+  return { ...normalizeRulePack(ids.join('+'), rulePack), packs: ids }
+}
@@ -0,0 +1,428 @@
+import Ajv from 'ajv'
+import { validateCustomRulePatterns } from './customRules.js'
+import { getFixCodes } from './checkRegistry.js'
+import { ROLES, TYPOGRAPHY_ROLES } from './checkHelpers.js'
+
+/**
+ * Rule Pack Schema
+ * JSON Schema for the rule pack files in rules/*.json
+ */
+
+export const rulePackSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://ai-creative-guardrail-copilot/rule-pack.schema.json',
+  title: 'Rule Pack',
+  description: 'Retailer compliance rules used by the compliance checker and auto-fix',
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    $schema: { type: 'string' },
+    name: {
+      description: 'Display name of the retailer',
+      type: 'string',
+      minLength: 1
+    },
+    description: {
+      description: 'Short description shown in the retailer picker',
+      type: 'string'
+    },
+    version: {
+      description: 'Version of the rule pack',
+      type: 'string',
+      pattern: '^\\d+\\.\\d+\\.\\d+$'
+    },
+    kind: {
+      description: 'What the pack describes; channel and region packs are layered on a retailer pack',
+      type: 'string',
+      enum: ['retailer', 'channel', 'region']
+    },
+    extends: {
+      description: 'ID or list of IDs of rule packs this pack builds on',
+      oneOf: [
+        { $ref: '#/definitions/packId' },
+        { type: 'array', minItems: 1, uniqueItems: true, items: { $ref: '#/definitions/packId' } }
+      ]
+    },
+    override: {
+      description: 'List fields that replace the inherited list instead of adding to it (allow-lists such as allowed_tags are never added to)',
+      type: 'array',
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: [
+          'prohibited_claims',
+          'prohibited_words',
+          'tone_guidelines',
+          'compliance_rules',
+          'brand_keywords',
+          'custom_rules'
+        ]
+      }
+    },
+    min_font_size: {
+      description: 'Minimum rendered font size in pixels',
+      type: 'number',
+      exclusiveMinimum: 0
+    },
+    unsafe_top: {
+      description: 'Height of the unsafe zone at the top of the canvas in pixels, for formats without unsafe_zones',
+      type: 'number',
+      minimum: 0
+    },
+    unsafe_bottom: {
+      description: 'Height of the unsafe zone at the bottom of the canvas in pixels, for formats without unsafe_zones',
+      type: 'number',
+      minimum: 0
+    },
+    unsafe_zones: {
+      description: 'Unsafe zones per format; "default" applies to formats without their own entry',
+      type: 'object',
+      propertyNames: { enum: ['default', '1:1', '9:16', '16:9'] },
+      additionalProperties: { $ref: '#/definitions/zone' }
+    },
+    required_disclaimer: {
+      description: 'Disclaimer text inserted by auto-fix when none is present',
+      type: 'string',
+      minLength: 1
+    },
+    allowed_tags: {
+      description: 'Approved TAG phrases; the first one is used by auto-fix',
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 }
+    },
+    prohibited_claims: {
+      description: 'Claims that must not appear in copy',
+      $ref: '#/definitions/phraseList'
+    },
+    prohibited_words: {
+      description: 'Words that must not appear in copy',
+      $ref: '#/definitions/phraseList'
+    },
+    exception_phrases: {
+      description: 'Phrases such as "gluten free" whose words never count as a prohibited claim or word',
+      $ref: '#/definitions/phraseList'
+    },
+    required_disclaimers: {
+      description: 'Phrases that count as a disclaimer when present in any text',
+      $ref: '#/definitions/phraseList'
+    },
+    tone_guidelines: {
+      description: 'Tone guidance passed to the AI copy fixer',
+      $ref: '#/definitions/phraseList'
+    },
+    compliance_rules: {
+      description: 'Compliance guidance passed to the AI copy fixer',
+      $ref: '#/definitions/phraseList'
+    },
+    brand_keywords: {
+      description: 'Short text mentioning one of these must use an allowed TAG phrase',
+      $ref: '#/definitions/phraseList'
+    },
+    brand_palette: {
+      description: 'Brand colours the contrast fix may use for text and backing plates',
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+    },
+    tag_text_max_length: {
+      description: 'Texts shorter than this that mention a brand keyword are checked as TAG text',
+      type: 'integer',
+      minimum: 1
+    },
+    disclaimer_trigger_length: {
+      description: 'A disclaimer is required once any text is longer than this many characters',
+      type: 'integer',
+      minimum: 0
+    },
+    contrast_level: {
+      description: 'WCAG conformance level for text contrast (AA: 4.5:1 normal, 3:1 large text; AAA: 7:1 and 4.5:1)',
+      type: 'string',
+      enum: ['AA', 'AAA']
+    },
+    min_contrast_ratio: {
+      description: 'Minimum contrast ratio for normal text; can only raise the contrast_level minimum',
+      type: 'number',
+      minimum: 1,
+      maximum: 21
+    },
+    min_large_contrast_ratio: {
+      description: 'Minimum contrast ratio for large text (24px, or 18.66px bold); can only raise the contrast_level minimum',
+      type: 'number',
+      minimum: 1,
+      maximum: 21
+    },
+    packshot_min_area: {
+      description: 'Minimum share of the canvas area each packshot must cover, e.g. 0.1 for 10%',
+      type: 'number',
+      minimum: 0,
+      maximum: 1
+    },
+    packshot_max_count: {
+      description: 'Maximum number of packshots on the canvas',
+      type: 'integer',
+      minimum: 1
+    },
+    packshot_in_safe_area: {
+      description: 'Packshots must sit entirely inside the safe area (outside the unsafe zones)',
+      type: 'boolean'
+    },
+    packshot_on_canvas: {
+      description: 'Packshots must not be cropped by the canvas edges',
+      type: 'boolean'
+    },
+    role_typography: {
+      description: 'Minimum font size and maximum word count per text role ("body" is text without a role); a role\'s min_font_size replaces the global one',
+      type: 'object',
+      propertyNames: { enum: TYPOGRAPHY_ROLES },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          min_font_size: { type: 'number', minimum: 1 },
+          max_words: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
+    hierarchy: {
+      description: 'Text roles from largest to smallest, e.g. ["headline", "subhead", "body"]; an empty list turns the check off',
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', enum: TYPOGRAPHY_ROLES }
+    },
+    hierarchy_ratio: {
+      description: 'How many times larger each role in the hierarchy must be than the next',
+      type: 'number',
+      minimum: 1
+    },
+    max_overlap: {
+      description: 'Largest share (percent of the smaller element) that text may overlap other text or packshots before it is reported',
+      type: 'number',
+      minimum: 0,
+      maximum: 100
+    },
+    severities: {
+      description: 'Severity per violation type, e.g. { "font_small": "high" }',
+      type: 'object',
+      propertyNames: { pattern: '^[a-z][a-z0-9_]*$' },
+      additionalProperties: { $ref: '#/definitions/severity' }
+    },
+    custom_rules: {
+      description: 'Additional declarative rules evaluated after the built-in checks',
+      type: 'array',
+      items: { $ref: '#/definitions/customRule' }
+    },
+    auto_fix: {
+      description: 'Settings used by auto-fix when moving and inserting elements',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        margin: {
+          description: 'Gap in pixels kept between moved elements and unsafe zones',
+          type: 'number',
+          minimum: 0
+        },
+        align: {
+          description: 'Column that added and moved text lines up on: left, center, or auto to follow the existing text',
+          type: 'string',
+          enum: ['left', 'center', 'auto']
+        },
+        max_passes: {
+          description: 'Most check-and-fix passes auto-fix makes, fixing what earlier fixes introduced',
+          type: 'integer',
+          minimum: 1,
+          maximum: 10
+        },
+        contrast_strategies: {
+          description: 'Ways the contrast fix may raise contrast; the least intrusive that reaches the ratio is used: palette (nearest brand colour), shadow, plate (backing rectangle), scrim (gradient over a background image), recolor (darken or lighten the text)',
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string', enum: ['palette', 'shadow', 'plate', 'scrim', 'recolor'] }
+        },
+        tag_style: { $ref: '#/definitions/textStyle' },
+        disclaimer_style: { $ref: '#/definitions/textStyle' }
+      }
+    }
+  },
+  definitions: {
+    packId: {
+      type: 'string',
+      pattern: '^[a-z0-9][a-z0-9_-]*$'
+    },
+    phraseList: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    },
+    zone: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        top: { $ref: '#/definitions/zoneSize' },
+        bottom: { $ref: '#/definitions/zoneSize' },
+        left: { $ref: '#/definitions/zoneSize' },
+        right: { $ref: '#/definitions/zoneSize' }
+      }
+    },
+    zoneSize: {
+      description: 'Size in pixels or a percentage of the canvas height (top/bottom) or width (left/right)',
+      oneOf: [
+        { type: 'number', minimum: 0 },
+        { type: 'string', pattern: '^\\d+(\\.\\d+)?%$' }
+      ]
+    },
+    selector: {
+      description: 'Selects canvas objects by type ("text" matches every text type), name, role and text pattern',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        type: { $ref: '#/definitions/stringOrList' },
+        name: { $ref: '#/definitions/stringOrList' },
+        role: {
+          oneOf: [
+            { type: 'string', enum: ROLES },
+            { type: 'array', minItems: 1, items: { type: 'string', enum: ROLES } }
+          ]
+        },
+        text: { type: 'string', minLength: 1 },
+        flags: { $ref: '#/definitions/regexFlags' }
+      }
+    },
+    stringOrList: {
+      oneOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+      ]
+    },
+    regexFlags: {
+      type: 'string',
+      pattern: '^[imsu]*$'
+    },
+    customRule: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'type', 'message'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+        type: { type: 'string', enum: ['text_match', 'region', 'count', 'requires'] },
+        message: {
+          description: 'Message template; {text}, {match}, {name}, {count}, {min} and {max} are filled in',
+          type: 'string',
+          minLength: 1
+        },
+        severity: { $ref: '#/definitions/severity' },
+        fix: {
+          description: 'Auto-fix applied for this rule; must be a fix code of a registered check plugin',
+          type: 'string',
+          pattern: '^[a-z][a-z0-9_]*$'
+        },
+        hint: {
+          description: 'How to fix the violation, shown to the designer',
+          type: 'string'
+        },
+        select: { $ref: '#/definitions/selector' },
+        pattern: { type: 'string', minLength: 1 },
+        flags: { $ref: '#/definitions/regexFlags' },
+        region: {
+          oneOf: [
+            { type: 'string', enum: ['safe_area'] },
+            {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                left: { $ref: '#/definitions/zoneSize' },
+                top: { $ref: '#/definitions/zoneSize' },
+                right: { $ref: '#/definitions/zoneSize' },
+                bottom: { $ref: '#/definitions/zoneSize' }
+              }
+            }
+          ]
+        },
+        must: { type: 'string', enum: ['inside', 'outside'] },
+        min: { type: 'integer', minimum: 0 },
+        max: { type: 'integer', minimum: 0 },
+        if: { $ref: '#/definitions/selector' },
+        then: { $ref: '#/definitions/selector' }
+      },
+      allOf: [
+        { if: { properties: { type: { const: 'text_match' } } }, then: { required: ['pattern'] } },
+        { if: { properties: { type: { const: 'region' } } }, then: { required: ['select', 'region'] } },
+        { if: { properties: { type: { const: 'count' } } }, then: { required: ['select'], anyOf: [{ required: ['min'] }, { required: ['max'] }] } },
+        { if: { properties: { type: { const: 'requires' } } }, then: { required: ['if', 'then'] } }
+      ]
+    },
+    severity: {
+      type: 'string',
+      enum: ['high', 'medium', 'low']
+    },
+    textStyle: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        font_size: { type: 'number', exclusiveMinimum: 0 },
+        font_family: { type: 'string', minLength: 1 },
+        font_weight: { type: ['string', 'number'] },
+        fill: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+      }
+    }
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+const validate = ajv.compile(rulePackSchema)
+
+/**
+ * Convert an Ajv error into a field-level error
+ * @param {Object} error - Ajv error object
+ * @returns {Object} Error with field path and message
+ */
+function formatError(error) {
+  // Ajv uses JSON pointers ("/allowed_tags/0"); report dotted paths instead
+  let field = error.instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '')
+
+  if (error.keyword === 'additionalProperties') {
+    const property = error.params.additionalProperty
+    field = field ? `${field}.${property}` : property
+    return { field, message: `unknown field "${property}"` }
+  }
+
+  if (error.keyword === 'required') {
+    const property = error.params.missingProperty
+    field = field ? `${field}.${property}` : property
+    return { field, message: 'is required' }
+  }
+
+  return { field: field || '(root)', message: error.message }
+}
+
+/**
+ * Validate a rule pack against the schema
+ * @param {Object} rulePack - Parsed rule pack JSON
+ * @returns {Object} { valid: boolean, errors: Array<{ field, message }> }
+ */
+export function validateRulePack(rulePack) {
+  if (!validate(rulePack)) {
+    // "if" errors only repeat the errors of the matching "then" branch
+    const errors = validate.errors.filter(error => error.keyword !== 'if')
+    return { valid: false, errors: errors.map(formatError) }
+  }
+
+  const errors = validateCustomRulePatterns(rulePack.custom_rules)
+
+  // Fix codes are provided by check plugins, so they are checked against the registry
+  const fixCodes = getFixCodes()
+  const customRules = rulePack.custom_rules || []
+  customRules.forEach((rule, index) => {
+    if (rule.fix && !fixCodes.includes(rule.fix)) {
+      errors.push({ field: `custom_rules[${index}].fix`, message: `unknown fix "${rule.fix}"` })
+    }
+  })
+
+  return { valid: errors.length === 0, errors }
+}
@@ -7,8 +7,14 @@ import fs from 'fs'
 import OpenAI from 'openai'
 import sharp from 'sharp'
 import dotenv from 'dotenv'
-import { checkCompliance, applyAutoFix } from './complianceChecker.js'
-import { getRetailRules } from './retailRules.js'
+import { checkCompliance, autoFixUntilClean, previewAutoFix } from './complianceChecker.js'
+import { getRetailRules, hasRetailRules, listRetailers, normalizeRulePack, toRetailerId, validateRulePackFiles, RulePackError } from './retailRules.js'
+import { validateRulePack } from './rulePackSchema.js'
+import { resolveUnsafeZone } from './unsafeZones.js'
+import { describeChecks } from './checkRegistry.js'
+import { decodeCanvasImages } from './backgroundSampler.js'
+import { MAX_RENDER_SIZE, getRenderSizeError, renderCanvas } from './canvasRenderer.js'
+import { buildSystemPrompt, sanitizeCopy } from './copyFixer.js'
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url)
@@ -153,43 +159,174 @@ app.post('/api/remove-bg', async (req, res) => {
   }
 })
 
+// Respond with 400 for a malformed pack list and 404 when a requested rule pack does not exist
+// Accepts a single retailer ID or a list of rule pack IDs to layer
+function rejectUnknownRetailer(retailer, res) {
+  if (Array.isArray(retailer) && (retailer.length === 0 || !retailer.every(id => typeof id === 'string'))) {
+    res.status(400).json({ error: 'Invalid rule packs', details: 'packs must be a non-empty list of rule pack IDs' })
+    return true
+  }
+  const unknown = [].concat(retailer || []).filter(id => !hasRetailRules(id))
+  if (unknown.length > 0) {
+    res.status(404).json({ error: 'Unknown retailer', details: `No rule pack found for "${unknown.join('", "')}"` })
+    return true
+  }
+  return false
+}
+
+// Respond with the field-level errors of a broken rule pack
+function sendRulePackError(error, res) {
+  if (!(error instanceof RulePackError)) return false
+  console.error(`${error.message}:`, error.errors)
+  res.status(error.status).json({
+    error: 'Invalid rule pack',
+    details: error.message,
+    retailer: error.retailer,
+    validationErrors: error.errors,
+  })
+  return true
+}
+
+// List available retailer rule packs
+app.get('/api/retailers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      retailers: listRetailers(),
+    })
+  } catch (error) {
+    console.error('List retailers error:', error)
+    res.status(500).json({ error: 'Failed to list retailers', details: error.message })
+  }
+})
+
+// Get the resolved rules for a retailer
+app.get('/api/rules/:retailer', (req, res) => {
+  try {
+    const { retailer } = req.params
+
+    if (rejectUnknownRetailer(retailer, res)) return
+
+    res.json({
+      success: true,
+      rules: getRetailRules(retailer),
+    })
+  } catch (error) {
+    if (sendRulePackError(error, res)) return
+    console.error('Get rules error:', error)
+    res.status(500).json({ error: 'Failed to load rules', details: error.message })
+  }
+})
+
+// List the registered compliance check plugins and the fixes they provide
+app.get('/api/checks', (req, res) => {
+  res.json({
+    success: true,
+    checks: describeChecks(),
+  })
+})
+
+// Validate a rule pack - POST /api/rules/validate
+// Accepts either a rule pack object or the ID of a rule pack file
+app.post('/api/rules/validate', (req, res) => {
+  try {
+    const { rulePack, retailer } = req.body
+
+    if (!rulePack && !retailer) {
+      return res.status(400).json({ error: 'Rule pack or retailer is required' })
+    }
+
+    if (rulePack) {
+      return res.json({ success: true, ...validateRulePack(rulePack) })
+    }
+
+    if (rejectUnknownRetailer(retailer, res)) return
+
+    const result = validateRulePackFiles().find(pack => pack.id === toRetailerId(retailer))
+    res.json({ success: true, valid: result.valid, errors: result.errors })
+  } catch (error) {
+    console.error('Validate rules error:', error)
+    res.status(500).json({ error: 'Rule pack validation failed', details: error.message })
+  }
+})
+
+// Format a violation as an issue for the editor
+function formatIssue(violation) {
+  return {
+    id: violation.id,
+    key: violation.key,
+    message: violation.message,
+    fix: violation.fix,
+    hint: violation.hint,
+    severity: violation.severity || 'medium',
+    objectId: violation.objectId,
+    objectIndex: violation.objectIndex,
+    path: violation.path,
+    relatedObjectId: violation.relatedObjectId,
+    relatedObjectIndex: violation.relatedObjectIndex,
+    relatedPath: violation.relatedPath,
+    overlap: violation.overlap,
+    matches: violation.matches,
+    contrast: violation.contrast,
+  }
+}
+
+// Sanitize the headline and subhead for the fix-copy fallbacks
+// Copy made only of prohibited terms comes back empty, listed in emptyCopy with a warning
+function sanitizeHeadlines(headline, subhead, rules) {
+  const correctedHeadline = headline ? sanitizeCopy(headline, rules) : null
+  const correctedSubhead = subhead ? sanitizeCopy(subhead, rules) : null
+  const emptyCopy = [headline && !correctedHeadline && 'headline', subhead && !correctedSubhead && 'subhead'].filter(Boolean)
+  return {
+    correctedHeadline,
+    correctedSubhead,
+    emptyCopy,
+    warnings: emptyCopy.length > 0 ? [`Nothing usable is left of the ${emptyCopy.join(' and ')} once prohibited terms are removed; please rewrite it`] : []
+  }
+}
+
 // Compliance checker endpoint
 app.post('/api/check-compliance', async (req, res) => {
   try {
-    const { canvasData, retailer } = req.body
+    const { canvasData, retailer, packs } = req.body
 
     if (!canvasData) {
       return res.status(400).json({ error: 'No canvas data provided' })
     }
 
+    // A list of pack IDs (e.g. retailer + channel + region) takes precedence over a single retailer
+    const rulePacks = packs ?? retailer
+    if (rejectUnknownRetailer(rulePacks, res)) return
+
     // Load rules dynamically based on retailer
-    const rules = retailer ? getRetailRules(retailer) : getRetailRules()
+    const rules = rulePacks ? getRetailRules(rulePacks) : getRetailRules()
     
+    // Decode images so contrast is measured against the pixels behind each text
+    const images = await decodeCanvasImages(canvasData)
+
     // Use compliance checker module to check all rules
-    const violations = checkCompliance(canvasData, rules)
+    const violations = checkCompliance(canvasData, rules, { images })
 
     // Format violations to match expected structure
-    const issues = violations.map(violation => ({
-      id: violation.id,
-      message: violation.message,
-      fix: violation.fix,
-      severity: violation.severity || 'medium',
-      objectIndex: violation.objectIndex,
-    }))
+    const issues = violations.map(formatIssue)
 
     res.json({
       success: true,
       issues: issues,
       violations: violations, // Include full violation data
       rules: {
+        retailer: rules.id,
+        packs: rules.packs || [rules.id],
         minFontSize: rules.minFontSize,
         unsafeTop: rules.unsafeTop,
         unsafeBottom: rules.unsafeBottom,
+        unsafeZone: resolveUnsafeZone(rules, canvasData.width || 1080, canvasData.height || 1080),
         requiredDisclaimer: rules.requiredDisclaimer,
         allowedTags: rules.allowedTagPhrases
       }
     })
   } catch (error) {
+    if (sendRulePackError(error, res)) return
     console.error('Compliance check error:', error)
     res.status(500).json({ error: 'Compliance check failed', details: error.message })
   }
@@ -198,12 +335,28 @@ app.post('/api/check-compliance', async (req, res) => {
 // Fix copy endpoint - POST /api/fix-copy
 app.post('/api/fix-copy', async (req, res) => {
   try {
-    const { headline, subhead, retailRulePack } = req.body
+    const { headline, subhead, retailRulePack, retailer, packs } = req.body
 
     if (!headline && !subhead) {
       return res.status(400).json({ error: 'Headline or subhead is required' })
     }
 
+    const rulePacks = packs ?? retailer
+    if (rejectUnknownRetailer(rulePacks, res)) return
+
+    // A rule pack sent by the client is held to the same schema as the pack files
+    if (retailRulePack) {
+      const { valid, errors } = validateRulePack(retailRulePack)
+      if (!valid) {
+        return res.status(400).json({ error: 'Invalid rule pack', details: 'retailRulePack does not match the rule pack schema', validationErrors: errors })
+      }
+    }
+
+    // Use provided rule pack, the requested rule packs, or the default
+    const rules = retailRulePack
+      ? normalizeRulePack('custom', retailRulePack)
+      : rulePacks ? getRetailRules(rulePacks) : getRetailRules()
+
     // Check if OpenAI is configured
     const hasOpenAI = openai && 
                       process.env.OPENAI_API_KEY && 
@@ -216,45 +369,20 @@ app.post('/api/fix-copy', async (req, res) => {
 
     if (!hasOpenAI && !hasGroq) {
       // Fallback: return sanitized version without LLM
-      const text = headline || subhead || ''
-      const sanitized = text
-        .replace(/\b(best|cheapest|lowest price|guaranteed|always|never|100%|free|no risk|proven|miracle|instant|secret)\b/gi, '')
-        .trim()
-      
+      const { warnings, ...sanitized } = sanitizeHeadlines(headline, subhead, rules)
       return res.json({
         success: true,
-        correctedHeadline: headline ? sanitized : null,
-        correctedSubhead: subhead ? sanitized : null,
-        message: 'Copy fixed (fallback mode - LLM not configured). Get free Groq API key at https://console.groq.com/keys'
+        ...sanitized,
+        message: 'Copy fixed (fallback mode - LLM not configured). Get free Groq API key at https://console.groq.com/keys',
+        ...(warnings.length > 0 && { warning: warnings.join('. ') })
       })
     }
 
-    // Use provided rule pack or default
-    const rules = retailRulePack || getRetailRules()
-
     // Build the text to fix
     const textToFix = [headline, subhead].filter(Boolean).join('\n')
 
     // Create comprehensive prompt for LLM
-    const systemPrompt = `You are a copy editor specializing in retail marketing compliance. Your task is to rewrite marketing copy to be compliant with retailer rules.
-
-Key Requirements:
-- Avoid claims and superlatives (best, cheapest, guaranteed, etc.)
-- Avoid misleading language
-- Use only allowed terms and phrases
-- Enforce compliance with retailer guidelines
-- Maintain the core message while ensuring compliance
-- Keep the tone professional and factual
-- If tag text is present, ensure it matches retailer-approved phrases
-
-Retailer Rules:
-- Allowed Tag Phrases: ${rules.allowedTagPhrases?.join(', ') || 'Only at Tesco, Available at Tesco'}
-- Prohibited Claims: ${rules.prohibitedClaims?.join(', ') || 'best, cheapest, guaranteed'}
-- Prohibited Words: ${rules.prohibitedWords?.join(', ') || 'free, guarantee, warranty'}
-- Tone Guidelines: ${rules.toneGuidelines?.join('; ') || 'Avoid superlatives, use factual language'}
-- Compliance Rules: ${rules.complianceRules?.join('; ') || 'No misleading claims, clear pricing'}
-
-Return ONLY the corrected copy, maintaining the same structure (headline and subhead if both provided). Do not include explanations or notes.`
+    const systemPrompt = buildSystemPrompt(rules, { keepStructure: true })
 
     const userPrompt = `Rewrite this text to be compliant with retailer rules, avoid claims, avoid misleading language, and enforce allowed terms:
 
@@ -349,28 +477,18 @@ Return the corrected copy:`
       console.error('LLM copy fix error:', llmError)
       
       // Fallback: basic sanitization
-      const sanitizeText = (text) => {
-        if (!text) return text
-        const prohibited = rules.prohibitedClaims?.concat(rules.prohibitedWords || []) || []
-        let sanitized = text
-        prohibited.forEach(word => {
-          const regex = new RegExp(`\\b${word}\\b`, 'gi')
-          sanitized = sanitized.replace(regex, '')
-        })
-        return sanitized.replace(/\s+/g, ' ').trim()
-      }
-
+      const { warnings, ...sanitized } = sanitizeHeadlines(headline, subhead, rules)
       res.json({
         success: true,
-        correctedHeadline: headline ? sanitizeText(headline) : null,
-        correctedSubhead: subhead ? sanitizeText(subhead) : null,
+        ...sanitized,
         originalHeadline: headline,
         originalSubhead: subhead,
         message: 'Copy fixed (fallback mode)',
-        warning: 'LLM processing failed, used basic sanitization'
+        warning: ['LLM processing failed, used basic sanitization', ...warnings].join('. ')
       })
     }
   } catch (error) {
+    if (sendRulePackError(error, res)) return
     console.error('Fix copy error:', error)
     res.status(500).json({ error: 'Fix copy failed', details: error.message })
   }
@@ -379,7 +497,7 @@ Return the corrected copy:`
 // Auto-fix endpoint
 app.post('/api/auto-fix', async (req, res) => {
   try {
-    const { canvasData, issues, retailer } = req.body
+    const { canvasData, issues, retailer, packs, preview = false } = req.body
 
     if (!canvasData) {
       return res.status(400).json({ error: 'No canvas data provided' })
@@ -389,8 +507,11 @@ app.post('/api/auto-fix', async (req, res) => {
       return res.status(400).json({ error: 'No issues provided for auto-fix' })
     }
 
+    const rulePacks = packs ?? retailer
+    if (rejectUnknownRetailer(rulePacks, res)) return
+
     // Load rules dynamically based on retailer
-    const rules = retailer ? getRetailRules(retailer) : getRetailRules()
+    const rules = rulePacks ? getRetailRules(rulePacks) : getRetailRules()
 
     // Use compliance checker module to apply fixes with OpenAI client for LLM fixes
     // Check if OpenAI API key is properly configured
@@ -399,35 +520,85 @@ app.post('/api/auto-fix', async (req, res) => {
                       process.env.OPENAI_API_KEY !== 'your-openai-api-key-here' &&
                       process.env.OPENAI_API_KEY !== 'your-api-key-here'
     
-    const fixedCanvasData = await applyAutoFix(canvasData, issues, {
+    const fixOptions = {
       openai: hasOpenAI ? openai : null,
-      rules: rules
-    })
+      rules: rules,
+      images: await decodeCanvasImages(canvasData)
+    }
 
-    res.json({
-      success: true,
-      fixedCanvasData: fixedCanvasData,
-      message: `Auto-fix applied to ${issues.length} violation(s)`,
-      fixedIssues: issues.map(issue => issue.id),
-    })
+    // Fix, check again and fix what the fixes introduced, until clean or out of passes;
+    // preview mode returns the changes for review instead of a fixed canvas
+    const result = preview
+      ? await previewAutoFix(canvasData, issues, fixOptions)
+      : await autoFixUntilClean(canvasData, issues, fixOptions)
+    const report = {
+      message: `Fixed ${result.fixed.length} of ${issues.length} violation(s) in ${result.passes} pass(es); ${result.remaining.length} remaining, ${result.introduced.length} introduced`,
+      passes: result.passes,
+      fixedIssues: result.fixed.map(formatIssue),
+      remainingIssues: result.remaining.map(formatIssue),
+      introducedIssues: result.introduced.map(formatIssue),
+    }
+
+    if (preview) {
+      return res.json({ success: true, preview: true, patch: result.patch, ...report })
+    }
+
+    res.json({ success: true, fixedCanvasData: result.fixedCanvasData, ...report })
   } catch (error) {
+    if (sendRulePackError(error, res)) return
     console.error('Auto-fix error:', error)
     res.status(500).json({ error: 'Auto-fix failed', details: error.message })
   }
 })
 
+// Render canvas JSON to an image without a browser - POST /api/render
+// Pass width for thumbnails; the image keeps the canvas aspect ratio
+app.post('/api/render', async (req, res) => {
+  try {
+    const { canvasData, fileType = 'png', width } = req.body
+
+    if (!canvasData) {
+      return res.status(400).json({ error: 'No canvas data provided' })
+    }
+
+    if (width !== undefined && !(Number(width) > 0 && Number(width) <= MAX_RENDER_SIZE)) {
+      return res.status(400).json({ error: `Width must be between 1 and ${MAX_RENDER_SIZE} pixels` })
+    }
+
+    const sizeError = getRenderSizeError(canvasData)
+    if (sizeError) {
+      return res.status(400).json({ error: sizeError })
+    }
+
+    const image = await renderCanvas(canvasData, { fileType, width: width && Number(width) })
+
+    res.setHeader('Content-Type', fileType === 'jpg' ? 'image/jpeg' : 'image/png')
+    res.setHeader('Content-Length', image.length)
+    res.send(image)
+  } catch (error) {
+    console.error('Render error:', error)
+    res.status(500).json({ error: 'Render failed', details: error.message })
+  }
+})
+
 // Export endpoint with format and size optimization
 app.post('/api/export', async (req, res) => {
   try {
-    const { imageDataUrl, format, fileType = 'jpg' } = req.body
+    const { imageDataUrl, canvasData, format, fileType = 'jpg' } = req.body
 
-    if (!imageDataUrl) {
+    if (!imageDataUrl && !canvasData) {
       return res.status(400).json({ error: 'No image data provided' })
     }
 
-    // Convert data URL to buffer
-    const base64Data = imageDataUrl.replace(/^data:image\/\w+;base64,/, '')
-    const imageBuffer = Buffer.from(base64Data, 'base64')
+    const sizeError = !imageDataUrl && getRenderSizeError(canvasData)
+    if (sizeError) {
+      return res.status(400).json({ error: sizeError })
+    }
+
+    // Use the browser's image, or render the canvas JSON when there is none
+    const imageBuffer = imageDataUrl
+      ? Buffer.from(imageDataUrl.replace(/^data:image\/\w+;base64,/, ''), 'base64')
+      : await renderCanvas(canvasData)
 
     // Process image with sharp
     let processedImage = sharp(imageBuffer)
@@ -868,5 +1039,15 @@ app.get('/api/health', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`)
   console.log(`📁 Assets directory: ${assetsDir}`)
+
+  // Report broken rule packs up front instead of on the first compliance check
+  validateRulePackFiles().forEach(({ id, valid, errors }) => {
+    if (valid) {
+      console.log(`📋 Rule pack "${id}" loaded`)
+    } else {
+      console.error(`❌ Rule pack "${id}" is invalid:`)
+      errors.forEach(error => console.error(`   - ${error.field}: ${error.message}`))
+    }
+  })
 })
 
@@ -3,8 +3,18 @@
  * Tests the compliance checker and auto-fix functionality
  */
 
-import { checkCompliance, applyAutoFix } from '../complianceChecker.js'
-import { getRetailRules } from '../retailRules.js'
+import { checkCompliance, applyAutoFix, autoFixUntilClean, previewAutoFix } from '../complianceChecker.js'
+import { getRetailRules, listRetailers, hasRetailRules, validateRulePackFiles, normalizeRulePack, composeRulePacks } from '../retailRules.js'
+import { validateRulePack } from '../rulePackSchema.js'
+import { resolveUnsafeZone } from '../unsafeZones.js'
+import { registerCheck, unregisterCheck, describeChecks, getFixCodes } from '../checkRegistry.js'
+import { defaultRetailRules } from '../retailRules.js'
+import { findPhrases } from '../phraseMatcher.js'
+import { sanitizeCopy } from '../copyFixer.js'
+import { getContrastRatio, parseColor } from '../colorUtils.js'
+import { canvasToSVG, getRenderSizeError, layoutTextLines, renderCanvas } from '../canvasRenderer.js'
+import { isAllowedImageUrl, readImageSource } from '../imageSources.js'
+import { getBoundingBox, getOrientedBoundingBox } from '../geometry.js'
 
 // Test helper functions
 function createMockCanvasData(objects, height = 1080, width = 1080, backgroundColor = '#FFFFFF') {
@@ -211,13 +221,860 @@ if (violationsAfterFix.length > 0) {
 const test3Pass = violationsAfterFix.length === 0
 console.log(`\n[TEST 3] ${test3Pass ? 'PASS' : 'FAIL'} - ${violationsAfterFix.length} violations remaining (expected 0)`)
 
+// Test 4: Retailer rule packs - Should list and resolve packs by ID
+console.log('\n[TEST 4] Retailer rule packs - Listing and loading\n')
+
+const retailers = listRetailers()
+console.log(`Available retailers: ${retailers.map(r => r.id).join(', ')}`)
+
+const tescoById = getRetailRules('tesco')
+const test4Pass = retailers.some(r => r.id === 'tesco' && r.name === 'Tesco') &&
+  tescoById.id === 'tesco' &&
+  hasRetailRules('Tesco') &&
+  !hasRetailRules('unknown-retailer') &&
+  !hasRetailRules('../rules/tesco')
+console.log(`\n[TEST 4] ${test4Pass ? 'PASS' : 'FAIL'} - Rule packs listed and resolved by ID`)
+
+// Test 5: Rule pack validation - Should report field-level errors
+console.log('\n[TEST 5] Rule pack validation - Reporting field-level errors\n')
+
+const brokenPack = validateRulePack({
+  name: 'Broken',
+  min_fontsize: 20, // typo of min_font_size
+  unsafe_top: '200', // wrong type
+  allowed_tags: []
+})
+brokenPack.errors.forEach(error => console.log(`  ${error.field}: ${error.message}`))
+
+const brokenFields = brokenPack.errors.map(error => error.field)
+const test5Pass = !brokenPack.valid &&
+  brokenFields.includes('min_fontsize') &&
+  brokenFields.includes('unsafe_top') &&
+  brokenFields.includes('allowed_tags') &&
+  validateRulePackFiles().every(pack => pack.valid)
+console.log(`\n[TEST 5] ${test5Pass ? 'PASS' : 'FAIL'} - Broken pack rejected, shipped packs valid`)
+
+// Test 6: Rule pack fields - Word lists, severities and contrast target come from the pack
+console.log('\n[TEST 6] Rule pack fields - Checks read only from the loaded pack\n')
+
+const customRules = normalizeRulePack('custom', {
+  name: 'Custom Grocer',
+  allowed_tags: ['Only at Custom'],
+  brand_keywords: ['custom'],
+  prohibited_claims: ['tastiest'],
+  prohibited_words: ['organic'],
+  min_contrast_ratio: 7,
+  severities: { unsafe_word: 'low' }
+})
+const customViolations = checkCompliance(createMockCanvasData([
+  createTextObject('Free organic tastiest apples', 400, 20, '#767676'),
+  createTextObject('Only at Custom', 450, 24, '#000000')
+]), customRules)
+customViolations.forEach(v => console.log(`  ${v.id}: ${v.message} (${v.severity})`))
+
+const customWord = customViolations.find(v => v.id.startsWith('unsafe_word'))
+const test6Pass = customWord?.severity === 'low' &&
+  customViolations.some(v => v.id.startsWith('prohibited_claim') && v.message.includes('tastiest')) &&
+  customViolations.some(v => v.id.startsWith('contrast_low')) && // #767676 passes 4.5:1 but not 7:1
+  !customViolations.some(v => v.message.includes('"free"')) &&
+  !customViolations.some(v => v.id === 'missing_tag_text')
+console.log(`\n[TEST 6] ${test6Pass ? 'PASS' : 'FAIL'} - Custom pack fields applied`)
+
+// Test 7: Rule pack composition - extends and layered packs
+console.log('\n[TEST 7] Rule pack composition - Inheritance and layering\n')
+
+const ireland = getRetailRules('tesco-ireland')
+const layered = getRetailRules(['tesco', 'instagram-story', 'uk-legal'])
+const composed = composeRulePacks([
+  { name: 'Base', min_font_size: 20, disclaimer_trigger_length: 30, allowed_tags: ['A', 'B'], prohibited_words: ['x', 'y'], severities: { font_small: 'high' } },
+  { name: 'Layer', min_font_size: 16, disclaimer_trigger_length: 10, allowed_tags: ['b', 'C'], prohibited_words: ['z'], override: ['prohibited_words'], severities: { font_small: 'low' } }
+])
+// A channel pack cannot approve TAG phrases or exceptions the retailer never did
+const widened = composeRulePacks([
+  { name: 'Retailer', allowed_tags: ['Only at Tesco', 'Available at Tesco'], exception_phrases: ['gluten free'] },
+  { name: 'Channel', allowed_tags: ['Only at Tesco', 'Swipe up for deals'], exception_phrases: ['gluten free', 'free delivery'] }
+])
+let disjointError = null
+try {
+  composeRulePacks([{ name: 'Retailer', allowed_tags: ['Only at Tesco'] }, { name: 'Channel', allowed_tags: ['Swipe up'] }])
+} catch (error) {
+  disjointError = error
+}
+console.log(`Channel layered on retailer: tags ${widened.allowed_tags.join(', ')}; exceptions ${widened.exception_phrases.join(', ')}`)
+console.log(`tesco-ireland disclaimer: ${ireland.requiredDisclaimer}`)
+const layeredStoryZone = resolveUnsafeZone(layered, 1080, 1920)
+console.log(`Layered ${layered.retailer}: font ${layered.minFontSize}px, 9:16 unsafe ${layeredStoryZone.top}/${layeredStoryZone.bottom}px`)
+console.log(`Composed: font ${composed.min_font_size}px, trigger ${composed.disclaimer_trigger_length}, tags ${composed.allowed_tags.join(', ')}`)
+
+const test7Pass = ireland.requiredDisclaimer.endsWith('ROI only.') &&
+  ireland.minFontSize === 20 &&
+  ireland.requiredDisclaimers.join() === 'ROI only' &&
+  layered.id === 'tesco+instagram-story+uk-legal' &&
+  layered.minFontSize === 24 && layeredStoryZone.top === 250 && layeredStoryZone.bottom === 340 &&
+  resolveUnsafeZone(layered, 1080, 1080).top === 200 &&
+  layered.prohibitedClaims.includes('best') && layered.prohibitedClaims.includes('cure') &&
+  layered.severities.font_small === 'high' &&
+  composed.min_font_size === 20 && composed.disclaimer_trigger_length === 10 &&
+  composed.allowed_tags.join() === 'B' && composed.prohibited_words.join() === 'z' && composed.severities.font_small === 'high' &&
+  widened.allowed_tags.join() === 'Only at Tesco' && widened.exception_phrases.join() === 'gluten free' &&
+  disjointError?.name === 'RulePackError' && disjointError.errors[0].field === 'allowed_tags' &&
+  !validateRulePack({ name: 'Bad', override: ['allowed_tags'] }).valid
+console.log(`\n[TEST 7] ${test7Pass ? 'PASS' : 'FAIL'} - Packs inherited and layered with strictest values`)
+
+// Test 8: Per-format unsafe zones - Percentages and side margins on a 16:9 banner
+console.log('\n[TEST 8] Per-format unsafe zones - 16:9 banner\n')
+
+const tescoRules = getRetailRules('tesco')
+const bannerZone = resolveUnsafeZone(tescoRules, 1920, 1080)
+console.log(`16:9 zone: top ${bannerZone.top}px, bottom ${bannerZone.bottom}px, left ${bannerZone.left}px, right ${bannerZone.right}px`)
+
+const bannerHeadline = { ...createTextObject('Only at Tesco', 120, 24), left: 40 }
+const bannerFooter = createTextObject('Fresh apples', 900, 24)
+const bannerData = createMockCanvasData([bannerHeadline, bannerFooter], 1080, 1920)
+const bannerViolations = checkCompliance(bannerData, tescoRules)
+  .filter(v => v.id.startsWith('text_unsafe'))
+bannerViolations.forEach(v => console.log(`  ${v.id}: ${v.message}`))
+
+const fixedBanner = await applyAutoFix(bannerData, bannerViolations, { rules: tescoRules })
+const bannerRemaining = checkCompliance(fixedBanner, tescoRules).filter(v => v.id.startsWith('text_unsafe'))
+
+const test8Pass = bannerZone.format === '16:9' && bannerZone.top === 86 && bannerZone.bottom === 108 && bannerZone.left === 77 &&
+  bannerViolations.length === 1 && bannerViolations[0].id === 'text_unsafe_left_1' &&
+  bannerRemaining.length === 0
+console.log(`\n[TEST 8] ${test8Pass ? 'PASS' : 'FAIL'} - Banner zones scaled to the format, margin violation fixed`)
+
+// Test 9: Custom rules - Declarative rules from the rule pack
+console.log('\n[TEST 9] Custom rules - Regex, geometry, count and co-occurrence\n')
+
+const dslRules = normalizeRulePack('dsl', {
+  name: 'DSL',
+  custom_rules: [
+    { id: 'no_caps_sale', type: 'text_match', pattern: '\\bSALE\\b', flags: '', message: 'Found "{match}" in "{text}"', severity: 'low' },
+    { id: 'logo_top_band', type: 'region', select: { name: 'logo' }, region: { top: 0, bottom: '20%' }, message: '{name} must be in the top band' },
+    { id: 'one_logo', type: 'count', select: { name: 'logo' }, min: 1, max: 1, message: '{count} logos found' },
+    { id: 'price_disclaimer', type: 'requires', if: { type: 'text', text: '£\\d' }, then: { type: 'text', text: 'while stocks last' }, message: 'Price "{text}" needs a disclaimer', severity: 'high', fix: 'add_disclaimer_text' }
+  ]
+})
+const dslViolations = checkCompliance(createMockCanvasData([
+  createTextObject('BIG SALE now', 300),
+  createTextObject('Only £2 today', 400),
+  { type: 'rect', name: 'logo', left: 100, top: 600, width: 100, height: 100 }
+]), dslRules).filter(v => v.rule)
+dslViolations.forEach(v => console.log(`  ${v.id}: ${v.message} (${v.severity})`))
+
+const missingPattern = validateRulePack({ name: 'Broken DSL', custom_rules: [{ id: 'no_pattern', type: 'text_match', message: 'x' }] })
+const badRegex = validateRulePack({ name: 'Broken DSL', custom_rules: [{ id: 'bad_regex', type: 'text_match', pattern: '(unclosed', message: 'x' }] })
+missingPattern.errors.concat(badRegex.errors).forEach(e => console.log(`  ${e.field}: ${e.message}`))
+
+const dslIds = dslViolations.map(v => v.id)
+const test9Pass = dslIds.includes('no_caps_sale_1') &&
+  dslViolations.find(v => v.id === 'no_caps_sale_1').message === 'Found "SALE" in "BIG SALE now"' &&
+  dslIds.includes('logo_top_band_3') && !dslIds.includes('one_logo') &&
+  dslViolations.find(v => v.id === 'price_disclaimer_2')?.fix === 'add_disclaimer_text' &&
+  missingPattern.errors.some(e => e.field === 'custom_rules[0].pattern' && e.message === 'is required') &&
+  badRegex.errors.some(e => e.field === 'custom_rules[0].pattern')
+console.log(`\n[TEST 9] ${test9Pass ? 'PASS' : 'FAIL'} - Custom rules evaluated and validated`)
+
+// Test 10: Check plugins - Built-in plugins are discovered and new ones can be registered
+console.log('\n[TEST 10] Check plugins - Discovery and registration\n')
+
+const builtInChecks = describeChecks()
+builtInChecks.forEach(check => console.log(`  ${check.name}: reads ${check.ruleFields.join(', ')}; fixes ${check.fixes.join(', ') || '-'}`))
+const unknownFields = builtInChecks.flatMap(check => check.ruleFields.filter(field => !(field in defaultRetailRules)))
+
+registerCheck({
+  name: 'noLorem',
+  ruleFields: [],
+  check: ({ texts }) => texts
+    .filter(({ text }) => text.includes('Lorem'))
+    .map(({ index, textIndex }) => ({ id: `lorem_${textIndex}`, message: 'Placeholder copy', fix: 'remove_lorem', objectIndex: index, severity: 'high' })),
+  fixes: {
+    remove_lorem(violation, { canvasData }) {
+      canvasData.objects[violation.objectIndex].text = 'Fresh apples'
+      return true
+    }
+  }
+})
+let duplicateFixRejected = false
+try {
+  registerCheck({ name: 'copycat', ruleFields: [], fixes: { remove_lorem: () => true } })
+} catch {
+  duplicateFixRejected = true
+}
+const loremData = createMockCanvasData([createTextObject('Lorem ipsum at Tesco', 400)])
+const loremViolations = checkCompliance(loremData, tescoRules).filter(v => v.id === 'lorem_1')
+const loremFixed = await applyAutoFix(loremData, loremViolations, { rules: tescoRules })
+const pluginFixValid = validateRulePack({ name: 'Plugin fix', custom_rules: [{ id: 'lorem', type: 'text_match', pattern: 'lorem', message: 'x', fix: 'remove_lorem' }] })
+unregisterCheck('noLorem')
+const unknownFix = validateRulePack({ name: 'Plugin fix', custom_rules: [{ id: 'lorem', type: 'text_match', pattern: 'lorem', message: 'x', fix: 'remove_lorem' }] })
+console.log(`  Plugin violation: ${loremViolations.map(v => v.id).join(', ')}, fixed text: "${loremFixed.objects[0].text}"`)
+unknownFix.errors.forEach(e => console.log(`  ${e.field}: ${e.message}`))
+
+const test10Pass = builtInChecks.length >= 7 && unknownFields.length === 0 &&
+  getFixCodes().includes('increase_font_size') && !getFixCodes().includes('remove_lorem') &&
+  duplicateFixRejected &&
+  loremViolations.length === 1 && loremFixed.objects[0].text === 'Fresh apples' &&
+  pluginFixValid.valid &&
+  unknownFix.errors.some(e => e.field === 'custom_rules[0].fix')
+console.log(`\n[TEST 10] ${test10Pass ? 'PASS' : 'FAIL'} - Plugins discovered, registered and fixed`)
+
+// Test 11: Phrase matching - Whole words, inflections and exception phrases
+console.log('\n[TEST 11] Phrase matching - Word boundaries, stems and exceptions\n')
+
+const phraseCopy = [
+  'Nevertheless, a freezer favourite',
+  'Gluten-free loaf, best-before on pack',
+  'Guarantees the lowest prices, 100% fresh'
+]
+const phraseData = createMockCanvasData(phraseCopy.map((text, i) => createTextObject(text, 300 + i * 100)))
+const phraseViolations = checkCompliance(phraseData, tescoRules)
+  .filter(v => v.id.startsWith('prohibited_claim') || v.id.startsWith('unsafe_word'))
+phraseViolations.forEach(v => console.log(`  ${v.id}: ${v.message} ${v.matches.map(m => `[${m.start}-${m.end}]`).join(' ')}`))
+
+const phraseMatches = findPhrases(phraseCopy[2], tescoRules.prohibitedClaims.concat(tescoRules.prohibitedWords))
+console.log(`  Matches in "${phraseCopy[2]}": ${phraseMatches.map(m => `${m.text} (${m.phrase})`).join(', ')}`)
+
+const saleMatches = dslViolations.find(v => v.id === 'no_caps_sale_1').matches
+
+const claimOnLine3 = phraseViolations.find(v => v.id === 'prohibited_claim_3')
+// The copy fixer without an LLM cuts the same spans, keeping exception phrases
+const sanitizedCopy = sanitizeCopy('Gluten-free cake, 100% tasty and free (a+b)', tescoRules)
+console.log(`  Sanitized copy: ${sanitizedCopy}`)
+// Copy made only of prohibited terms is kept for the designer rather than swapped for a TAG
+const claimOnlyData = createMockCanvasData([{ ...createTextObject('Best free', 500, 48), role: 'headline' }])
+const claimOnlyFixed = await applyAutoFix(claimOnlyData, checkCompliance(claimOnlyData, tescoRules), { rules: tescoRules })
+const test11Pass = phraseViolations.every(v => v.objectIndex === 2) &&
+  claimOnLine3?.matches.map(m => m.text).join() === 'Guarantees,lowest prices,100%' &&
+  claimOnLine3.matches.every(m => phraseCopy[2].slice(m.start, m.end) === m.text) &&
+  claimOnLine3.message === 'Text contains prohibited claim. Found: "Guarantees", "lowest prices", "100%"' &&
+  phraseViolations.find(v => v.id === 'unsafe_word_3')?.matches.map(m => m.text).join() === 'Guarantees' &&
+  phraseMatches.map(m => m.text).join() === 'Guarantees,lowest prices,100%' &&
+  saleMatches.length === 1 && saleMatches[0].start === 4 && saleMatches[0].end === 8 &&
+  findPhrases('gluten-free', ['free'], { exceptions: ['gluten free'] }).length === 0 &&
+  findPhrases('Free gluten-free sample', ['free'], { exceptions: ['gluten free'] }).length === 1 &&
+  sanitizedCopy === 'Gluten-free cake, tasty and (a+b)' &&
+  sanitizeCopy('Free offer', { prohibitedWords: ['free', 'a+b('] }) === 'offer' &&
+  sanitizeCopy('Best free', tescoRules) === '' && sanitizeCopy('Best free', tescoRules, { role: 'tag' }) === tescoRules.allowedTagPhrases[0] &&
+  claimOnlyFixed.objects[0].text === 'Best free' &&
+  sanitizeCopy('Cheapest deal', normalizeRulePack('custom', { name: 'Custom', prohibited_claims: ['cheapest'] })) === 'deal' &&
+  validateRulePack({ name: 'Custom', prohibited_claims: 'cheapest' }).errors.some(error => error.field.includes('prohibited_claims'))
+console.log(`\n[TEST 11] ${test11Pass ? 'PASS' : 'FAIL'} - Every matched term reported with its span`)
+
+// Test 12: Pixel contrast - Text measured against the shapes and image pixels behind it
+console.log('\n[TEST 12] Pixel contrast - Shapes and images behind text\n')
+
+// 2x1 image: left pixel navy, right pixel white (RGBA)
+const photo = { width: 2, height: 1, naturalWidth: 2, naturalHeight: 1, data: Buffer.from([0, 0, 80, 255, 255, 255, 255, 255]) }
+const contrastData = createMockCanvasData([
+  { type: 'rect', left: 0, top: 280, width: 1080, height: 100, fill: '#002060' },
+  createTextObject('White on navy panel', 300, 24, '#FFFFFF'),
+  { type: 'image', src: 'photo.png', left: 0, top: 480, width: 2, height: 1, scaleX: 540, scaleY: 100 },
+  { ...createTextObject('White over photo', 500, 24, '#FFFFFF', 880), left: 100 }
+])
+const contrastViolations = checkCompliance(contrastData, tescoRules, { images: new Map([[2, photo]]) })
+  .filter(v => v.id.startsWith('contrast_low'))
+contrastViolations.forEach(v => console.log(`  ${v.id}: ${v.message} (behind: ${v.contrast.background})`))
+
+const photoContrast = contrastViolations.find(v => v.id === 'contrast_low_2')?.contrast
+const unsampledViolations = checkCompliance(contrastData, tescoRules).filter(v => v.id.startsWith('contrast_low'))
+const fixedContrast = await applyAutoFix(contrastData, contrastViolations, { rules: tescoRules, images: new Map([[2, photo]]) })
+console.log(`  Without decoded image: ${unsampledViolations.map(v => v.id).join(', ')}; fixed fill: ${fixedContrast.objects[3].fill}`)
+
+const test12Pass = contrastViolations.length === 1 &&
+  photoContrast.worst === 1 && photoContrast.average > 4.5 && photoContrast.background.toLowerCase() === '#ffffff' &&
+  unsampledViolations.map(v => v.id).join() === 'contrast_low_2' &&
+  fixedContrast.objects[3].fill.toLowerCase() !== '#ffffff'
+console.log(`\n[TEST 12] ${test12Pass ? 'PASS' : 'FAIL'} - Contrast measured against shapes and image pixels`)
+
+// Test 13: Headless renderer - Canvas JSON to SVG and PNG without a browser
+console.log('\n[TEST 13] Headless renderer - Shapes, text, images and transforms\n')
+
+const renderText = { ...createTextObject('Available at Tesco this week only', 400, 24, '#003366', 200, 60), textAlign: 'center' }
+const renderData = createMockCanvasData([
+  { type: 'rect', name: 'unsafeZoneTop', left: 0, top: 0, width: 1080, height: 200, fill: '#ff0000' },
+  { type: 'rect', left: 100, top: 100, width: 200, height: 100, angle: 90, fill: '#002060', strokeWidth: 0 },
+  renderText,
+  { type: 'image', src: 'blob:http://localhost/missing', left: 0, top: 0, width: 10, height: 10 },
+  { type: 'image', src: 'packshot.png', left: 600, top: 600, width: 100, height: 50, scaleX: 2, scaleY: 2, strokeWidth: 0 }
+])
+const packshotHref = 'data:image/png;base64,iVBORw0KGgo='
+const svg = canvasToSVG(renderData, { images: new Map([[renderData.objects[4], { href: packshotHref, width: 100, height: 50 }]]) })
+const renderedLines = layoutTextLines(renderText)
+console.log(`  SVG: ${svg.length} chars, text lines: ${renderedLines.map(line => `"${line}"`).join(', ')}`)
+
+let pngSignature = null
+try {
+  await import('sharp')
+  const png = await renderCanvas(renderData)
+  pngSignature = png.subarray(1, 4).toString()
+  console.log(`  PNG: ${png.length} bytes`)
+} catch (error) {
+  console.log(`  PNG rendering skipped (sharp unavailable): ${error.message.trim().split('\n')[0]}`)
+}
+
+// Remote images come only from IMAGE_HOSTS, so internal addresses are never requested
+process.env.IMAGE_HOSTS = 'cdn.example.com'
+const metadataImage = await readImageSource('http://169.254.169.254/latest/meta-data')
+const allowedImageUrls = isAllowedImageUrl('https://CDN.example.com/a.png') &&
+  !isAllowedImageUrl('https://cdn.example.com.evil.net/a.png') && !isAllowedImageUrl('file:///etc/passwd')
+delete process.env.IMAGE_HOSTS
+const dataImage = await readImageSource(packshotHref)
+console.log(`  Metadata address read: ${metadataImage !== null}; data URL bytes: ${dataImage?.length}`)
+
+// Canvas sizes are checked before anything is rasterized
+const hugeCanvasError = getRenderSizeError({ width: 100000, height: 100000 })
+let hugeRenderRejected = false
+try {
+  await renderCanvas({ width: 100000, height: 100000, objects: [] })
+} catch (error) {
+  hugeRenderRejected = error instanceof RangeError
+}
+console.log(`  100000x100000 canvas: ${hugeCanvasError}`)
+
+const test13Pass = svg.startsWith('<svg') && svg.includes('width="1080" height="1080"') &&
+  !svg.includes('#ff0000') &&
+  svg.includes('<g transform="translate(50 200) rotate(90)" opacity="1"><rect x="-100" y="-50" width="200" height="100" fill="#002060"/>') &&
+  renderedLines.length > 1 && renderedLines.join(' ') === renderText.text &&
+  renderedLines.every(line => svg.includes(`>${line}</text>`)) && svg.includes('text-anchor="middle"') &&
+  svg.split('<image').length === 2 && svg.includes(`href="${packshotHref}"`) && svg.includes('translate(700 650) scale(2 2)') &&
+  (pngSignature === null || pngSignature === 'PNG') &&
+  metadataImage === null && allowedImageUrls && dataImage?.length === 8 && !isAllowedImageUrl('https://cdn.example.com/a.png') &&
+  hugeCanvasError === 'Canvas width and height must be a number between 1 and 4000 pixels' && hugeRenderRejected &&
+  getRenderSizeError({ width: '1080' }) !== null && getRenderSizeError({ width: 1080 }) === null && getRenderSizeError({}) === null
+console.log(`\n[TEST 13] ${test13Pass ? 'PASS' : 'FAIL'} - Canvas JSON rendered without a browser`)
+
+// Test 14: WCAG levels - Large text thresholds and AAA packs
+console.log('\n[TEST 14] WCAG levels - Large text and AAA\n')
+
+const aaaRules = normalizeRulePack('aaa', composeRulePacks([
+  { name: 'Base', min_contrast_ratio: 4.5 },
+  { name: 'Accessible', contrast_level: 'AAA' }
+]))
+const wcagData = createMockCanvasData([
+  { ...createTextObject('Big Headline', 300, 60, '#949494', 600, 70), fontWeight: 'bold' }, // 3.0:1 on white
+  { ...createTextObject('Bold subhead', 400, 19, '#949494'), fontWeight: 'bold' },
+  createTextObject('Selected stores. While stocks last.', 500, 20, '#767676') // 4.5:1 on white
+])
+const aaContrast = checkCompliance(wcagData, tescoRules).filter(v => v.id.startsWith('contrast_low'))
+const aaaContrast = checkCompliance(wcagData, aaaRules).filter(v => v.id.startsWith('contrast_low'))
+console.log(`  AA: ${aaContrast.map(v => v.id).join(', ') || 'none'}`)
+aaaContrast.forEach(v => console.log(`  AAA ${v.id}: ${v.message}`))
+
+const fixedWcag = await applyAutoFix(wcagData, aaaContrast, { rules: aaaRules })
+const fixedRatios = fixedWcag.objects.map(obj => getContrastRatio(obj.fill, '#FFFFFF'))
+console.log(`  Ratios after AAA fix: ${fixedRatios.map(ratio => ratio.toFixed(2)).join(', ')}`)
+
+const test14Pass = aaaRules.contrastLevel === 'AAA' && aaaRules.minContrastRatio === 7 && aaaRules.minLargeContrastRatio === 4.5 &&
+  aaContrast.length === 0 &&
+  aaaContrast.map(v => v.id).join() === 'contrast_low_1,contrast_low_2,contrast_low_3' &&
+  aaaContrast[0].contrast.largeText && aaaContrast[1].contrast.largeText && !aaaContrast[2].contrast.largeText &&
+  aaaContrast[0].contrast.required === 4.5 && aaaContrast[2].contrast.required === 7 &&
+  fixedRatios[0] >= 4.5 && fixedRatios[1] >= 4.5 && fixedRatios[2] >= 7
+console.log(`\n[TEST 14] ${test14Pass ? 'PASS' : 'FAIL'} - Contrast thresholds follow text size and WCAG level`)
+
+// Test 15: Translucent text - Opacity, CSS colours, strokes and shadows
+console.log('\n[TEST 15] Translucent text - Opacity, colour formats and outlines\n')
+
+const colorFormats = ['rgba(0, 0, 0, 0.4)', 'rgb(0 0 0 / 40%)', 'hsla(0, 0%, 0%, 0.4)', '#0006', 'navy', 'transparent']
+  .map(color => `${color} -> ${JSON.stringify(parseColor(color))}`)
+colorFormats.forEach(line => console.log(`  ${line}`))
+
+const translucentData = createMockCanvasData([
+  createTextObject('Translucent fill', 300, 20, 'rgba(0, 0, 0, 0.4)'),
+  { ...createTextObject('Faded text', 400, 20, '#000000'), opacity: 0.4 },
+  createTextObject('White in HSL', 500, 20, 'hsl(0, 0%, 100%)'),
+  { ...createTextObject('Stroked white', 600, 20, 'white'), stroke: '#000000', strokeWidth: 2 },
+  { ...createTextObject('Shadowed white', 700, 20, 'white'), shadow: { color: 'rgba(0, 0, 0, 0.9)', blur: 2, offsetX: 1, offsetY: 1 } },
+  { type: 'rect', left: 0, top: 780, width: 1080, height: 100, fill: 'rgba(0, 0, 0, 0.5)' },
+  createTextObject('White on a scrim', 800, 20, '#FFFFFF')
+])
+const translucentViolations = checkCompliance(translucentData, tescoRules).filter(v => v.id.startsWith('contrast_low'))
+translucentViolations.forEach(v => console.log(`  ${v.id}: worst ${v.contrast.worst}:1 (behind: ${v.contrast.background})`))
+
+const fixedTranslucent = await applyAutoFix(translucentData, translucentViolations, { rules: tescoRules })
+const remainingTranslucent = checkCompliance(fixedTranslucent, tescoRules).filter(v => v.id.startsWith('contrast_low'))
+console.log(`  After fix: ${remainingTranslucent.map(v => v.id).join(', ') || 'no contrast issues'}; faded opacity ${fixedTranslucent.objects[1].opacity}`)
+
+const test15Pass = parseColor('rgb(0 0 0 / 40%)').a === 0.4 && parseColor('#0006').a === 0.4 &&
+  parseColor('navy').b === 128 && parseColor('transparent').a === 0 &&
+  translucentViolations.map(v => v.id).join() === 'contrast_low_1,contrast_low_2,contrast_low_3,contrast_low_6' &&
+  translucentViolations[0].contrast.worst < 3 && translucentViolations[1].contrast.worst < 3 &&
+  translucentViolations[3].contrast.background === '#808080' &&
+  remainingTranslucent.length === 0 && fixedTranslucent.objects[1].opacity === 1
+console.log(`\n[TEST 15] ${test15Pass ? 'PASS' : 'FAIL'} - Contrast composites translucent text and credits outlines`)
+
+// Test 16: Geometry - Rotated, scaled, skewed and centre-origin objects
+console.log('\n[TEST 16] Geometry - True bounding boxes\n')
+
+const rotatedSquare = getBoundingBox({ left: 500, top: 500, width: 100, height: 100, angle: 45, originX: 'center', originY: 'center' })
+const skewedBox = getBoundingBox({ left: 0, top: 0, width: 100, height: 100, skewX: 45 })
+const scaledBox = getBoundingBox({ left: 100, top: 100, width: 100, height: 50, scaleX: 2, scaleY: 2, originX: 'right', originY: 'bottom' })
+const stickerBox = getOrientedBoundingBox({ left: 500, top: 700, width: 200, height: 40, angle: 90 })
+console.log(`  45° square: ${rotatedSquare.width.toFixed(1)}×${rotatedSquare.height.toFixed(1)}, skewed: ${skewedBox.width}×${skewedBox.height}, scaled from bottom right: (${scaledBox.left}, ${scaledBox.top})`)
+console.log(`  Sticker corners: ${stickerBox.corners.map(({ x, y }) => `(${Math.round(x)}, ${Math.round(y)})`).join(' ')}`)
+
+const geometryData = createMockCanvasData([
+  { ...createTextObject('Centred headline', 220, 40, '#000000', 400, 60), left: 540, originX: 'center', originY: 'center' },
+  { ...createTextObject('NEW', 700, 32, '#000000', 200, 40), left: 500, angle: 90 },
+  { ...createTextObject('Upright copy', 700, 32, '#000000', 200, 40), left: 100 }
+])
+const placementIds = data => checkCompliance(data, tescoRules).filter(v => v.id.startsWith('text_unsafe')).map(v => v.id)
+const geometryViolations = checkCompliance(geometryData, tescoRules).filter(v => v.id.startsWith('text_unsafe'))
+const fixedGeometry = await applyAutoFix(geometryData, geometryViolations, { rules: tescoRules })
+const fixedSticker = getBoundingBox(fixedGeometry.objects[1])
+console.log(`  Placement issues: ${geometryViolations.map(v => v.id).join(', ')}; after fix: ${placementIds(fixedGeometry).join(', ') || 'none'}`)
+console.log(`  Fixed sticker box: top ${Math.round(fixedSticker.top)}, bottom ${Math.round(fixedSticker.bottom)}`)
+
+const test16Pass = Math.abs(rotatedSquare.width - 141.42) < 0.01 && Math.abs(rotatedSquare.left - (500 - 70.71)) < 0.01 &&
+  skewedBox.width === 200 && skewedBox.height === 100 &&
+  scaledBox.left === -100 && scaledBox.top === 0 && scaledBox.right === 100 &&
+  Math.round(stickerBox.corners[0].x) === 500 && Math.round(stickerBox.corners[2].y) === 900 &&
+  geometryViolations.map(v => v.id).join() === 'text_unsafe_top_1,text_unsafe_bottom_2' &&
+  placementIds(fixedGeometry).length === 0 && fixedSticker.bottom <= 1080 - 250 &&
+  fixedGeometry.objects[2].top === 700
+console.log(`\n[TEST 16] ${test16Pass ? 'PASS' : 'FAIL'} - Objects located by their rotated, scaled and origin-aware boxes`)
+
+// Test 17: Groups - Nested objects checked and fixed in place
+console.log('\n[TEST 17] Groups - Recursive checks with composed transforms\n')
+
+const roundel = {
+  type: 'group', left: 440, top: 300, width: 200, height: 200, scaleX: 0.5, scaleY: 0.5,
+  objects: [
+    { type: 'circle', left: -100, top: -100, width: 200, height: 200, radius: 100, fill: '#cc0000' },
+    { ...createTextObject('Best price', 0, 30, '#FFFFFF', 160, 40), left: -80, top: -20 }
+  ]
+}
+const headlineGroup = {
+  type: 'group', left: 100, top: 50, width: 400, height: 200,
+  objects: [{
+    type: 'group', left: -200, top: -100, width: 400, height: 200,
+    objects: [{ ...createTextObject('Nested headline', 0, 24, '#000000', 300, 40), left: -200, top: -100 }]
+  }]
+}
+const groupData = createMockCanvasData([roundel, headlineGroup])
+const groupViolations = checkCompliance(groupData, tescoRules)
+groupViolations.forEach(v => console.log(`  ${v.id} at ${v.path?.join('.') ?? 'canvas'}: ${v.message}`))
+const findGroupViolation = prefix => groupViolations.find(v => v.id.startsWith(prefix))
+
+const fixedGroups = await applyAutoFix(groupData, groupViolations, { rules: tescoRules })
+const fixedRoundelText = fixedGroups.objects[0].objects[1]
+const fixedHeadline = fixedGroups.objects[1].objects[0].objects[0]
+const remainingGroupIds = checkCompliance(fixedGroups, tescoRules).map(v => v.id)
+console.log(`  Roundel text after fix: "${fixedRoundelText.text}" ${fixedRoundelText.fontSize}px × ${fixedRoundelText.scaleX}`)
+console.log(`  Nested headline after fix: left ${fixedHeadline.left}, top ${fixedHeadline.top}; remaining: ${remainingGroupIds.join(', ') || 'none'}`)
+
+const test17Pass = findGroupViolation('font_small')?.path?.join() === '0,1' && findGroupViolation('font_small').objectIndex === 0 &&
+  findGroupViolation('font_small').message.includes('15.0px') &&
+  findGroupViolation('prohibited_claim')?.path?.join() === '0,1' &&
+  findGroupViolation('text_unsafe_top')?.path?.join() === '1,0,0' && findGroupViolation('text_unsafe_top').objectIndex === 1 &&
+  !groupViolations.some(v => v.id.startsWith('contrast_low')) &&
+  fixedGroups.objects.map(obj => obj.type).join() === 'group,group,textbox' && // TAG text added on top
+  fixedRoundelText.fontSize * fixedRoundelText.scaleX * roundel.scaleX >= tescoRules.minFontSize && !/best/i.test(fixedRoundelText.text) &&
+  fixedHeadline.originX === 'left' && fixedHeadline.left === -200 && fixedHeadline.top > -100 &&
+  !remainingGroupIds.some(id => /^(font_small|prohibited_claim|text_unsafe)/.test(id))
+console.log(`\n[TEST 17] ${test17Pass ? 'PASS' : 'FAIL'} - Grouped objects checked and fixed in place`)
+
+// Test 18: Packshots - Size, placement, cropping and count
+console.log('\n[TEST 18] Packshots - Size, safe area, cropping and count\n')
+
+const packshotData = createMockCanvasData([
+  { type: 'image', name: 'background', src: 'bg.png', left: 0, top: 0, width: 1080, height: 1080 },
+  { type: 'image', role: 'packshot', src: 'tiny.png', left: 500, top: 500, width: 100, height: 100 }, // ~0.9% of the canvas
+  { type: 'rect', name: 'packshot', left: 900, top: 400, width: 400, height: 400, fill: '#dddddd' }, // off the right edge
+  { type: 'image', name: 'packshot', src: 'top.png', left: 300, top: 100, width: 400, height: 400 } // in the top zone
+])
+const packshotViolations = checkCompliance(packshotData, tescoRules).filter(v => v.id.startsWith('packshot'))
+packshotViolations.forEach(v => console.log(`  ${v.id}: ${v.message}`))
+
+const strictPackshots = normalizeRulePack('strict', composeRulePacks([
+  { name: 'Base', packshot_max_count: 3, packshot_min_area: 0.05 },
+  { name: 'Channel', packshot_max_count: 2, packshot_min_area: 0.02 }
+]))
+const countViolation = checkCompliance(packshotData, strictPackshots).find(v => v.id === 'packshot_count')
+console.log(`  Layered: max ${strictPackshots.packshotMaxCount}, min area ${strictPackshots.packshotMinArea}; ${countViolation?.message}`)
+
+const fixedPackshots = await applyAutoFix(packshotData, packshotViolations, { rules: tescoRules })
+const remainingPackshot = checkCompliance(fixedPackshots, tescoRules).filter(v => v.id.startsWith('packshot'))
+const grownBox = getBoundingBox(fixedPackshots.objects[1])
+console.log(`  Tiny packshot after fix: ${Math.round(grownBox.width)}×${Math.round(grownBox.height)} at (${Math.round(grownBox.left)}, ${Math.round(grownBox.top)}); remaining: ${remainingPackshot.map(v => v.id).join(', ') || 'none'}`)
+
+// An image nobody marked as a packshot, e.g. a full-bleed photo, is left alone
+const photoData = createMockCanvasData([
+  { type: 'image', src: 'photo.png', left: -20, top: -20, width: 1120, height: 1120 },
+  { type: 'image', src: 'sticker.png', left: 40, top: 40, width: 60, height: 60 }
+])
+const photoViolations = checkCompliance(photoData, tescoRules).filter(v => v.id.startsWith('packshot'))
+const fixedPhoto = await applyAutoFix(photoData, checkCompliance(photoData, tescoRules), { rules: tescoRules })
+console.log(`  Unlabelled images: ${photoViolations.length} packshot issue(s); photo after fix at (${fixedPhoto.objects[0].left}, ${fixedPhoto.objects[0].top})`)
+
+const test18Pass = packshotViolations.map(v => v.id).join() === 'packshot_small_1,packshot_cropped_2,packshot_unsafe_2,packshot_unsafe_3' &&
+  packshotViolations.every(v => v.objectIndex !== 0) &&
+  strictPackshots.packshotMaxCount === 2 && strictPackshots.packshotMinArea === 0.05 && countViolation?.fix === null &&
+  !validateRulePack({ name: 'Bad', packshot_min_area: 2 }).valid &&
+  remainingPackshot.length === 0 && grownBox.width * grownBox.height >= 0.1 * 1080 * 1080 &&
+  Math.abs((grownBox.left + grownBox.right) / 2 - 550) < 0.01 &&
+  fixedPackshots.objects[2].left + 400 <= 1080 && fixedPackshots.objects[3].top >= 200 &&
+  photoViolations.length === 0 && fixedPhoto.objects[0].left === -20 && fixedPhoto.objects[0].width === 1120 &&
+  fixedPhoto.objects[1].width === 60
+console.log(`\n[TEST 18] ${test18Pass ? 'PASS' : 'FAIL'} - Packshot rules checked and fixed`)
+
+// Test 19: Overlap - Collisions and occlusion between elements
+console.log('\n[TEST 19] Overlap - Collisions, packshot cover and occlusion\n')
+
+const overlapData = createMockCanvasData([
+  { type: 'image', name: 'packshot', src: 'pack.png', left: 300, top: 300, width: 400, height: 400 },
+  createTextObject('Big offer on the pack', 350, 24, '#000000', 300, 60), // over the packshot
+  createTextObject('First line', 220, 24, '#000000', 200, 40),
+  { ...createTextObject('Second line', 230, 24, '#000000', 200, 40), left: 150 }, // 56% over the first
+  { ...createTextObject('Hidden price', 720, 24, '#000000', 200, 40), left: 760 },
+  { type: 'rect', left: 750, top: 700, width: 250, height: 100, fill: '#ffcc00' } // painted over the price
+])
+const overlapViolations = checkCompliance(overlapData, tescoRules)
+  .filter(v => v.id.startsWith('text_overlap') || v.id.startsWith('text_over_packshot') || v.id.startsWith('text_occluded'))
+overlapViolations.forEach(v => console.log(`  ${v.id}: ${v.message} (related ${v.relatedObjectIndex})`))
+
+const collision = overlapViolations.find(v => v.id.startsWith('text_overlap'))
+const tolerated = checkCompliance(overlapData, { ...tescoRules, maxOverlap: 60 }).filter(v => v.id.startsWith('text_overlap'))
+const layeredOverlap = normalizeRulePack('strict', composeRulePacks([{ name: 'Base', max_overlap: 10 }, { name: 'Channel', max_overlap: 2 }]))
+
+const fixedOverlap = await applyAutoFix(overlapData, overlapViolations, { rules: tescoRules })
+const remainingOverlap = checkCompliance(fixedOverlap, tescoRules)
+  .filter(v => v.id.startsWith('text_overlap') || v.id.startsWith('text_over_packshot') || v.id.startsWith('text_occluded'))
+console.log(`  Paint order after fix: ${fixedOverlap.objects.map(obj => obj.text || obj.type).join(', ')}; remaining: ${remainingOverlap.map(v => v.id).join(', ') || 'none'}`)
+
+const test19Pass = overlapViolations.map(v => v.id).join() === 'text_over_packshot_1_0,text_overlap_2_3,text_occluded_4' &&
+  collision.objectIndex === 3 && collision.relatedObjectIndex === 2 && Math.abs(collision.overlap.percent - 56.25) < 0.01 &&
+  tolerated.length === 0 && layeredOverlap.maxOverlap === 2 &&
+  !validateRulePack({ name: 'Bad', max_overlap: 150 }).valid &&
+  remainingOverlap.length === 0 &&
+  fixedOverlap.objects.findIndex(obj => obj.text === 'Hidden price') > fixedOverlap.objects.findIndex(obj => obj.type === 'rect')
+console.log(`\n[TEST 19] ${test19Pass ? 'PASS' : 'FAIL'} - Overlaps reported and resolved`)
+
+// Test 20: Layout solver - Moved and added text placed in free room
+console.log('\n[TEST 20] Layout solver - Free room, margins and alignment\n')
+
+const centredText = (text, top, width, height = 40) => ({ ...createTextObject(text, top, 24, '#000000', width, height), left: (1080 - width) / 2 })
+const layoutData = createMockCanvasData([
+  centredText('Summer picnic essentials for the whole family', 300, 600, 60),
+  centredText('Fresh from the bakery', 380, 400),
+  centredText('Price £3', 760, 400),
+  centredText('Shop now', 800, 400) // in the bottom zone, and the room above it is taken by the price
+])
+const layoutViolations = checkCompliance(layoutData, tescoRules)
+const laidOut = await applyAutoFix(layoutData, layoutViolations, { rules: tescoRules })
+const laidOutBoxes = laidOut.objects.map(obj => ({ text: obj.text, ...getBoundingBox(obj) }))
+laidOutBoxes.forEach(box => console.log(`  "${box.text}": (${Math.round(box.left)}, ${Math.round(box.top)}) – (${Math.round(box.right)}, ${Math.round(box.bottom)})`))
+
+const boxOf = text => laidOutBoxes.find(box => box.text === text)
+const layoutRemaining = checkCompliance(laidOut, tescoRules)
+const clearOfEachOther = laidOutBoxes.every((a, i) => laidOutBoxes.every((b, j) => i === j ||
+  a.right + 10 <= b.left || b.right + 10 <= a.left || a.bottom + 10 <= b.top || b.bottom + 10 <= a.top))
+const addedTag = laidOut.objects.find(obj => obj.text === tescoRules.allowedTagPhrases[0])
+
+const leftAligned = await applyAutoFix(layoutData, layoutViolations, { rules: { ...tescoRules, autoFix: { ...tescoRules.autoFix, align: 'left' } } })
+const leftTag = leftAligned.objects.find(obj => obj.text === tescoRules.allowedTagPhrases[0])
+console.log(`  Remaining: ${layoutRemaining.map(v => v.id).join(', ') || 'none'}; left-aligned TAG at x ${leftTag && Math.round(getBoundingBox(leftTag).left)}`)
+
+const test20Pass = layoutViolations.some(v => v.id === 'text_unsafe_bottom_4') &&
+  boxOf('Shop now').left === 340 && boxOf('Shop now').bottom <= 760 - 10 &&
+  clearOfEachOther && laidOutBoxes.every(box => box.top >= 200 + 10 && box.bottom <= 1080 - 250 - 10) &&
+  layoutRemaining.length === 0 &&
+  addedTag.textAlign === 'center' && Math.abs((getBoundingBox(addedTag).left + getBoundingBox(addedTag).right) / 2 - 540) < 0.01 &&
+  getBoundingBox(leftTag).left === 340 && leftTag.textAlign === undefined &&
+  !validateRulePack({ name: 'Bad', auto_fix: { align: 'right' } }).valid
+console.log(`\n[TEST 20] ${test20Pass ? 'PASS' : 'FAIL'} - Fixes placed in free room on the layout's column`)
+
+// Test 21: Roles - Role-aware TAG, disclaimer and packshot rules
+console.log('\n[TEST 21] Roles - Checks follow the role of each element\n')
+
+const withRole = (obj, role) => ({ ...obj, role })
+const roleData = createMockCanvasData([
+  withRole({ type: 'image', src: 'logo.png', left: 860, top: 220, width: 150, height: 60 }, 'logo'),
+  withRole(createTextObject('Tesco summer', 260, 48, '#000000', 400, 60), 'headline'), // mentions the retailer, but is a headline
+  withRole(createTextObject('Fresh picks for every picnic this summer', 340, 28, '#000000', 600, 40), 'subhead'),
+  withRole(createTextObject('Great value', 420, 24, '#000000', 200, 30), 'tag'), // a TAG without an approved phrase
+  withRole(createTextObject('Terms apply', 780, 20, '#000000', 200, 30), 'disclaimer'),
+  createTextObject('Tesco', 500, 24) // no role: judged by its content
+])
+const roleRules = normalizeRulePack('roles', {
+  name: 'Roles',
+  custom_rules: [{ id: 'no_logo', type: 'count', select: { role: 'logo' }, max: 0, message: '{count} logos found' }]
+})
+const roleViolations = checkCompliance(roleData, tescoRules)
+const roleIds = roleViolations.map(v => v.id)
+console.log(`  Violations: ${roleIds.join(', ')}`)
+
+const fixedRoles = await applyAutoFix(roleData, roleViolations, { rules: tescoRules })
+const remainingRoles = checkCompliance(fixedRoles, tescoRules).map(v => v.id)
+console.log(`  After fix: ${fixedRoles.objects.map(obj => `${obj.role || '-'}: ${obj.text || obj.type}`).join('; ')}; remaining: ${remainingRoles.join(', ') || 'none'}`)
+
+const test21Pass = roleIds.includes('tag_text_incorrect_3') && roleIds.includes('tag_text_incorrect_5') && !roleIds.includes('tag_text_incorrect_1') &&
+  roleIds.includes('disclaimer_incorrect_4') && roleIds.includes('missing_disclaimer') &&
+  !roleIds.some(id => id.startsWith('packshot')) &&
+  checkCompliance(roleData, roleRules).some(v => v.id === 'no_logo') &&
+  !validateRulePack({ name: 'Bad', custom_rules: [{ id: 'x', type: 'count', select: { role: 'hero' }, max: 1, message: 'x' }] }).valid &&
+  fixedRoles.objects[4].text === tescoRules.requiredDisclaimer && fixedRoles.objects.length === roleData.objects.length &&
+  fixedRoles.objects[3].text === tescoRules.allowedTagPhrases[0] &&
+  !remainingRoles.some(id => id.startsWith('disclaimer') || id.startsWith('missing_') || id === 'tag_text_incorrect_3')
+console.log(`\n[TEST 21] ${test21Pass ? 'PASS' : 'FAIL'} - Roles drive the TAG, disclaimer and packshot rules`)
+
+// Test 22: Typography - Role font sizes, word limits and hierarchy
+console.log('\n[TEST 22] Typography - Role minimums, word limits and size hierarchy\n')
+
+const typographyData = createMockCanvasData([
+  withRole(createTextObject('Big summer savings on everything you need for a picnic with the family', 260, 24, '#000000', 700, 60), 'headline'),
+  withRole(createTextObject('Fresh picks for every picnic', 340, 26, '#000000', 500, 40), 'subhead'),
+  createTextObject('Strawberries, scones and cream', 420, 24, '#000000', 500, 30),
+  withRole(createTextObject('Subject to availability', 780, 16, '#000000', 300, 24), 'disclaimer')
+])
+const typographyIds = violations => violations
+  .map(v => v.id)
+  .filter(id => id.startsWith('font_small') || id.startsWith('too_many_words') || id.startsWith('hierarchy'))
+const typographyViolations = checkCompliance(typographyData, tescoRules)
+console.log(`  Violations: ${typographyIds(typographyViolations).join(', ')}`)
+
+const fixedTypography = await applyAutoFix(typographyData, typographyViolations, { rules: tescoRules })
+const remainingTypography = typographyIds(checkCompliance(fixedTypography, tescoRules))
+const [grownHeadline, grownSubhead] = fixedTypography.objects
+console.log(`  After fix: headline ${grownHeadline.fontSize}px "${grownHeadline.text}", subhead ${grownSubhead.fontSize}px; remaining: ${remainingTypography.join(', ') || 'none'}`)
+
+const layeredTypography = normalizeRulePack('strict', composeRulePacks([
+  { name: 'Base', role_typography: { headline: { min_font_size: 30, max_words: 10 } }, hierarchy_ratio: 1.3 },
+  { name: 'Channel', role_typography: { headline: { min_font_size: 36, max_words: 14 } }, hierarchy_ratio: 1.1 }
+]))
+const flatHierarchy = checkCompliance(typographyData, { ...tescoRules, hierarchy: [] }).filter(v => v.id.startsWith('hierarchy'))
+
+const test22Pass = typographyIds(typographyViolations).join() === 'font_small_1,too_many_words_1,hierarchy_subhead_body,hierarchy_headline_subhead' &&
+  typographyViolations.find(v => v.id === 'hierarchy_headline_subhead').relatedObjectIndex === 1 &&
+  remainingTypography.length === 0 && grownSubhead.fontSize === 29 && grownHeadline.fontSize === 35 &&
+  grownHeadline.text.split(' ').length === 12 &&
+  layeredTypography.roleTypography.headline.minFontSize === 36 && layeredTypography.roleTypography.headline.maxWords === 10 &&
+  layeredTypography.hierarchyRatio === 1.3 && layeredTypography.roleTypography.disclaimer.minFontSize === 14 &&
+  flatHierarchy.length === 0 &&
+  !validateRulePack({ name: 'Bad', hierarchy: ['headline', 'hero'] }).valid &&
+  !validateRulePack({ name: 'Bad', role_typography: { headline: { max_words: 0 } } }).valid
+console.log(`\n[TEST 22] ${test22Pass ? 'PASS' : 'FAIL'} - Typography follows each role and the size hierarchy`)
+
+// Test 23: Object ids - Violations follow objects, not array positions
+console.log('\n[TEST 23] Object ids - Fixes land on the object they were reported for\n')
+
+const withId = (obj, id) => ({ ...obj, id })
+const idData = createMockCanvasData([
+  withId(createTextObject('Fresh strawberries', 400, 14), 'small-text'),
+  withId(createTextObject('Picnic range', 50, 24), 'top-text'), // in the unsafe top zone
+  withId(createTextObject('Summer treats', 500, 12), 'removed-text')
+])
+const idViolations = checkCompliance(idData, tescoRules)
+idViolations.filter(v => v.objectId).forEach(v => console.log(`  ${v.id} -> ${v.objectId} (index ${v.objectIndex})`))
+
+// The designer adds a layer below everything and deletes a text before fixing
+const editedData = createMockCanvasData([
+  withId({ type: 'rect', left: 0, top: 0, width: 1080, height: 1080, fill: '#FFFFFF' }, 'new-rect'),
+  idData.objects[0],
+  idData.objects[1]
+])
+const fixedIds = await applyAutoFix(editedData, idViolations, { rules: tescoRules })
+const byId = id => fixedIds.objects.find(obj => obj.id === id)
+const ids = fixedIds.objects.map(obj => obj.id)
+console.log(`  After fix: ${fixedIds.objects.map(obj => `${obj.id}: ${obj.text || obj.type} ${obj.fontSize ? `${obj.fontSize}px` : ''}`.trim()).join('; ')}`)
+
+// Index 0 used to share the "global" key, so only one of these fixes ran
+const fixedTargets = []
+registerCheck({
+  name: 'fixCounter',
+  ruleFields: [],
+  fixes: {
+    count_fix(violation) {
+      fixedTargets.push(violation.objectIndex)
+      return true
+    }
+  }
+})
+await applyAutoFix(idData, [
+  { id: 'first', fix: 'count_fix', objectIndex: 0, severity: 'low' },
+  { id: 'canvas', fix: 'count_fix', objectIndex: null, severity: 'low' },
+  { id: 'again', fix: 'count_fix', objectId: 'small-text', severity: 'low' }
+], { rules: tescoRules })
+unregisterCheck('fixCounter')
+console.log(`  Fix targets: ${fixedTargets.join(', ')}`)
+
+const test23Pass = idViolations.some(v => v.id === 'font_small_1' && v.objectId === 'small-text') &&
+  idViolations.some(v => v.id === 'font_small_3' && v.objectId === 'removed-text') &&
+  byId('small-text').fontSize >= 20 && byId('new-rect').fill === '#FFFFFF' && byId('new-rect').fontSize === undefined &&
+  getBoundingBox(byId('top-text')).top >= 200 && !byId('removed-text') &&
+  ids.every(Boolean) && new Set(ids).size === ids.length &&
+  fixedIds.objects.filter(obj => !editedData.objects.includes(obj)).length > 0 &&
+  fixedTargets.join() === '0,'
+console.log(`\n[TEST 23] ${test23Pass ? 'PASS' : 'FAIL'} - Violations follow object ids through edits`)
+
+// Test 24: Fix preview - Proposed changes as a patch per object and property
+console.log('\n[TEST 24] Fix preview - Changes listed for review, canvas left as it is\n')
+
+const previewData = createMockCanvasData([
+  withId(createTextObject('Fresh strawberries', 400, 14), 'small-text'),
+  withId(createTextObject('Picnic range', 50, 24), 'top-text'),
+  withId({ ...createTextObject('Only £2', 600, 24), left: 700 }, 'price'),
+  withId({ type: 'rect', left: 690, top: 590, width: 250, height: 80, fill: '#FFCC00' }, 'roundel'), // hides the price
+  withId({
+    type: 'group', left: 100, top: 700, width: 300, height: 60, originX: 'left', originY: 'top',
+    objects: [withId({ ...createTextObject('Per pack', -20, 12, '#000000', 200, 30), left: -150 }, 'group-text')]
+  }, 'group'),
+  withId(createTextObject('Strawberries and cream', 480, 24), 'untouched')
+])
+const previewSnapshot = JSON.stringify(previewData)
+const previewViolations = checkCompliance(previewData, tescoRules)
+const { patch } = await previewAutoFix(previewData, previewViolations, { rules: tescoRules })
+patch.forEach(entry => console.log(`  ${entry.type} ${entry.objectId} [${entry.path.join('.')}]: ${
+  entry.changes ? entry.changes.map(change => `${change.property} ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join(', ') : entry.object?.text || ''
+}`))
+
+const entryFor = id => patch.find(entry => entry.objectId === id)
+const changeOf = (id, property) => entryFor(id)?.changes.find(change => change.property === property)
+const onlyPatch = await previewAutoFix(previewData, previewViolations.filter(v => v.objectId === 'small-text'), { rules: tescoRules })
+
+const test24Pass = JSON.stringify(previewData) === previewSnapshot &&
+  changeOf('small-text', 'fontSize')?.before === 14 && changeOf('small-text', 'fontSize')?.after === 20 &&
+  changeOf('top-text', 'top')?.before === 50 && changeOf('top-text', 'top')?.after >= 200 &&
+  changeOf('price', 'index')?.before === 2 && changeOf('price', 'index')?.after === 3 && !changeOf('roundel', 'index') &&
+  entryFor('group-text')?.path.join() === '4,0' && changeOf('group-text', 'fontSize')?.after === 20 && !entryFor('group') &&
+  !entryFor('untouched') &&
+  patch.filter(entry => entry.type === 'add').map(entry => entry.object.role).sort().join() === 'disclaimer,tag' &&
+  patch.filter(entry => entry.type === 'add').every(entry => entry.objectId && entry.object.id === entry.objectId) &&
+  onlyPatch.patch.length === 1 && onlyPatch.patch[0].changes.map(change => change.property).join() === 'fontSize'
+console.log(`\n[TEST 24] ${test24Pass ? 'PASS' : 'FAIL'} - Fix preview patch lists each change with its before and after`)
+
+// Test 25: Iterative auto-fix - Violations the fixes introduce are fixed in later passes
+console.log('\n[TEST 25] Iterative auto-fix - Check and fix until clean\n')
+
+// The TAG this pack inserts is too small for its own minimum font size
+const smallTagRules = { ...tescoRules, autoFix: { ...tescoRules.autoFix, tagStyle: { ...tescoRules.autoFix.tagStyle, fontSize: 12 } } }
+const loopData = createMockCanvasData([
+  withId(createTextObject('Fresh strawberries', 400, 24), 'headline'),
+  withId(createTextObject('Summer treats', 500, 14), 'small-text'),
+  withId(createTextObject('Picnic range', 700, 12), 'unasked')
+])
+const loopViolations = checkCompliance(loopData, smallTagRules)
+const asked = loopViolations.filter(v => v.objectId !== 'unasked')
+const listKeys = violations => violations.map(v => v.key).join(', ') || 'none'
+console.log(`  Asked to fix: ${listKeys(asked)}`)
+
+const onePass = await autoFixUntilClean(loopData, asked, { rules: smallTagRules, maxPasses: 1 })
+console.log(`  1 pass: fixed ${listKeys(onePass.fixed)}; remaining ${listKeys(onePass.remaining)}; introduced ${listKeys(onePass.introduced)}`)
+const looped = await autoFixUntilClean(loopData, asked, { rules: smallTagRules })
+console.log(`  ${looped.passes} passes: fixed ${listKeys(looped.fixed)}; remaining ${listKeys(looped.remaining)}; introduced ${listKeys(looped.introduced)}`)
+const insertedTag = looped.fixedCanvasData.objects.find(obj => obj.role === 'tag')
+
+// API callers send canvases without ids, and violations named by index only
+const idlessData = createMockCanvasData(loopData.objects.map(({ id, ...obj }) => obj))
+const idlessAsked = checkCompliance(idlessData, smallTagRules).filter(v => v.objectIndex !== 2)
+const idless = await autoFixUntilClean(idlessData, idlessAsked, { rules: smallTagRules })
+console.log(`  Without ids, ${idless.passes} passes: fixed ${listKeys(idless.fixed)}; introduced ${listKeys(idless.introduced)}`)
+
+// Nothing to do, and a fix that changes nothing, stop after one pass
+const nothingFixed = await autoFixUntilClean(loopData, [{ id: 'made_up', fix: 'no_such_fix', severity: 'low' }], { rules: smallTagRules })
+
+const test25Pass = asked.some(v => v.id === 'missing_tag_text') &&
+  onePass.passes === 1 && onePass.introduced.some(v => v.id.startsWith('font_small_') && v.objectId) &&
+  looped.passes === 2 && looped.introduced.length === 0 && insertedTag?.fontSize >= 20 &&
+  looped.fixed.length === asked.length &&
+  looped.remaining.map(v => v.objectId).join() === 'unasked' &&
+  looped.fixedCanvasData.objects.find(obj => obj.id === 'unasked')?.fontSize === 12 &&
+  nothingFixed.passes === 1 && nothingFixed.fixed.length === 0 &&
+  idlessAsked.every(v => !v.objectId) && idless.passes === 2 && idless.fixed.length === idlessAsked.length &&
+  idless.introduced.length === 0 && idless.remaining.length === 1
+console.log(`\n[TEST 25] ${test25Pass ? 'PASS' : 'FAIL'} - Auto-fix loops until clean and reports fixed, remaining and introduced violations`)
+
+// Test 26: Contrast strategies - The least intrusive fix the pack allows that reaches the ratio
+console.log('\n[TEST 26] Contrast strategies - Palette, shadow, plate, scrim or recolour\n')
+
+// A flat grey photo behind blue text (1.3:1)
+const greyPhoto = { width: 1, height: 1, naturalWidth: 1080, naturalHeight: 1080, data: Buffer.from([120, 120, 120, 255]) }
+const strategyData = (image = { role: 'background' }) => createMockCanvasData([
+  withId({ type: 'image', src: 'photo.png', left: 0, top: 0, width: 1080, height: 1080, ...image }, 'photo'),
+  withId({ ...createTextObject('Fresh strawberries', 700, 32, '#3366AA'), width: 500, height: 40 }, 'text')
+])
+const withStrategies = (contrastStrategies, brandPalette = []) => ({ ...tescoRules, brandPalette, autoFix: { ...tescoRules.autoFix, contrastStrategies } })
+const fixContrastWith = async (rules, data = strategyData()) => {
+  const images = new Map([[0, greyPhoto]])
+  const violations = checkCompliance(data, rules, { images }).filter(v => v.id.startsWith('contrast_low'))
+  const result = await autoFixUntilClean(data, violations, { rules, images })
+  const text = result.fixedCanvasData.objects.find(obj => obj.id === 'text')
+  const added = result.fixedCanvasData.objects.filter(obj => !['photo', 'text'].includes(obj.id))
+  console.log(`  ${rules.autoFix.contrastStrategies.join(', ')}: fixed ${result.fixed.length}; fill ${text.fill}${text.shadow ? `, shadow ${text.shadow.color}` : ''}${added.map(obj => `, added ${obj.name} below the text: ${result.fixedCanvasData.objects.indexOf(obj) === result.fixedCanvasData.objects.indexOf(text) - 1}`).join('')}`)
+  return { ...result, text, added, violations }
+}
+
+const byPalette = await fixContrastWith(withStrategies(['palette', 'shadow', 'plate', 'recolor'], ['#00539F', '#EE1C2E', '#FFFFFF']))
+const byShadow = await fixContrastWith(withStrategies(['recolor', 'plate', 'shadow', 'palette'], ['#00539F']))
+const byPlate = await fixContrastWith(withStrategies(['plate'], ['#00539F', '#FFD200']))
+const byScrim = await fixContrastWith(withStrategies(['scrim']))
+const overPackshot = await fixContrastWith(withStrategies(['scrim']), strategyData({ name: 'packshot' }))
+const byRecolor = await fixContrastWith(tescoRules)
+const plateOf = result => result.added[0]
+
+// A grouped text named only by its id is not given a plate outside its group
+const groupedStrategyData = createMockCanvasData([
+  withId({ type: 'image', src: 'photo.png', left: 0, top: 0, width: 1080, height: 1080, role: 'background' }, 'photo'),
+  withId({
+    type: 'group', left: 290, top: 700, width: 500, height: 40,
+    objects: [withId({ ...createTextObject('Fresh strawberries', 0, 32, '#3366AA', 500, 40), left: -250, top: -20 }, 'grouped-text')]
+  }, 'text-group')
+])
+const groupedContrast = checkCompliance(groupedStrategyData, withStrategies(['plate', 'recolor']), { images: new Map([[0, greyPhoto]]) })
+  .filter(v => v.id.startsWith('contrast_low'))
+  .map(({ path, objectIndex, ...v }) => v)
+const byGroupedId = await applyAutoFix(groupedStrategyData, groupedContrast, { rules: withStrategies(['plate', 'recolor']), images: new Map([[0, greyPhoto]]) })
+const groupedText = byGroupedId.objects[1].objects[0]
+console.log(`  Grouped text named by id: ${byGroupedId.objects.length} top-level objects, fill ${groupedText.fill}`)
+const strategyPack = normalizeRulePack('brand', { name: 'Brand', brand_palette: ['#00539F'], auto_fix: { contrast_strategies: ['plate', 'palette'] } })
+const badStrategyPack = validateRulePack({ name: 'Brand', brand_palette: ['blue'], auto_fix: { contrast_strategies: ['glow'] } })
+
+const test26Pass = byPalette.violations.length === 1 &&
+  byPalette.fixed.length === 1 && byPalette.text.fill === '#FFFFFF' && !byPalette.text.shadow && byPalette.added.length === 0 &&
+  byShadow.fixed.length === 1 && byShadow.text.fill === '#3366AA' && byShadow.text.shadow?.color === '#FFFFFF' && byShadow.added.length === 0 &&
+  byPlate.fixed.length === 1 && byPlate.text.fill === '#3366AA' && plateOf(byPlate)?.name === 'contrast_plate' && plateOf(byPlate).fill === '#FFD200' &&
+  byPlate.fixedCanvasData.objects.indexOf(plateOf(byPlate)) === 1 && plateOf(byPlate).width > 500 && plateOf(byPlate).id &&
+  byScrim.fixed.length === 1 && byScrim.passes === 1 && plateOf(byScrim)?.name === 'contrast_scrim' && plateOf(byScrim).fill.type === 'linear' &&
+  byScrim.fixedCanvasData.objects.indexOf(plateOf(byScrim)) === 1 && byScrim.text.fill === '#3366AA' &&
+  overPackshot.fixed.length === 0 && overPackshot.added.length === 0 &&
+  groupedContrast.length === 1 && groupedContrast[0].objectId === 'grouped-text' &&
+  byGroupedId.objects.length === 2 && byGroupedId.objects[1].objects.length === 1 && groupedText.fill !== '#3366AA' &&
+  byRecolor.fixed.length === 1 && byRecolor.text.fill !== '#3366AA' && byRecolor.added.length === 0 && !byRecolor.text.shadow &&
+  strategyPack.brandPalette.join() === '#00539F' && strategyPack.autoFix.contrastStrategies.join() === 'plate,palette' &&
+  defaultRetailRules.autoFix.contrastStrategies.join() === 'recolor' &&
+  !badStrategyPack.valid && badStrategyPack.errors.length === 2
+console.log(`\n[TEST 26] ${test26Pass ? 'PASS' : 'FAIL'} - Contrast fixed by the least intrusive strategy the pack allows`)
+
 // Final Summary
 console.log('\n=== TEST SUMMARY ===')
 console.log(`[TEST 1] violationCheck(): ${test1Pass ? 'PASS' : 'FAIL'}`)
 console.log(`[TEST 2] autoFix(): ${test2Pass ? 'PASS' : 'FAIL'}`)
 console.log(`[TEST 3] violationCheck() after fix: ${test3Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 4] retailer rule packs: ${test4Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 5] rule pack validation: ${test5Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 6] rule pack fields: ${test6Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 7] rule pack composition: ${test7Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 8] per-format unsafe zones: ${test8Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 9] custom rules: ${test9Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 10] check plugins: ${test10Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 11] phrase matching: ${test11Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 12] pixel contrast: ${test12Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 13] headless renderer: ${test13Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 14] WCAG levels: ${test14Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 15] translucent text: ${test15Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 16] geometry: ${test16Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 17] groups: ${test17Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 18] packshots: ${test18Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 19] overlap: ${test19Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 20] layout solver: ${test20Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 21] roles: ${test21Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 22] typography: ${test22Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 23] object ids: ${test23Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 24] fix preview: ${test24Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 25] iterative auto-fix: ${test25Pass ? 'PASS' : 'FAIL'}`)
+console.log(`[TEST 26] contrast strategies: ${test26Pass ? 'PASS' : 'FAIL'}`)
 
-const allTestsPass = test1Pass && test2Pass && test3Pass
+const allTestsPass = test1Pass && test2Pass && test3Pass && test4Pass && test5Pass && test6Pass && test7Pass && test8Pass && test9Pass && test10Pass && test11Pass && test12Pass && test13Pass && test14Pass && test15Pass && test16Pass && test17Pass && test18Pass && test19Pass && test20Pass && test21Pass && test22Pass && test23Pass && test24Pass && test25Pass && test26Pass
 
 if (allTestsPass) {
   console.log('\n✅ ALL TESTS PASSED')
@@ -229,6 +1086,29 @@ if (allTestsPass) {
   if (!test1Pass) console.log('  - Violation detection not working correctly')
   if (!test2Pass) console.log('  - Auto-fix not applying changes correctly')
   if (!test3Pass) console.log('  - Auto-fix not resolving all violations')
+  if (!test4Pass) console.log('  - Retailer rule packs not listed or resolved correctly')
+  if (!test5Pass) console.log('  - Rule pack validation not reporting errors correctly')
+  if (!test6Pass) console.log('  - Rule pack fields not applied by the checker')
+  if (!test7Pass) console.log('  - Rule pack inheritance or layering not merged correctly')
+  if (!test8Pass) console.log('  - Unsafe zones not resolved for the canvas format')
+  if (!test9Pass) console.log('  - Custom rules not evaluated or validated correctly')
+  if (!test10Pass) console.log('  - Check plugins not discovered or registered correctly')
+  if (!test11Pass) console.log('  - Prohibited phrases not matched by whole words')
+  if (!test12Pass) console.log('  - Contrast not measured against the pixels behind text')
+  if (!test13Pass) console.log('  - Canvas JSON not rendered correctly')
+  if (!test14Pass) console.log('  - Contrast thresholds not size or level aware')
+  if (!test15Pass) console.log('  - Opacity, colour formats or outlines ignored by the contrast check')
+  if (!test16Pass) console.log('  - Rotated, scaled or centre-origin objects mis-located')
+  if (!test17Pass) console.log('  - Objects inside groups not checked or fixed')
+  if (!test18Pass) console.log('  - Packshot size, placement or count not checked or fixed')
+  if (!test19Pass) console.log('  - Overlapping or hidden elements not reported or resolved')
+  if (!test20Pass) console.log('  - Moved or added elements not placed in free room')
+  if (!test21Pass) console.log('  - Element roles not applied by the checks')
+  if (!test22Pass) console.log('  - Role typography or size hierarchy not checked or fixed')
+  if (!test23Pass) console.log('  - Violations not matched to objects by id')
+  if (!test24Pass) console.log('  - Fix preview patch incomplete or canvas changed')
+  if (!test25Pass) console.log('  - Auto-fix not repeated until clean or results misreported')
+  if (!test26Pass) console.log('  - Contrast not fixed with the least intrusive allowed strategy')
   process.exit(1)
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Unsafe Zones Module
+ * Resolves the unsafe zones of a rule pack for each creative format
+ * The editor imports this module too, so it must not depend on Node.js.
+ */
+
+/**
+ * Creative formats and their export dimensions
+ */
+export const FORMATS = {
+  '1:1': { width: 1080, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '16:9': { width: 1920, height: 1080 }
+}
+
+const SIDES = ['top', 'bottom', 'left', 'right']
+
+/**
+ * Find the format whose aspect ratio is closest to the given dimensions
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {string} Format key ('1:1', '9:16' or '16:9')
+ */
+export function detectFormat(width, height) {
+  const ratio = width / height
+  return Object.keys(FORMATS).reduce((best, format) => {
+    const formatRatio = FORMATS[format].width / FORMATS[format].height
+    const bestRatio = FORMATS[best].width / FORMATS[best].height
+    return Math.abs(formatRatio - ratio) < Math.abs(bestRatio - ratio) ? format : best
+  })
+}
+
+/**
+ * Expand the unsafe zone fields of a rule pack into a zone for every format
+ * A format uses its own entry in unsafe_zones, then unsafe_zones.default, then
+ * unsafe_top / unsafe_bottom. Sides that are not set default to 0.
+ * @param {Object} rulePack - Rule pack JSON
+ * @returns {Object} Zones keyed by format, e.g. { '1:1': { top, bottom, left, right } }
+ */
+export function expandUnsafeZones(rulePack) {
+  const zones = rulePack.unsafe_zones || {}
+  const fallback = {
+    top: rulePack.unsafe_top ?? 0,
+    bottom: rulePack.unsafe_bottom ?? 0,
+    left: 0,
+    right: 0,
+    ...zones.default
+  }
+
+  return Object.fromEntries(Object.keys(FORMATS).map(format => [
+    format,
+    { ...fallback, ...zones[format] }
+  ]))
+}
+
+/**
+ * Combine the expanded zones of two packs, keeping every size so the largest wins
+ * Pixel and percentage sizes can only be compared once the canvas size is known,
+ * so each side becomes a list of candidate sizes.
+ * @param {Object} base - Expanded zones
+ * @param {Object} layer - Expanded zones
+ * @returns {Object} Combined zones
+ */
+export function mergeUnsafeZones(base, layer) {
+  return Object.fromEntries(Object.keys(FORMATS).map(format => [
+    format,
+    Object.fromEntries(SIDES.map(side => [
+      side,
+      [].concat(base[format]?.[side] ?? [], layer[format]?.[side] ?? [])
+    ]))
+  ]))
+}
+
+/**
+ * Convert a zone size to pixels
+ * @param {number|string|Array} size - Pixels, a percentage string such as '10%', or a list of candidates
+ * @param {number} length - Canvas length the percentage applies to
+ * @returns {number} Size in pixels
+ */
+export function toPixels(size, length) {
+  if (Array.isArray(size)) {
+    return Math.max(0, ...size.map(candidate => toPixels(candidate, length)))
+  }
+  if (typeof size === 'string' && size.endsWith('%')) {
+    return Math.round(length * parseFloat(size) / 100)
+  }
+  return Number(size) || 0
+}
+
+/**
+ * Resolve the unsafe zone of a canvas in pixels
+ * @param {Object} rules - Retail rules object
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} { format, top, bottom, left, right } in pixels
+ */
+export function resolveUnsafeZone(rules, width, height) {
+  const format = detectFormat(width, height)
+  const zone = rules.unsafeZones?.[format] || {
+    top: rules.unsafeTop,
+    bottom: rules.unsafeBottom
+  }
+
+  return {
+    format,
+    top: toPixels(zone.top, height),
+    bottom: toPixels(zone.bottom, height),
+    left: toPixels(zone.left, width),
+    right: toPixels(zone.right, width)
+  }
+}
@@ -3,6 +3,7 @@ import LeftSidebar from './components/LeftSidebar'
 import CanvasArea from './components/CanvasArea'
 import RightSidebar from './components/RightSidebar'
 import FormatSelector from './components/FormatSelector'
+import RetailerSelector from './components/RetailerSelector'
 import ProjectControls from './components/ProjectControls'
 import { Menu, X } from 'lucide-react'
 
@@ -23,6 +24,10 @@ function App() {
             </p>
           </div>
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4 w-full sm:w-auto animate-fade-in">
+            <div className="flex-shrink-0">
+              <RetailerSelector />
+            </div>
+            <div className="hidden sm:block h-8 w-px bg-gradient-to-b from-transparent via-neon-cyan/50 to-transparent"></div>
             <div className="flex-shrink-0">
               <FormatSelector />
             </div>
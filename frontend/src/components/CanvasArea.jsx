@@ -1,12 +1,15 @@
 import { useEffect, useRef, useState } from 'react'
 import { fabric } from 'fabric'
 import useStore from '../store/useStore'
-import { Download, ZoomIn, ZoomOut, Maximize2 } from 'lucide-react'
+import { Download, ZoomIn, ZoomOut, Maximize2, Eye, EyeOff } from 'lucide-react'
 import { exportCreative, downloadFile } from '../utils/exportCreative'
+import { isUnsafeZone, redrawUnsafeZones } from '../utils/unsafeZones'
+import { assignObjectId } from '../utils/canvasData'
+import { drawIssueHighlights } from '../utils/issueHighlights'
 
 const CanvasArea = () => {
   const canvasRef = useRef(null)
-  const { canvas, setCanvas, currentFormat, setSelectedObject, isLoading, setLoading } = useStore()
+  const { canvas, setCanvas, currentFormat, setSelectedObject, isLoading, setLoading, retailRules, complianceIssues, showIssueHighlights, setShowIssueHighlights } = useStore()
   const [isDragging, setIsDragging] = useState(false)
   const [zoomLevel, setZoomLevel] = useState(100)
 
@@ -26,6 +29,11 @@ const CanvasArea = () => {
     fabricCanvas.selectionBorderColor = '#646cff'
     fabricCanvas.selectionLineWidth = 2
 
+    // Every object gets a stable id as it is added, however it was created or loaded
+    fabricCanvas.on('object:added', (e) => {
+      assignObjectId(fabricCanvas, e.target)
+    })
+
     setCanvas(fabricCanvas)
 
     // Update zoom level display when zoom changes (only from button clicks)
@@ -212,16 +220,11 @@ const CanvasArea = () => {
     
     canvas.setDimensions({ width, height })
     
-    // Remove any existing unsafe zone overlays (if they exist)
-    const existingOverlays = canvas.getObjects().filter(
-      obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-    )
-    existingOverlays.forEach(overlay => canvas.remove(overlay))
+    // Redraw the unsafe zone overlays for the new format
+    redrawUnsafeZones(canvas, retailRules)
     
     // Ensure all objects stay within canvas bounds (no unsafe zone restrictions)
-    const allObjects = canvas.getObjects().filter(
-      obj => obj && obj.name !== 'unsafeZoneTop' && obj.name !== 'unsafeZoneBottom'
-    )
+    const allObjects = canvas.getObjects().filter(obj => obj && !isUnsafeZone(obj))
     allObjects.forEach(obj => {
       if (!obj) return
       const objWidth = (obj.width || 0) * (obj.scaleX || 1)
@@ -247,7 +250,35 @@ const CanvasArea = () => {
     })
     
     canvas.renderAll()
-  }, [currentFormat, canvas])
+  }, [currentFormat, canvas, retailRules])
+
+  // Draw the selected rule pack's unsafe zones once its rules have loaded
+  useEffect(() => {
+    if (!canvas || !retailRules) return
+    redrawUnsafeZones(canvas, retailRules)
+    canvas.requestRenderAll()
+  }, [canvas, retailRules])
+
+  // Mark the objects with compliance issues over the rendered canvas
+  useEffect(() => {
+    if (!canvas) return
+
+    const handleAfterRender = (e) => {
+      // Exports render to a context of their own, which stays clean
+      if (showIssueHighlights && e?.ctx === canvas.contextContainer) {
+        drawIssueHighlights(canvas, e.ctx, complianceIssues)
+      }
+    }
+    canvas.on('after:render', handleAfterRender)
+    // Repaint, unless the canvas has been disposed (its context is gone)
+    if (canvas.contextContainer) {
+      canvas.requestRenderAll()
+    }
+
+    return () => {
+      canvas.off('after:render', handleAfterRender)
+    }
+  }, [canvas, complianceIssues, showIssueHighlights])
 
   const handleZoomIn = () => {
     if (!canvas) return
@@ -281,7 +312,7 @@ const CanvasArea = () => {
     setLoading(true)
     try {
       // Use exportCreative utility with browser compression
-      const downloadUrl = await exportCreative(canvas, format, fileType)
+      const downloadUrl = await exportCreative(canvas, format, fileType, retailRules)
       
       // Download the file
       const filename = `creative-export-${format}-${Date.now()}.${fileType}`
@@ -337,6 +368,23 @@ const CanvasArea = () => {
               <ZoomIn size={16} />
             </button>
           </div>
+
+          {/* Issue Highlights Toggle */}
+          <div className="flex items-center gap-2 border-l border-neon-purple/30 pl-4">
+            <button
+              onClick={() => setShowIssueHighlights(!showIssueHighlights)}
+              className={`px-3 py-2 rounded-lg transition-all duration-300 border text-xs font-medium flex items-center gap-1.5 disabled:opacity-50 ${
+                showIssueHighlights
+                  ? 'bg-neon-purple/20 text-white border-neon-purple/50'
+                  : 'bg-slate-700/50 hover:bg-slate-700 text-gray-300 border-neon-purple/30 hover:border-neon-purple/50'
+              }`}
+              disabled={!canvas}
+              title={showIssueHighlights ? 'Hide issue highlights' : 'Show issue highlights'}
+            >
+              {showIssueHighlights ? <Eye size={16} /> : <EyeOff size={16} />}
+              <span className="hidden sm:inline">Issues</span>
+            </button>
+          </div>
         </div>
         
         <div className="flex gap-3 w-full sm:w-auto">
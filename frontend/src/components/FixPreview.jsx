@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { Check, X } from 'lucide-react'
+import { findObjectById } from '../utils/canvasData'
+import { describeElement } from '../utils/roles'
+import { formatPatchValue, getChangeKey, getChangeKeys } from '../utils/fixPatch'
+
+// "fontSize" -> "font size"
+const formatProperty = property => property.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+
+// One change with the checkbox that accepts it
+const ChangeRow = ({ checked, onToggle, children }) => (
+  <label className="flex items-start gap-2.5 p-2 rounded-lg hover:bg-slate-700/40 cursor-pointer text-xs">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={onToggle}
+      className="mt-0.5 accent-cyan-400"
+    />
+    <div className="flex-1 min-w-0 break-words">{children}</div>
+  </label>
+)
+
+/**
+ * Fix Preview
+ * Lists the changes an auto-fix proposes, object by object, with each property's value
+ * before and after; every change can be accepted or rejected before anything is applied.
+ * The summary says what applying every change would leave: the issues fixed, the asked-for
+ * issues auto-fix could not clear, and new issues its fixes would cause.
+ */
+const FixPreview = ({ patch, summary, canvas, onApply, onCancel }) => {
+  const [accepted, setAccepted] = useState(() => new Set(getChangeKeys(patch)))
+  const total = getChangeKeys(patch).length
+
+  const toggle = (key) => {
+    setAccepted(current => {
+      const next = new Set(current)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  const rowProps = key => ({ checked: accepted.has(key), onToggle: () => toggle(key) })
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-gradient-to-br from-slate-800 to-slate-900 rounded-2xl p-6 w-full max-w-lg max-h-[80vh] flex flex-col border border-neon-purple/30 shadow-neon-lg animate-fade-in">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-xl font-bold bg-gradient-to-r from-neon-purple to-neon-cyan bg-clip-text text-transparent">
+            Review Fixes
+          </h3>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-white transition-colors"
+            title="Close without changes"
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          Untick any change you want to keep as it is. Nothing changes until you apply.
+        </p>
+        {summary && (
+          <p className="text-xs text-gray-300 mb-4 -mt-2">
+            With every change: {summary.fixed} issue{summary.fixed === 1 ? '' : 's'} fixed
+            {summary.remaining > 0 && <span className="text-orange-300">, {summary.remaining} left to fix</span>}
+            {summary.introduced > 0 && <span className="text-red-300">, {summary.introduced} new</span>}
+          </p>
+        )}
+
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1">
+          {patch.map(entry => {
+            const current = findObjectById(canvas, entry.objectId)
+            const label = describeElement(entry.type === 'add' ? entry.object : current || {})
+
+            return (
+              <div key={`${entry.type}-${entry.objectId}`} className="p-3 bg-slate-700/30 border border-neon-purple/20 rounded-xl">
+                <p className="text-sm font-semibold text-gray-200 mb-1.5 truncate">{label}</p>
+                {entry.type === 'add' && (
+                  <ChangeRow {...rowProps(getChangeKey(entry))}>
+                    <span className="text-green-300">Add this element</span>
+                  </ChangeRow>
+                )}
+                {entry.type === 'remove' && (
+                  <ChangeRow {...rowProps(getChangeKey(entry))}>
+                    <span className="text-red-300">Remove this element</span>
+                  </ChangeRow>
+                )}
+                {entry.type === 'modify' && entry.changes.map(change => (
+                  <ChangeRow key={change.property} {...rowProps(getChangeKey(entry, change))}>
+                    <span className="text-gray-400">{change.property === 'index' ? 'layer position' : formatProperty(change.property)}: </span>
+                    <span className="text-red-300 line-through">{formatPatchValue(change.before)}</span>
+                    <span className="text-gray-500"> → </span>
+                    <span className="text-green-300">{formatPatchValue(change.after)}</span>
+                  </ChangeRow>
+                ))}
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="flex items-center gap-2 mt-4 text-xs">
+          <button
+            onClick={() => setAccepted(new Set(getChangeKeys(patch)))}
+            className="text-neon-cyan hover:text-white transition-colors"
+          >
+            Accept all
+          </button>
+          <span className="text-gray-600">·</span>
+          <button
+            onClick={() => setAccepted(new Set())}
+            className="text-neon-cyan hover:text-white transition-colors"
+          >
+            Reject all
+          </button>
+          <span className="ml-auto text-gray-400">{accepted.size} of {total} selected</span>
+        </div>
+
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2.5 bg-slate-700/50 hover:bg-slate-700 text-gray-300 rounded-lg text-sm font-medium border border-neon-purple/30 transition-all duration-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(accepted)}
+            disabled={accepted.size === 0}
+            className="flex-1 px-4 py-2.5 bg-gradient-to-r from-neon-purple to-neon-cyan text-white rounded-lg text-sm font-semibold flex items-center justify-center gap-2 disabled:opacity-50 transition-all duration-300 shadow-card hover:shadow-card-hover"
+          >
+            <Check size={16} />
+            Apply {accepted.size} change{accepted.size === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FixPreview
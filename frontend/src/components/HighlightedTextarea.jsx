@@ -0,0 +1,63 @@
+import { useRef } from 'react'
+import { splitByHighlights } from '../utils/textHighlights'
+
+const UNDERLINE_COLORS = {
+  high: 'decoration-red-500',
+  medium: 'decoration-orange-400',
+  low: 'decoration-yellow-300',
+}
+
+// Shared by the textarea and its backdrop so the underlines line up with the text
+const TEXT_LAYOUT = 'px-3 py-2.5 text-sm whitespace-pre-wrap break-words'
+
+// Textarea that underlines spans of its text. The spans are drawn on a backdrop
+// behind a transparent textarea, so editing works as usual.
+const HighlightedTextarea = ({ value, onChange, highlights = [], rows = 3 }) => {
+  const backdropRef = useRef(null)
+
+  const syncScroll = (e) => {
+    if (backdropRef.current) {
+      backdropRef.current.scrollTop = e.target.scrollTop
+    }
+  }
+
+  return (
+    <div>
+      <div className="relative bg-slate-700/50 rounded-lg">
+        <div
+          ref={backdropRef}
+          aria-hidden="true"
+          className={`absolute inset-0 overflow-hidden border border-transparent text-transparent pointer-events-none ${TEXT_LAYOUT}`}
+        >
+          {splitByHighlights(value, highlights).map((part, index) => (
+            part.highlight ? (
+              <span
+                key={index}
+                data-testid="text-highlight"
+                className={`underline decoration-wavy decoration-2 underline-offset-4 ${UNDERLINE_COLORS[part.highlight.severity] || UNDERLINE_COLORS.medium}`}
+              >
+                {part.text}
+              </span>
+            ) : (
+              <span key={index}>{part.text}</span>
+            )
+          ))}
+        </div>
+        <textarea
+          value={value}
+          onChange={onChange}
+          onScroll={syncScroll}
+          className={`relative w-full bg-transparent border border-neon-purple/30 text-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-cyan focus:border-neon-cyan transition-all duration-300 resize-none ${TEXT_LAYOUT}`}
+          rows={rows}
+        />
+      </div>
+      {highlights.length > 0 && (
+        <p className="text-[10px] text-red-300 mt-1.5">
+          {highlights.length} flagged term{highlights.length === 1 ? '' : 's'}: {highlights.map(highlight => `"${highlight.text}"`).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default HighlightedTextarea
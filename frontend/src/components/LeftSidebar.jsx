@@ -1,14 +1,16 @@
 import React, { useRef } from 'react'
 import { fabric } from 'fabric'
-import { Upload, Type, Square, Scissors, Layers, Sparkles, Wand2, X, ChevronDown, ChevronUp } from 'lucide-react'
+import { Upload, Type, Square, Scissors, Layers, Sparkles, Wand2, X, ChevronDown, ChevronUp, Tag } from 'lucide-react'
 import useStore from '../store/useStore'
 import { loadSampleCreative } from '../utils/sampleCreative'
+import { isUnsafeZone, resolveUnsafeZone } from '../utils/unsafeZones'
+import { getRoleLabel } from '../utils/roles'
 import api from '../services/api'
 
 const LeftSidebar = () => {
   const packshotInputRef = useRef(null)
   const backgroundInputRef = useRef(null)
-  const { canvas, setLoading, isLoading } = useStore()
+  const { canvas, setLoading, isLoading, retailRules } = useStore()
   const [showImageGenerator, setShowImageGenerator] = React.useState(false)
   const [imagePrompt, setImagePrompt] = React.useState('')
   const [imageSize, setImageSize] = React.useState('1024x1024')
@@ -43,7 +45,7 @@ const LeftSidebar = () => {
 
     setLoading(true)
     try {
-      await loadSampleCreative(canvas)
+      await loadSampleCreative(canvas, retailRules)
       alert('Sample creative loaded! Check the compliance panel for violations.')
     } catch (error) {
       console.error('Failed to load sample creative:', error)
@@ -119,6 +121,9 @@ const LeftSidebar = () => {
         img.set({
           left: canvas.width / 2 - (imgWidth * scale) / 2,
           top: canvas.height / 2 - (imgHeight * scale) / 2,
+          // The compliance checker applies packshot rules by role
+          name: type,
+          role: type,
           hasControls: true,
           hasBorders: true,
           lockRotation: false,
@@ -160,15 +165,72 @@ const LeftSidebar = () => {
     canvas.renderAll()
   }
 
+  const handleAddHeadline = () => {
+    if (!canvas) return
+
+    // Position in the upper half of the canvas (can be moved anywhere)
+    const headline = new fabric.Textbox('Your headline here', {
+      left: canvas.width / 2,
+      top: canvas.height / 3,
+      width: canvas.width * 0.8,
+      fontSize: 56,
+      fontFamily: 'Arial',
+      fontWeight: 'bold',
+      fill: '#000000',
+      textAlign: 'center',
+      originX: 'center',
+      originY: 'center',
+      role: 'headline',
+    })
+    canvas.add(headline)
+    canvas.setActiveObject(headline)
+    canvas.renderAll()
+  }
+
+  const handleAddDisclaimer = () => {
+    if (!canvas) return
+
+    // Position above the bottom unsafe zone (can be moved anywhere)
+    const unsafeZone = resolveUnsafeZone(retailRules, canvas.width, canvas.height)
+    const disclaimer = new fabric.Textbox(retailRules?.requiredDisclaimer || 'Selected stores. While stocks last.', {
+      left: Math.max(50, unsafeZone.left + 20),
+      top: canvas.height - unsafeZone.bottom - 40,
+      width: 300,
+      fontSize: 20,
+      fontFamily: 'Arial',
+      fill: '#000000',
+      textAlign: 'left',
+      originX: 'left',
+      originY: 'top',
+      role: 'disclaimer',
+    })
+    canvas.add(disclaimer)
+    canvas.setActiveObject(disclaimer)
+    canvas.renderAll()
+  }
+
+  const handleMarkAsPackshot = () => {
+    const activeObject = canvas?.getActiveObject()
+    if (!activeObject || activeObject.type !== 'image') {
+      alert('Please select an image to mark as packshot')
+      return
+    }
+
+    activeObject.set('role', 'packshot')
+    canvas.fire('object:modified', { target: activeObject })
+    canvas.renderAll()
+  }
+
   const handleAddTagText = () => {
     if (!canvas) return
 
     // Check if tag text already exists
+    const allowedTags = retailRules?.allowedTagPhrases || ['Only at Tesco', 'Available at Tesco']
     const existingObjects = canvas.getObjects()
     const hasTagText = existingObjects.some(obj => {
       if (obj.type !== 'textbox' && obj.type !== 'text' && obj.type !== 'i-text') return false
       const text = (obj.text || '').toLowerCase()
-      return text.includes('only at tesco') || text.includes('available at tesco')
+      return allowedTags.some(tag => text.includes(tag.toLowerCase()))
     })
 
     if (hasTagText) {
@@ -177,7 +239,7 @@ const LeftSidebar = () => {
     }
 
     // Position in top-left area (can be moved anywhere)
-    const tagText = new fabric.Textbox('Only at Tesco', {
+    const tagText = new fabric.Textbox(allowedTags[0], {
       left: 50,
       top: 50,
       fontSize: 24,
@@ -188,6 +250,7 @@ const LeftSidebar = () => {
       originX: 'left',
       originY: 'top',
       width: 200,
+      role: 'tag',
     })
     
     canvas.add(tagText)
@@ -298,6 +361,8 @@ const LeftSidebar = () => {
           angle: originalAngle,
           scaleX: scaleX,
           scaleY: scaleY,
+          name: activeObject.name,
+          role: activeObject.role,
           hasControls: true,
           hasBorders: true,
           lockRotation: false,
@@ -354,7 +419,7 @@ const LeftSidebar = () => {
           <button
             onClick={handleLoadSample}
             className="w-full px-4 py-3 bg-gradient-to-r from-neon-purple to-neon-cyan text-white rounded-xl hover:from-neon-purple/90 hover:to-neon-cyan/90 flex items-center gap-2 justify-center disabled:opacity-50 transition-all duration-300 shadow-card hover:shadow-card-hover transform hover:scale-[1.02] font-medium"
-            disabled={!canvas || isLoading}
+            disabled={!canvas || !retailRules || isLoading}
             title="Load sample creative with pre-loaded violations"
           >
             <Sparkles size={18} />
@@ -419,11 +484,36 @@ const LeftSidebar = () => {
             <button
               onClick={handleAddTagText}
               className="w-full px-4 py-2.5 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-lg hover:from-blue-600 hover:to-cyan-600 flex items-center gap-2 justify-center transition-all duration-300 shadow-card hover:shadow-card-hover transform hover:scale-[1.02] text-sm font-medium"
-              title="Add required TAG text (Only at Tesco)"
+              title={`Add required TAG text (${retailRules?.allowedTagPhrases?.[0] || 'Only at Tesco'})`}
             >
               <Type size={16} />
               Add TAG Text
             </button>
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={handleAddHeadline}
+                className="px-3 py-2.5 bg-slate-700/50 hover:bg-slate-700 rounded-lg flex items-center gap-1.5 justify-center transition-all duration-300 shadow-card hover:shadow-neon-sm border border-neon-purple/30 text-gray-200 text-xs font-medium"
+              >
+                <Type size={14} className="text-neon-cyan" />
+                Headline
+              </button>
+              <button
+                onClick={handleAddDisclaimer}
+                className="px-3 py-2.5 bg-slate-700/50 hover:bg-slate-700 rounded-lg flex items-center gap-1.5 justify-center transition-all duration-300 shadow-card hover:shadow-neon-sm border border-neon-purple/30 text-gray-200 text-xs font-medium"
+                title={`Add the required disclaimer (${retailRules?.requiredDisclaimer || 'Selected stores. While stocks last.'})`}
+              >
+                <Type size={14} className="text-neon-cyan" />
+                Disclaimer
+              </button>
+            </div>
+            <button
+              onClick={handleMarkAsPackshot}
+              className="w-full px-4 py-2 bg-slate-700/50 hover:bg-slate-700 rounded-lg flex items-center gap-2 justify-center transition-all duration-300 shadow-card hover:shadow-neon-sm border border-neon-purple/30 text-gray-200 text-sm font-medium"
+              title="Apply packshot rules to the selected image"
+            >
+              <Tag size={16} className="text-neon-cyan" />
+              Mark as Packshot
+            </button>
             <div className="grid grid-cols-3 gap-2">
               <button
                 onClick={() => handleAddShape('rect')}
@@ -805,9 +895,7 @@ const LayerList = () => {
 
     const updateObjects = () => {
       const objs = canvas.getObjects().filter(
-        obj => obj.name !== 'safeZone' && 
-               obj.name !== 'unsafeZoneTop' && 
-               obj.name !== 'unsafeZoneBottom'
+        obj => obj.name !== 'safeZone' && !isUnsafeZone(obj)
       )
       setObjects([...objs])
     }
@@ -857,6 +945,11 @@ const LayerList = () => {
              obj.type === 'triangle' ? 'Triangle' :
              obj.type || 'Object'}
           </span>
+          {getRoleLabel(obj.role) && (
+            <span className="ml-2 px-1.5 py-0.5 rounded bg-neon-purple/20 text-[10px] text-neon-cyan uppercase tracking-wider">
+              {getRoleLabel(obj.role)}
+            </span>
+          )}
           <button
             onClick={(e) => {
               e.stopPropagation()
@@ -4,7 +4,7 @@ import useStore from '../store/useStore'
 import { saveProject, loadProject, restoreCanvas, hasSavedProject, deleteProject } from '../utils/projectStorage'
 
 const ProjectControls = () => {
-  const { canvas, currentFormat, complianceIssues, setCurrentFormat, setComplianceIssues, setLoading, isLoading } = useStore()
+  const { canvas, currentFormat, retailer, retailRules, complianceIssues, setCurrentFormat, setRetailer, setComplianceIssues, setLoading, isLoading } = useStore()
   const [hasProject, setHasProject] = useState(hasSavedProject())
 
   // Check for saved project when canvas is ready
@@ -24,6 +24,7 @@ const ProjectControls = () => {
     try {
       const success = await saveProject(canvas, {
         currentFormat,
+        retailer,
         complianceIssues,
       })
 
@@ -60,7 +61,7 @@ const ProjectControls = () => {
 
     setLoading(true)
     try {
-      const success = await restoreCanvas(canvas, projectData)
+      const success = await restoreCanvas(canvas, projectData, retailRules)
 
       if (success) {
         // Restore state
@@ -68,6 +69,9 @@ const ProjectControls = () => {
           if (projectData.state.currentFormat) {
             setCurrentFormat(projectData.state.currentFormat)
           }
+          if (projectData.state.retailer) {
+            setRetailer(projectData.state.retailer)
+          }
           if (projectData.state.complianceIssues) {
             setComplianceIssues(projectData.state.complianceIssues)
           }
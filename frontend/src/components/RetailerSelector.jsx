@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react'
+import useStore from '../store/useStore'
+import api from '../services/api'
+
+const RetailerSelector = () => {
+  const { retailer, setRetailer, setRetailRules } = useStore()
+  const [retailers, setRetailers] = useState([])
+
+  // Load the list of available rule packs once
+  useEffect(() => {
+    let cancelled = false
+
+    api.getRetailers()
+      .then(result => {
+        if (!cancelled) {
+          // Channel and region packs are layered on a retailer, not picked on their own
+          setRetailers((result.retailers || []).filter(r => !r.kind || r.kind === 'retailer'))
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load retailers:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Load the resolved rules whenever the selected retailer changes
+  useEffect(() => {
+    let cancelled = false
+
+    api.getRules(retailer)
+      .then(result => {
+        if (!cancelled) {
+          setRetailRules(result.rules || null)
+        }
+      })
+      .catch(error => {
+        console.error(`Failed to load rules for ${retailer}:`, error)
+        if (!cancelled) {
+          setRetailRules(null)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [retailer, setRetailRules])
+
+  // Keep the current selection visible even before the list has loaded
+  const options = retailers.some(r => r.id === retailer)
+    ? retailers
+    : [{ id: retailer, name: retailer }, ...retailers]
+
+  return (
+    <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2 sm:gap-3">
+      <span className="text-xs sm:text-sm font-semibold text-gray-300 whitespace-nowrap uppercase tracking-wider">Retailer:</span>
+      <select
+        value={retailer}
+        onChange={(e) => setRetailer(e.target.value)}
+        className="px-3 py-1.5 sm:py-2 bg-slate-700/50 border border-neon-purple/30 text-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-cyan focus:border-neon-cyan transition-all duration-300 text-xs sm:text-sm font-medium"
+        title="Rule pack used for compliance checks"
+      >
+        {options.map((option) => (
+          <option
+            key={option.id}
+            value={option.id}
+            title={option.description || ''}
+            disabled={option.valid === false}
+          >
+            {option.valid === false ? `${option.name} (invalid)` : option.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default RetailerSelector
@@ -1,22 +1,34 @@
 import useStore from '../store/useStore'
-import { AlertCircle, CheckCircle2, Wrench, Plus, Square, Sparkles } from 'lucide-react'
+import { AlertCircle, CheckCircle2, Wrench, Plus, Square, Sparkles, Crosshair } from 'lucide-react'
 import api from '../services/api'
 import { useEffect, useState } from 'react'
 import { fabric } from 'fabric'
+import { getCanvasData, getObjectIndex } from '../utils/canvasData'
+import { resolveUnsafeZone } from '../utils/unsafeZones'
+import { getTextHighlights } from '../utils/textHighlights'
+import { ROLES, describeElement } from '../utils/roles'
+import { findIssueObject, scrollObjectIntoView } from '../utils/issueHighlights'
+import { applyFixPatch } from '../utils/fixPatch'
+import { compareIssues, formatFixReport } from '../utils/fixReport'
+import HighlightedTextarea from './HighlightedTextarea'
+import FixPreview from './FixPreview'
 
 const RightSidebar = () => {
-  const { complianceIssues, setComplianceIssues, canvas, setLoading, selectedObject, setSelectedObject } = useStore()
+  const { complianceIssues, setComplianceIssues, canvas, setLoading, selectedObject, setSelectedObject, retailer, retailRules } = useStore()
   const [isChecking, setIsChecking] = useState(false)
+  const [rulePackError, setRulePackError] = useState(null)
+  const [fixPreview, setFixPreview] = useState(null)
 
   const handleQuickAddTagText = () => {
     if (!canvas) return
 
     // Check if tag text already exists
+    const allowedTags = retailRules?.allowedTagPhrases || ['Only at Tesco', 'Available at Tesco']
     const existingObjects = canvas.getObjects()
     const hasTagText = existingObjects.some(obj => {
       if (obj.type !== 'textbox' && obj.type !== 'text' && obj.type !== 'i-text') return false
       const text = (obj.text || '').toLowerCase()
-      return text.includes('only at tesco') || text.includes('available at tesco')
+      return allowedTags.some(tag => text.includes(tag.toLowerCase()))
     })
 
     if (hasTagText) {
@@ -25,10 +37,10 @@ const RightSidebar = () => {
     }
 
     // Position in safe zone (top safe area, below unsafe zone)
-    const topUnsafeHeight = 200
-    const tagText = new fabric.Textbox('Only at Tesco', {
-      left: 50,
-      top: topUnsafeHeight + 20,
+    const unsafeZone = resolveUnsafeZone(retailRules, canvas.width, canvas.height)
+    const tagText = new fabric.Textbox(allowedTags[0], {
+      left: Math.max(50, unsafeZone.left + 20),
+      top: unsafeZone.top + 20,
       fontSize: 24,
       fontFamily: 'Arial',
       fill: '#0066CC',
@@ -37,6 +49,7 @@ const RightSidebar = () => {
       originX: 'left',
       originY: 'top',
       width: 200,
+      role: 'tag',
     })
     
     canvas.add(tagText)
@@ -46,16 +59,9 @@ const RightSidebar = () => {
     // Re-check compliance after adding
     setTimeout(async () => {
       try {
-        const updatedCanvasData = canvas.toJSON()
-        const complianceResponse = await fetch('/api/check-compliance', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ canvasData: updatedCanvasData }),
-        })
-        if (complianceResponse.ok) {
-          const complianceResult = await complianceResponse.json()
-          setComplianceIssues(complianceResult.issues || [])
-        }
+        const updatedCanvasData = getCanvasData(canvas)
+        const complianceResult = await api.checkCompliance(updatedCanvasData, retailer)
+        setComplianceIssues(complianceResult.issues || [])
       } catch (error) {
         console.error('Compliance re-check failed:', error)
       }
@@ -71,19 +77,16 @@ const RightSidebar = () => {
     const checkCompliance = async () => {
       setIsChecking(true)
       try {
-        const canvasData = canvas.toJSON()
-        const response = await fetch('/api/check-compliance', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ canvasData }),
-        })
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`)
-        }
-        const result = await response.json()
+        const canvasData = getCanvasData(canvas)
+        const result = await api.checkCompliance(canvasData, retailer)
         setComplianceIssues(result.issues || [])
+        setRulePackError(null)
       } catch (error) {
         console.error('Compliance check failed:', error)
+        // Surface broken rule packs instead of silently showing no issues
+        if (error.response?.data?.validationErrors) {
+          setRulePackError(error.response.data)
+        }
       } finally {
         setIsChecking(false)
       }
@@ -118,66 +121,72 @@ const RightSidebar = () => {
       canvas.off('object:moving', debouncedCheck)
       canvas.off('object:scaling', debouncedCheck)
     }
-  }, [canvas, setComplianceIssues])
+  }, [canvas, retailer, setComplianceIssues])
 
-  const handleFixAll = async () => {
-    if (!canvas || complianceIssues.length === 0) return
+  // Select the element an issue is about and bring it into view
+  const handleLocateIssue = (issue) => {
+    const target = findIssueObject(canvas, issue)
+    if (!target) return
+
+    canvas.setActiveObject(target)
+    canvas.requestRenderAll()
+    setSelectedObject(target)
+    scrollObjectIntoView(canvas, target)
+  }
+
+  // Ask auto-fix what it would change, so the designer can review it before anything is applied
+  const handlePreviewFix = async (issues) => {
+    if (!canvas || issues.length === 0) return
 
     setLoading(true)
     try {
-      const canvasData = canvas.toJSON()
-      const response = await api.autoFix(canvasData, complianceIssues)
-      
-      if (response.fixedCanvasData) {
-        // Store current viewport transform if needed
-        const viewportTransform = canvas.viewportTransform
-        
-        // Load fixed canvas data
-        canvas.loadFromJSON(response.fixedCanvasData, () => {
-          // Restore viewport transform
-          if (viewportTransform) {
-            canvas.setViewportTransform(viewportTransform)
-          }
-          
-          // Re-render canvas
-          canvas.renderAll()
-          
-          // Clear selection
-          canvas.discardActiveObject()
-          
-          // Re-check compliance after fixes
-          setTimeout(async () => {
-            try {
-              const updatedCanvasData = canvas.toJSON()
-              const complianceResponse = await fetch('/api/check-compliance', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ canvasData: updatedCanvasData }),
-              })
-              if (!complianceResponse.ok) {
-                throw new Error(`HTTP error! status: ${complianceResponse.status}`)
-              }
-              const complianceResult = await complianceResponse.json()
-              setComplianceIssues(complianceResult.issues || [])
-            } catch (error) {
-              console.error('Compliance re-check failed:', error)
-            }
-          }, 500)
+      const canvasData = getCanvasData(canvas)
+      const response = await api.autoFix(canvasData, issues, retailer, { preview: true })
+
+      if (response.patch?.length > 0) {
+        const fixed = response.fixedIssues?.length ?? 0
+        setFixPreview({
+          patch: response.patch,
+          issues,
+          summary: { fixed, remaining: issues.length - fixed, introduced: response.introducedIssues?.length ?? 0 },
         })
-        
-        const fixedCount = response.fixedIssues?.length || complianceIssues.length
-        alert(`Auto-fix applied successfully! Fixed ${fixedCount} violation(s).`)
       } else {
-        alert('Auto-fix completed but no changes were made.')
+        alert('Auto-fix has no changes to suggest for this.')
       }
     } catch (error) {
-      console.error('Auto-fix failed:', error)
+      console.error('Auto-fix preview failed:', error)
       alert(`Auto-fix failed: ${error.message || 'Unknown error'}`)
     } finally {
       setLoading(false)
     }
   }
 
+  const handleApplyFix = async (accepted) => {
+    const { patch, issues } = fixPreview
+    const issuesBefore = complianceIssues
+    setFixPreview(null)
+    const applied = await applyFixPatch(canvas, patch, accepted)
+    canvas.discardActiveObject()
+    setSelectedObject(null)
+
+    if (applied === 0) {
+      alert('Auto-fix made no changes.')
+      return
+    }
+
+    // Check again right away, so the report says what the applied changes really did
+    try {
+      const updatedCanvasData = getCanvasData(canvas)
+      const complianceResult = await api.checkCompliance(updatedCanvasData, retailer)
+      const issuesAfter = complianceResult.issues || []
+      setComplianceIssues(issuesAfter)
+      alert(`Auto-fix applied ${applied} change(s).\n\n${formatFixReport(compareIssues(issues, issuesBefore, issuesAfter))}`)
+    } catch (error) {
+      console.error('Compliance re-check failed:', error)
+      alert(`Auto-fix applied ${applied} change(s), but the compliance re-check failed.`)
+    }
+  }
+
   return (
     <div className="hidden lg:flex w-80 xl:w-96 bg-gradient-to-b from-slate-800/90 to-slate-900/90 backdrop-blur-lg border-l border-neon-purple/30 flex-col overflow-hidden shadow-neon-sm animate-slide-in">
       {/* Compliance Checker Section */}
@@ -190,6 +199,18 @@ const RightSidebar = () => {
         </div>
 
         <div className="p-5 max-h-72 overflow-y-auto">
+          {rulePackError && (
+            <div className="mb-3 p-3.5 bg-red-900/30 border border-red-500/50 rounded-lg text-red-300 text-xs">
+              <p className="font-semibold text-sm mb-1">{rulePackError.details || 'Invalid rule pack'}</p>
+              <ul className="list-disc list-inside space-y-0.5">
+                {rulePackError.validationErrors.map((validationError, index) => (
+                  <li key={index}>
+                    <code>{validationError.field}</code>: {validationError.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
           {isChecking ? (
             <div className="flex items-center justify-center py-8">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-neon-cyan border-t-transparent"></div>
@@ -215,10 +236,17 @@ const RightSidebar = () => {
                   ? 'text-orange-300'
                   : 'text-yellow-300'
                 
+                // Issues about an element locate it on the canvas when clicked
+                const target = findIssueObject(canvas, issue)
+                
                 return (
                   <div
                     key={issue.id || index}
-                    className={`p-3.5 ${severityColor} border rounded-lg shadow-card animate-fade-in`}
+                    onClick={target ? () => handleLocateIssue(issue) : undefined}
+                    title={target ? 'Show on canvas' : undefined}
+                    className={`p-3.5 ${severityColor} border rounded-lg shadow-card animate-fade-in ${
+                      target ? 'cursor-pointer hover:shadow-card-hover transition-all duration-300' : ''
+                    } ${target && target === selectedObject ? 'ring-2 ring-neon-cyan' : ''}`}
                   >
                     <div className="flex items-start gap-2.5">
                       <AlertCircle size={18} className={`${severityTextColor} mt-0.5 flex-shrink-0`} />
@@ -226,12 +254,18 @@ const RightSidebar = () => {
                         <p className={`font-semibold ${severityTextColor} text-sm mb-1`}>
                           {issue.id?.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Violation'}
                         </p>
+                        {target && (
+                          <p className="flex items-center gap-1 text-gray-300 text-xs mb-1 truncate">
+                            <Crosshair size={12} className="flex-shrink-0" />
+                            {describeElement(target)}
+                          </p>
+                        )}
                         <p className={`${severityTextColor} text-xs leading-relaxed`}>
                           {issue.message}
                         </p>
-                        {issue.fix && (
+                        {(issue.hint || issue.fix) && (
                           <p className="text-gray-400 text-xs mt-2 italic">
-                            Fix: {issue.fix.replace(/_/g, ' ')}
+                            Fix: {issue.hint || issue.fix.replace(/_/g, ' ')}
                           </p>
                         )}
                         <div className="flex items-center gap-2 mt-2.5">
@@ -240,6 +274,19 @@ const RightSidebar = () => {
                               {issue.severity.toUpperCase()}
                             </span>
                           )}
+                          {issue.fix && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handlePreviewFix([issue])
+                              }}
+                              className="ml-auto px-2 py-0.5 bg-slate-700/60 hover:bg-slate-700 text-gray-200 text-xs rounded-md border border-neon-purple/30 hover:border-neon-cyan/50 flex items-center gap-1 transition-all duration-300"
+                              title="Preview the fix for this issue"
+                            >
+                              <Wrench size={12} />
+                              Fix
+                            </button>
+                          )}
                         </div>
                         {issue.id === 'missing_tag_text' && (
                           <button
@@ -262,7 +309,7 @@ const RightSidebar = () => {
         {complianceIssues.length > 0 && (
           <div className="p-5 border-t border-neon-purple/30">
             <button
-              onClick={handleFixAll}
+              onClick={() => handlePreviewFix(complianceIssues)}
               className="w-full px-4 py-3 bg-gradient-to-r from-neon-purple to-neon-cyan text-white rounded-lg hover:from-neon-purple/90 hover:to-neon-cyan/90 flex items-center justify-center gap-2 font-semibold transition-all duration-300 shadow-card hover:shadow-card-hover transform hover:scale-[1.02] text-sm"
             >
               <Wrench size={18} />
@@ -272,6 +319,16 @@ const RightSidebar = () => {
         )}
       </div>
 
+      {fixPreview && (
+        <FixPreview
+          patch={fixPreview.patch}
+          summary={fixPreview.summary}
+          canvas={canvas}
+          onApply={handleApplyFix}
+          onCancel={() => setFixPreview(null)}
+        />
+      )}
+
       {/* Object Attributes Section */}
       <div className="flex-1 overflow-y-auto">
         <div className="p-5 border-b border-neon-purple/30 bg-gradient-to-r from-neon-purple/10 to-neon-cyan/10">
@@ -298,6 +355,8 @@ const RightSidebar = () => {
 }
 
 const ObjectAttributes = ({ object, canvas }) => {
+  const retailer = useStore(state => state.retailer)
+  const complianceIssues = useStore(state => state.complianceIssues)
   const [isRewriting, setIsRewriting] = useState(false)
   const [attributes, setAttributes] = useState({
     fontSize: object.fontSize || '',
@@ -310,6 +369,7 @@ const ObjectAttributes = ({ object, canvas }) => {
     angle: Math.round(object.angle || 0),
     opacity: Math.round((object.opacity || 1) * 100),
     text: object.text || '',
+    role: object.role || '',
   })
 
   useEffect(() => {
@@ -325,6 +385,7 @@ const ObjectAttributes = ({ object, canvas }) => {
         angle: Math.round(object.angle || 0),
         opacity: Math.round((object.opacity || 1) * 100),
         text: object.text || '',
+        role: object.role || '',
       })
     }
   }, [object])
@@ -397,6 +458,11 @@ const ObjectAttributes = ({ object, canvas }) => {
           object.set('text', value)
         }
         break
+      case 'role':
+        // The compliance checker applies role-specific rules by it
+        object.set('role', value || undefined)
+        canvas.fire('object:modified', { target: object })
+        break
       default:
         break
     }
@@ -416,16 +482,34 @@ const ObjectAttributes = ({ object, canvas }) => {
         </div>
       </div>
 
+      {/* Role */}
+      <div>
+        <label className="block text-xs font-semibold text-gray-400 mb-2 uppercase tracking-wider">
+          Role
+        </label>
+        <select
+          value={attributes.role}
+          onChange={(e) => updateAttribute('role', e.target.value)}
+          className="w-full px-3 py-2.5 bg-slate-700/50 border border-neon-purple/30 text-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-cyan focus:border-neon-cyan transition-all duration-300 text-sm"
+        >
+          <option value="">None</option>
+          {ROLES.map(role => (
+            <option key={role.value} value={role.value}>{role.label}</option>
+          ))}
+        </select>
+      </div>
+
       {/* Text Content (for text objects) */}
       {object.type === 'textbox' && (
         <div>
           <label className="block text-xs font-semibold text-gray-400 mb-2 uppercase tracking-wider">
             Text Content
           </label>
-          <textarea
+          {/* Underline the terms flagged by the last compliance check */}
+          <HighlightedTextarea
             value={attributes.text}
             onChange={(e) => updateAttribute('text', e.target.value)}
-            className="w-full px-3 py-2.5 bg-slate-700/50 border border-neon-purple/30 text-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-cyan focus:border-neon-cyan transition-all duration-300 text-sm resize-none"
+            highlights={getTextHighlights(complianceIssues, getObjectIndex(canvas, object), attributes.text, object.id)}
             rows={3}
           />
         </div>
@@ -439,11 +523,11 @@ const ObjectAttributes = ({ object, canvas }) => {
               if (!attributes.text) return
               setIsRewriting(true)
               try {
-                const result = await api.fixCopy(attributes.text)
+                const result = await api.fixCopy(attributes.text, null, retailer)
                 if (result.success && result.correctedHeadline) {
                   updateAttribute('text', result.correctedHeadline)
                 } else {
-                  alert('Could not rewrite text. ' + (result.message || ''))
+                  alert('Could not rewrite text. ' + (result.warning || result.message || ''))
                 }
               } catch (error) {
                 console.error('Rewrite failed:', error)
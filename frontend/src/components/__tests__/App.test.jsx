@@ -12,4 +12,9 @@ describe('App', () => {
     render(<App />)
     expect(screen.getByTitle(/Close Tools Panel/i)).toBeInTheDocument()
   })
+
+  it('renders the issue highlights toggle', () => {
+    render(<App />)
+    expect(screen.getByTitle(/Hide issue highlights/i)).toBeInTheDocument()
+  })
 })
@@ -0,0 +1,36 @@
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect } from 'vitest'
+import HighlightedTextarea from '../HighlightedTextarea'
+import { getTextHighlights } from '../../utils/textHighlights'
+
+const text = 'Best price, never beaten'
+const issues = [
+  {
+    id: 'prohibited_claim_1',
+    objectIndex: 0,
+    severity: 'high',
+    matches: [
+      { phrase: 'best', text: 'Best', start: 0, end: 4 },
+      { phrase: 'never', text: 'never', start: 12, end: 17 },
+    ],
+  },
+  { id: 'font_small_1', objectIndex: 0, severity: 'medium' },
+  { id: 'prohibited_claim_2', objectIndex: 1, severity: 'high', matches: [{ phrase: 'free', text: 'Free', start: 0, end: 4 }] },
+]
+
+describe('HighlightedTextarea', () => {
+  it('underlines every matched term of the selected object', () => {
+    render(<HighlightedTextarea value={text} onChange={() => {}} highlights={getTextHighlights(issues, 0, text)} />)
+    expect(screen.getAllByTestId('text-highlight').map(span => span.textContent)).toEqual(['Best', 'never'])
+    expect(screen.getByText(/2 flagged terms/)).toBeInTheDocument()
+  })
+
+  it('drops spans that no longer match the edited text', () => {
+    expect(getTextHighlights(issues, 0, 'Good price, never beaten').map(span => span.text)).toEqual(['never'])
+  })
+
+  it('matches issues to the object by id once objects have moved', () => {
+    const movedIssues = [{ ...issues[0], objectId: 'headline' }, { ...issues[2], objectId: 'price' }]
+    expect(getTextHighlights(movedIssues, 0, 'Free delivery', 'price').map(span => span.text)).toEqual(['Free'])
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { resolveUnsafeZone } from '../../utils/unsafeZones'
+import { resolveUnsafeZone as resolveCheckerZone } from '../../../../backend/unsafeZones.js'
+
+// The tesco 16:9 zones, as the rules API sends them
+const rules = {
+  unsafeTop: 200,
+  unsafeBottom: 250,
+  unsafeZones: {
+    '1:1': { top: 200, bottom: 250, left: 0, right: 0 },
+    '9:16': { top: 200, bottom: 250, left: 0, right: 0 },
+    '16:9': { top: '8%', bottom: '10%', left: '4%', right: '4%' },
+  },
+}
+
+describe('resolveUnsafeZone', () => {
+  it('resolves percentage zones against the scaled editor canvas like the checker does', () => {
+    const zone = resolveUnsafeZone(rules, 1080, 608)
+    expect(zone).toEqual({ format: '16:9', top: 49, bottom: 61, left: 43, right: 43 })
+    expect(zone).toEqual(resolveCheckerZone(rules, 1080, 608))
+  })
+
+  it('has no zones until the rules have loaded', () => {
+    expect(resolveUnsafeZone(null, 608, 1080)).toEqual({ format: '9:16', top: 0, bottom: 0, left: 0, right: 0 })
+  })
+})
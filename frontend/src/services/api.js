@@ -3,10 +3,31 @@ import axios from 'axios'
 const API_BASE_URL = '/api'
 
 const api = {
-  autoFix: async (canvasData, issues) => {
+  getRetailers: async () => {
+    const response = await axios.get(`${API_BASE_URL}/retailers`)
+    return response.data
+  },
+
+  getRules: async (retailer) => {
+    const response = await axios.get(`${API_BASE_URL}/rules/${encodeURIComponent(retailer)}`)
+    return response.data
+  },
+
+  checkCompliance: async (canvasData, retailer) => {
+    const response = await axios.post(`${API_BASE_URL}/check-compliance`, {
+      canvasData,
+      retailer,
+    })
+    return response.data
+  },
+
+  // With preview, the response lists the proposed changes as a patch instead of a fixed canvas
+  autoFix: async (canvasData, issues, retailer, { preview = false } = {}) => {
     const response = await axios.post(`${API_BASE_URL}/auto-fix`, {
       canvasData,
       issues,
+      retailer,
+      preview,
     })
     return response.data
   },
@@ -21,14 +42,14 @@ const api = {
     return response.data
   },
 
-  fixCopy: async (headline, subhead = null) => {
+  fixCopy: async (headline, subhead = null, retailer = null) => {
     const response = await axios.post(`${API_BASE_URL}/fix-copy`, {
       headline,
       subhead,
+      retailer,
     })
     return response.data
   },
 }
 
 export default api
-
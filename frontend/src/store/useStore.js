@@ -7,6 +7,9 @@ const useStore = create((set, get) => ({
   complianceIssues: [],
   isLoading: false,
   currentFormat: '1:1', // 1:1, 9:16, 16:9
+  retailer: 'tesco', // Rule pack ID used for compliance checks
+  retailRules: null, // Resolved rules for the selected retailer
+  showIssueHighlights: true, // Mark objects with compliance issues on the canvas
   
   setCanvas: (canvas) => set({ canvas }),
   
@@ -26,6 +29,12 @@ const useStore = create((set, get) => ({
   
   setCurrentFormat: (format) => set({ currentFormat: format }),
   
+  setRetailer: (retailer) => set({ retailer }),
+  
+  setRetailRules: (rules) => set({ retailRules: rules }),
+
+  setShowIssueHighlights: (show) => set({ showIssueHighlights: show }),
+  
   clearCanvas: () => set({ canvasObjects: [], selectedObject: null, complianceIssues: [] }),
 }))
 
@@ -0,0 +1,86 @@
+// Custom object properties the compliance API reads, e.g. role: 'packshot'; id is the
+// object's stable identity, which compliance issues refer to as objectId
+export const EXTRA_PROPERTIES = ['id', 'name', 'role']
+
+/**
+ * Create a new object id
+ * crypto.randomUUID() is only available in secure contexts, so random bytes are used elsewhere
+ * @returns {string} UUID v4
+ */
+export function createObjectId() {
+  if (crypto.randomUUID) return crypto.randomUUID()
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+/**
+ * Give an object added to the canvas (and the objects of a group) an id
+ * Objects loaded with an id keep it, unless another object on the canvas already has it
+ * (e.g. a copy of it).
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Object} object - Fabric.js object
+ */
+export function assignObjectId(canvas, object) {
+  if (!object || object.excludeFromExport) return
+
+  const taken = object.id && canvas.getObjects().some(other => other !== object && other.id === object.id)
+  if (!object.id || taken) {
+    object.id = createObjectId()
+  }
+  if (object.type === 'group') {
+    object.getObjects().forEach(child => {
+      if (!child.id) child.id = createObjectId()
+    })
+  }
+}
+
+/**
+ * Find a canvas object by its id, including the objects inside groups
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {string} id - Object id
+ * @returns {Object|null} Fabric.js object, or null if no object has the id
+ */
+export function findObjectById(canvas, id) {
+  if (!canvas || !id) return null
+
+  const search = objects => {
+    for (const obj of objects) {
+      if (obj.id === id) return obj
+      const nested = obj.type === 'group' ? search(obj.getObjects()) : null
+      if (nested) return nested
+    }
+    return null
+  }
+  return search(canvas.getObjects())
+}
+
+/**
+ * Serialize the canvas for the compliance API
+ * canvas.toJSON() leaves out the canvas size, which the checker needs for unsafe zones
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @returns {Object} Canvas JSON with width and height
+ */
+export function getCanvasData(canvas) {
+  return {
+    ...canvas.toJSON(EXTRA_PROPERTIES),
+    width: canvas.width,
+    height: canvas.height,
+  }
+}
+
+/**
+ * Find the index the compliance API uses for a canvas object
+ * Objects excluded from export (e.g. unsafe zone overlays) are not in the canvas JSON,
+ * so issue objectIndex values count only the exported objects.
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Object} object - Fabric.js object
+ * @returns {number} Index in getCanvasData(canvas).objects, or -1
+ */
+export function getObjectIndex(canvas, object) {
+  if (!canvas || !object) return -1
+  return canvas.getObjects().filter(obj => !obj.excludeFromExport).indexOf(object)
+}
@@ -1,4 +1,5 @@
-import { fabric } from 'fabric'
+import { isUnsafeZone, redrawUnsafeZones, resolveUnsafeZone } from './unsafeZones'
+import { getBoundingBox, translateObject } from './geometry'
 
 /**
  * Canvas Layout Adaptation Utilities
@@ -10,8 +11,9 @@ import { fabric } from 'fabric'
  * @param {Object} canvas - Fabric.js canvas instance
  * @param {number} newWidth - New canvas width
  * @param {number} newHeight - New canvas height
+ * @param {Object|null} rules - Retail rules providing the unsafe zones
  */
-export function adaptCanvasLayout(canvas, newWidth, newHeight) {
+export function adaptCanvasLayout(canvas, newWidth, newHeight, rules = null) {
   if (!canvas) return
 
   const oldWidth = canvas.width
@@ -19,7 +21,7 @@ export function adaptCanvasLayout(canvas, newWidth, newHeight) {
   
   // If dimensions haven't changed, just update overlays
   if (oldWidth === newWidth && oldHeight === newHeight) {
-    redrawUnsafeZones(canvas, newWidth, newHeight)
+    redrawUnsafeZones(canvas, rules)
     canvas.renderAll()
     return
   }
@@ -30,9 +32,7 @@ export function adaptCanvasLayout(canvas, newWidth, newHeight) {
   const scale = Math.min(scaleX, scaleY) // Use minimum to preserve aspect ratios
   
   // Get all objects (excluding unsafe zone overlays)
-  const objects = canvas.getObjects().filter(
-    obj => obj.name !== 'unsafeZoneTop' && obj.name !== 'unsafeZoneBottom'
-  )
+  const objects = canvas.getObjects().filter(obj => !isUnsafeZone(obj))
   
   // Store original positions and scales
   const originalData = objects.map(obj => ({
@@ -49,6 +49,9 @@ export function adaptCanvasLayout(canvas, newWidth, newHeight) {
   // Resize canvas
   canvas.setDimensions({ width: newWidth, height: newHeight })
   
+  // Unsafe zones of the new format
+  const unsafeZone = resolveUnsafeZone(rules, newWidth, newHeight)
+  
   // Reposition and scale all objects
   objects.forEach((obj, index) => {
     const original = originalData[index]
@@ -81,79 +84,25 @@ export function adaptCanvasLayout(canvas, newWidth, newHeight) {
       scaleY: newScaleY,
     })
     
-    // Ensure object stays within bounds (with safe zone consideration)
-    const topUnsafeHeight = 200
-    const bottomUnsafeHeight = 250
-    const objWidth = (original.width || 0) * newScaleX
-    const objHeight = (original.height || 0) * newScaleY
-    
-    // Constrain to safe zones
-    if (obj.left < 0) obj.left = 0
-    if (obj.top < topUnsafeHeight) obj.top = topUnsafeHeight + 10
-    if (obj.left + objWidth > newWidth) obj.left = Math.max(0, newWidth - objWidth)
-    if (obj.top + objHeight > newHeight - bottomUnsafeHeight) {
-      obj.top = Math.max(topUnsafeHeight + 10, newHeight - bottomUnsafeHeight - objHeight - 10)
+    // Keep the object's true bounding box (rotation, origin and skew included) in the safe area
+    const box = getBoundingBox(obj)
+    let dx = 0
+    let dy = 0
+    if (box.left < unsafeZone.left) dx = unsafeZone.left - box.left
+    if (box.top < unsafeZone.top) dy = unsafeZone.top + 10 - box.top
+    if (box.right > newWidth - unsafeZone.right) {
+      dx = Math.max(unsafeZone.left, newWidth - unsafeZone.right - box.width) - box.left
     }
+    if (box.bottom > newHeight - unsafeZone.bottom) {
+      dy = Math.max(unsafeZone.top + 10, newHeight - unsafeZone.bottom - box.height - 10) - box.top
+    }
+    translateObject(obj, dx, dy)
+    obj.setCoords()
   })
   
   // Redraw unsafe zone overlays
-  redrawUnsafeZones(canvas, newWidth, newHeight)
+  redrawUnsafeZones(canvas, rules)
   
   // Re-render canvas
   canvas.renderAll()
 }
-
-/**
- * Redraw unsafe zone overlays
- * @param {Object} canvas - Fabric.js canvas instance
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- */
-function redrawUnsafeZones(canvas, width, height) {
-  const topUnsafeHeight = 200
-  const bottomUnsafeHeight = 250
-  
-  // Remove existing unsafe zone overlays
-  const existingOverlays = canvas.getObjects().filter(
-    obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-  )
-  existingOverlays.forEach(overlay => canvas.remove(overlay))
-  
-  // Top unsafe zone overlay
-  const topUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: 0,
-    width: width,
-    height: topUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneTop',
-    excludeFromExport: true,
-  })
-  
-  // Bottom unsafe zone overlay
-  const bottomUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: height - bottomUnsafeHeight,
-    width: width,
-    height: bottomUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneBottom',
-    excludeFromExport: true,
-  })
-  
-  canvas.add(topUnsafeZone)
-  canvas.add(bottomUnsafeZone)
-  canvas.sendToBack(topUnsafeZone)
-  canvas.sendToBack(bottomUnsafeZone)
-}
-
@@ -1,14 +1,16 @@
 import imageCompression from 'browser-image-compression'
-import { fabric } from 'fabric'
+import { getFormat } from './formats'
+import { redrawUnsafeZones, removeUnsafeZones } from './unsafeZones'
 
 /**
  * Export creative with compression
  * @param {Object} canvas - Fabric.js canvas instance
  * @param {string} format - Format: '1:1', '9:16', or '16:9'
  * @param {string} fileType - 'jpg' or 'png'
+ * @param {Object|null} rules - Retail rules providing the unsafe zones
  * @returns {Promise<string>} Download URL
  */
-export async function exportCreative(canvas, format, fileType = 'jpg') {
+export async function exportCreative(canvas, format, fileType = 'jpg', rules = null) {
   if (!canvas) {
     throw new Error('Canvas is not initialized')
   }
@@ -19,17 +21,7 @@ export async function exportCreative(canvas, format, fileType = 'jpg') {
   }
 
   // Calculate target dimensions based on format
-  const currentWidth = canvas.width
-  const currentHeight = canvas.height
-  const baseSize = Math.max(currentWidth, currentHeight)
-  
-  const dimensions = {
-    '1:1': { width: 1080, height: 1080 },
-    '9:16': { width: 1080, height: 1920 },
-    '16:9': { width: 1920, height: 1080 },
-  }
-
-  const { width, height } = dimensions[format] || dimensions['1:1']
+  const { width, height } = getFormat(format)
 
   // Store original canvas state
   const originalWidth = canvas.width
@@ -42,10 +34,7 @@ export async function exportCreative(canvas, format, fileType = 'jpg') {
     canvas.renderAll()
 
     // Remove unsafe zone overlays before export
-    const overlays = canvas.getObjects().filter(
-      obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-    )
-    overlays.forEach(overlay => canvas.remove(overlay))
+    removeUnsafeZones(canvas)
 
     // Convert canvas to blob
     const mimeType = fileType === 'png' ? 'image/png' : 'image/jpeg'
@@ -139,49 +128,7 @@ export async function exportCreative(canvas, format, fileType = 'jpg') {
     canvas.setDimensions({ width: originalWidth, height: originalHeight })
     
     // Restore unsafe zone overlays
-    const hasOverlays = canvas.getObjects().some(
-      obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-    )
-    
-    if (!hasOverlays) {
-      const topUnsafeHeight = 200
-      const bottomUnsafeHeight = 250
-      
-      const topUnsafeZone = new fabric.Rect({
-        left: 0,
-        top: 0,
-        width: originalWidth,
-        height: topUnsafeHeight,
-        fill: 'rgba(255, 0, 0, 0.3)',
-        stroke: '#FF0000',
-        strokeWidth: 2,
-        strokeDashArray: [5, 5],
-        selectable: false,
-        evented: false,
-        name: 'unsafeZoneTop',
-        excludeFromExport: true,
-      })
-      
-      const bottomUnsafeZone = new fabric.Rect({
-        left: 0,
-        top: originalHeight - bottomUnsafeHeight,
-        width: originalWidth,
-        height: bottomUnsafeHeight,
-        fill: 'rgba(255, 0, 0, 0.3)',
-        stroke: '#FF0000',
-        strokeWidth: 2,
-        strokeDashArray: [5, 5],
-        selectable: false,
-        evented: false,
-        name: 'unsafeZoneBottom',
-        excludeFromExport: true,
-      })
-      
-      canvas.add(topUnsafeZone)
-      canvas.add(bottomUnsafeZone)
-      canvas.sendToBack(topUnsafeZone)
-      canvas.sendToBack(bottomUnsafeZone)
-    }
+    redrawUnsafeZones(canvas, rules)
     
     canvas.renderAll()
   }
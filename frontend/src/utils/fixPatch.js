@@ -0,0 +1,113 @@
+import { fabric } from 'fabric'
+import { findObjectById } from './canvasData'
+
+/**
+ * Fix Patch Utilities
+ * Applies the changes of an auto-fix preview (see /api/auto-fix with preview) that the
+ * designer accepted, leaving everything else on the canvas as it is
+ */
+
+/**
+ * Get the key a patch change is accepted or rejected by
+ * @param {Object} entry - Patch entry ({ objectId, type, changes })
+ * @param {Object} change - One of entry.changes; left out for added or removed objects
+ * @returns {string} Key unique within the patch
+ */
+export function getChangeKey(entry, change = null) {
+  return change ? `${entry.objectId}:${change.property}` : `${entry.objectId}:${entry.type}`
+}
+
+/**
+ * List the keys of every change in a patch
+ * @param {Array<Object>} patch - Patch from the auto-fix preview
+ * @returns {Array<string>} Change keys
+ */
+export function getChangeKeys(patch) {
+  return patch.flatMap(entry => (entry.type === 'modify' ? entry.changes.map(change => getChangeKey(entry, change)) : [getChangeKey(entry)]))
+}
+
+/**
+ * Format a patch value for display
+ * @param {*} value - Property value before or after the fix
+ * @returns {string}
+ */
+export function formatPatchValue(value) {
+  if (value === undefined || value === null) return '—'
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100)
+  if (typeof value === 'string') return `"${value}"`
+  return JSON.stringify(value)
+}
+
+// Recreate Fabric.js objects from JSON
+function enlivenObjects(objects) {
+  return new Promise(resolve => fabric.util.enlivenObjects(objects, resolve))
+}
+
+/**
+ * Apply the accepted changes of a patch to the canvas
+ * Properties are set on the objects they belong to, restacked objects are moved, and added
+ * objects are created at their place in the stack; changes for objects no longer on the
+ * canvas are skipped.
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Array<Object>} patch - Patch from the auto-fix preview
+ * @param {Set<string>} accepted - Keys (from getChangeKey) of the changes to apply
+ * @returns {Promise<number>} Number of changes applied
+ */
+export async function applyFixPatch(canvas, patch, accepted) {
+  let applied = 0
+  const moves = []
+
+  patch.forEach(entry => {
+    const obj = findObjectById(canvas, entry.objectId)
+    if (!obj) return
+
+    if (entry.type === 'remove' && accepted.has(getChangeKey(entry))) {
+      canvas.remove(obj)
+      applied++
+    }
+    if (entry.type !== 'modify') return
+
+    entry.changes
+      .filter(change => accepted.has(getChangeKey(entry, change)))
+      .forEach(change => {
+        if (change.property === 'index') {
+          moves.push({ obj, index: change.after })
+        } else {
+          obj.set(change.property, change.after)
+        }
+        applied++
+      })
+    obj.setCoords()
+    if (obj.group) obj.group.dirty = true
+  })
+
+  // Restack in the fixed paint order, counting only the exported objects like the API does
+  moves
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ obj, index }) => {
+      const exported = canvas.getObjects().filter(other => !other.excludeFromExport)
+      const target = exported[Math.min(index, exported.length - 1)]
+      canvas.moveTo(obj, canvas.getObjects().indexOf(target))
+    })
+
+  // Added objects go where the fixes put them in the paint order, e.g. a backing plate just below its text
+  const added = patch
+    .filter(entry => entry.type === 'add' && accepted.has(getChangeKey(entry)))
+    .sort((a, b) => a.path[0] - b.path[0])
+  if (added.length > 0) {
+    const objects = await enlivenObjects(added.map(entry => entry.object))
+    objects.forEach((obj, i) => {
+      const exported = canvas.getObjects().filter(other => !other.excludeFromExport)
+      const above = exported[added[i].path[0]]
+      if (above) {
+        canvas.insertAt(obj, canvas.getObjects().indexOf(above))
+      } else {
+        canvas.add(obj)
+      }
+    })
+    applied += objects.length
+  }
+
+  canvas.requestRenderAll()
+  return applied
+}
@@ -0,0 +1,43 @@
+/**
+ * Fix Report Utilities
+ * Works out what an auto-fix actually did by comparing the compliance issues before and after
+ *
+ * Issues are matched by their `key` from the API, which stays the same from one check to the
+ * next while an id such as font_small_2 follows the position of the text.
+ */
+
+const keyOf = issue => issue.key || issue.id
+
+/**
+ * Compare the issues before and after fixes
+ * @param {Array} targeted - Issues the fixes were asked to resolve
+ * @param {Array} before - Every issue before the fixes
+ * @param {Array} after - Every issue after the fixes
+ * @returns {Object} { fixed, remaining, introduced }: the targeted issues that are gone and that
+ *   are still there, and the issues that were not there before
+ */
+export function compareIssues(targeted, before, after) {
+  const beforeKeys = new Set(before.map(keyOf))
+  const afterKeys = new Set(after.map(keyOf))
+  return {
+    fixed: targeted.filter(issue => !afterKeys.has(keyOf(issue))),
+    remaining: targeted.filter(issue => afterKeys.has(keyOf(issue))),
+    introduced: after.filter(issue => !beforeKeys.has(keyOf(issue))),
+  }
+}
+
+/**
+ * Describe a fix report for the designer
+ * @param {Object} report - Report from compareIssues
+ * @returns {string} Message listing what is still open and what is new
+ */
+export function formatFixReport({ fixed, remaining, introduced }) {
+  const lines = [`Fixed ${fixed.length} of ${fixed.length + remaining.length} issue(s).`]
+  if (remaining.length > 0) {
+    lines.push('', 'Still to fix:', ...remaining.map(issue => `• ${issue.message}`))
+  }
+  if (introduced.length > 0) {
+    lines.push('', 'New issues caused by the fixes:', ...introduced.map(issue => `• ${issue.message}`))
+  }
+  return lines.join('\n')
+}
@@ -0,0 +1,32 @@
+/**
+ * Creative Formats
+ * Export dimensions for each supported format
+ */
+
+export const FORMATS = [
+  { value: '1:1', label: 'Square (1:1)', width: 1080, height: 1080 },
+  { value: '9:16', label: 'Story (9:16)', width: 1080, height: 1920 },
+  { value: '16:9', label: 'Landscape (16:9)', width: 1920, height: 1080 },
+]
+
+/**
+ * Get a format by its value
+ * @param {string} format - Format value ('1:1', '9:16' or '16:9')
+ * @returns {Object} Format, falling back to 1:1
+ */
+export function getFormat(format) {
+  return FORMATS.find(f => f.value === format) || FORMATS[0]
+}
+
+/**
+ * Find the format whose aspect ratio is closest to the given dimensions
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {string} Format value
+ */
+export function detectFormat(width, height) {
+  const ratio = width / height
+  return FORMATS.reduce((best, format) => (
+    Math.abs(format.width / format.height - ratio) < Math.abs(best.width / best.height - ratio) ? format : best
+  )).value
+}
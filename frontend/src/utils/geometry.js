@@ -0,0 +1,190 @@
+/**
+ * Geometry Utilities
+ * Works out where Fabric.js objects really are on the canvas (same rules as the
+ * backend's geometry module, so the editor and the compliance checker agree)
+ *
+ * `left` and `top` place an object's origin point (originX/originY), and the object is
+ * scaled, flipped, skewed and rotated around its centre, as Fabric does it. The helpers
+ * here turn that into canvas coordinates: the centre, the oriented bounding box (the
+ * object's own rectangle, turned with it) and the axis-aligned bounding box around it.
+ */
+
+const ORIGINS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 }
+
+const toRadians = degrees => (degrees || 0) * Math.PI / 180
+
+/**
+ * Convert an origin to a fraction of the object's size
+ * @param {string|number} origin - 'left', 'center', 'right', 'top', 'bottom' or a fraction
+ * @returns {number} 0 for left/top, 0.5 for center, 1 for right/bottom
+ */
+export function originOffset(origin) {
+  return typeof origin === 'number' ? origin : ORIGINS[origin] ?? 0
+}
+
+/**
+ * Get the width of the stroke painted around an object
+ * Fabric.js adds strokeWidth to the size even without a stroke colour; that size is what
+ * it positions the origin by, but only a visible stroke counts towards the painted box.
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @param {boolean} painted - Only count the stroke when it is actually drawn
+ * @returns {number} Stroke width
+ */
+function getStrokeWidth(obj, painted) {
+  if (painted && (!obj.stroke || obj.stroke === 'transparent')) return 0
+  return obj.strokeWidth ?? 0
+}
+
+/**
+ * Get the matrix that scales, flips and skews an object (no rotation or position)
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {Array<number>} [a, b, c, d] mapping (x, y) to (a·x + c·y, b·x + d·y)
+ */
+function getDimensionsMatrix(obj) {
+  const scaleX = (obj.scaleX ?? 1) * (obj.flipX ? -1 : 1)
+  const scaleY = (obj.scaleY ?? 1) * (obj.flipY ? -1 : 1)
+  const skewX = Math.tan(toRadians(obj.skewX))
+  const skewY = Math.tan(toRadians(obj.skewY))
+
+  // scale · skewX · skewY, in Fabric's order
+  return [
+    scaleX * (1 + skewX * skewY),
+    scaleY * skewY,
+    scaleX * skewX,
+    scaleY
+  ]
+}
+
+/**
+ * Get the size of an object after scaling and skewing, before rotation
+ * A skewed object is measured by the box around its slanted shape.
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @param {Object} options - Options
+ * @param {boolean} options.painted - Only include a visible stroke (default: Fabric's sizing)
+ * @returns {Object} { width, height }
+ */
+export function getTransformedSize(obj, { painted = false } = {}) {
+  const strokeWidth = getStrokeWidth(obj, painted)
+  const halfWidth = ((obj.width || 0) + strokeWidth) / 2
+  const halfHeight = ((obj.height || 0) + strokeWidth) / 2
+  const [a, b, c, d] = getDimensionsMatrix(obj)
+
+  const corners = [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]
+    .map(([x, y]) => ({ x: a * x + c * y, y: b * x + d * y }))
+  const xs = corners.map(point => point.x)
+  const ys = corners.map(point => point.y)
+  return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) }
+}
+
+/**
+ * Get the centre of an object in canvas coordinates
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {Object} { x, y }
+ */
+export function getObjectCenter(obj) {
+  const { width, height } = getTransformedSize(obj)
+  const angle = toRadians(obj.angle)
+
+  // left/top position the origin point; the offset to the centre turns with the object
+  const dx = (0.5 - originOffset(obj.originX ?? 'left')) * width
+  const dy = (0.5 - originOffset(obj.originY ?? 'top')) * height
+  return {
+    x: (obj.left || 0) + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: (obj.top || 0) + dx * Math.sin(angle) + dy * Math.cos(angle)
+  }
+}
+
+/**
+ * Map a point in the object's own coordinates to the canvas
+ * Object coordinates are unscaled and centred: (0, 0) is the centre and
+ * (±width / 2, ±height / 2) are the corners of the object's box.
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @param {number} x - Object x
+ * @param {number} y - Object y
+ * @returns {Object} { x, y } on the canvas
+ */
+export function toCanvasPoint(obj, x, y) {
+  const [a, b, c, d] = getDimensionsMatrix(obj)
+  const center = getObjectCenter(obj)
+  const angle = toRadians(obj.angle)
+  const sx = a * x + c * y
+  const sy = b * x + d * y
+  return {
+    x: center.x + sx * Math.cos(angle) - sy * Math.sin(angle),
+    y: center.y + sx * Math.sin(angle) + sy * Math.cos(angle)
+  }
+}
+
+/**
+ * Map a canvas point into the object's own coordinates (the inverse of toCanvasPoint)
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {Object} { x, y } in object coordinates, or { x: NaN, y: NaN } for a zero scale
+ */
+export function toLocalPoint(obj, x, y) {
+  const [a, b, c, d] = getDimensionsMatrix(obj)
+  const center = getObjectCenter(obj)
+  const angle = toRadians(obj.angle)
+  const rx = x - center.x
+  const ry = y - center.y
+  const sx = rx * Math.cos(angle) + ry * Math.sin(angle)
+  const sy = -rx * Math.sin(angle) + ry * Math.cos(angle)
+
+  const determinant = a * d - b * c
+  if (determinant === 0) return { x: NaN, y: NaN }
+  return {
+    x: (d * sx - c * sy) / determinant,
+    y: (a * sy - b * sx) / determinant
+  }
+}
+
+/**
+ * Get the oriented bounding box of an object
+ * The box of the scaled and skewed object, turned by its angle around its centre,
+ * like Fabric's control corners.
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {Object} { center, width, height, angle, corners } with corners [tl, tr, br, bl] in canvas coordinates
+ */
+export function getOrientedBoundingBox(obj) {
+  const center = getObjectCenter(obj)
+  const { width, height } = getTransformedSize(obj, { painted: true })
+  const angle = toRadians(obj.angle)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const x = sx * width / 2
+    const y = sy * height / 2
+    return { x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos }
+  })
+  return { center, width, height, angle: obj.angle || 0, corners }
+}
+
+/**
+ * Get the axis-aligned bounding box of an object in canvas pixels
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {Object} { left, top, right, bottom, width, height }
+ */
+export function getBoundingBox(obj) {
+  const { corners } = getOrientedBoundingBox(obj)
+  const xs = corners.map(point => point.x)
+  const ys = corners.map(point => point.y)
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+  const right = Math.max(...xs)
+  const bottom = Math.max(...ys)
+  return { left, top, right, bottom, width: right - left, height: bottom - top }
+}
+
+/**
+ * Move an object on the canvas
+ * Moving the origin moves the whole object, whatever its origin, angle or scale.
+ * @param {Object} obj - Fabric.js object or object JSON (changed in place)
+ * @param {number} dx - Horizontal distance in canvas pixels
+ * @param {number} dy - Vertical distance in canvas pixels
+ */
+export function translateObject(obj, dx, dy) {
+  obj.left = (obj.left || 0) + dx
+  obj.top = (obj.top || 0) + dy
+}
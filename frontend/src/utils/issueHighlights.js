@@ -0,0 +1,116 @@
+/**
+ * Issue Highlight Utilities
+ * Finds the canvas objects compliance issues are about and marks them on the canvas
+ *
+ * Highlights are painted over the rendered canvas after each render rather than added as
+ * objects, so they never reach exports, saved projects or the compliance check.
+ */
+
+// Match the severity colours of the compliance panel
+export const SEVERITY_COLORS = { high: '#EF4444', medium: '#F97316', low: '#EAB308' }
+
+const SEVERITY_RANK = { high: 2, medium: 1, low: 0 }
+
+// Gap between an object and its highlight box, and the size of the issue count badge
+const HIGHLIGHT_PADDING = 4
+const BADGE_RADIUS = 10
+
+/**
+ * Find the canvas object an issue is about
+ * Issues about an object inside a group resolve to the group, which is what can be selected.
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Object} issue - Compliance issue from the API
+ * @returns {Object|null} Top-level Fabric.js object, or null for issues about the whole
+ *   creative or about an object that has been removed since the check
+ */
+export function findIssueObject(canvas, issue) {
+  if (!canvas || !issue) return null
+
+  const objects = canvas.getObjects().filter(obj => !obj.excludeFromExport)
+  if (issue.objectId) {
+    const holds = obj => obj.id === issue.objectId || (obj.type === 'group' && obj.getObjects().some(holds))
+    return objects.find(holds) || null
+  }
+  return typeof issue.objectIndex === 'number' ? objects[issue.objectIndex] || null : null
+}
+
+/**
+ * Collect the objects that have issues
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Array} issues - Compliance issues from the API
+ * @returns {Map} Fabric.js object to { count, severity }, the number of its issues and the worst severity
+ */
+export function getIssueTargets(canvas, issues) {
+  const targets = new Map()
+  issues.forEach(issue => {
+    const obj = findIssueObject(canvas, issue)
+    if (!obj) return
+
+    const severity = SEVERITY_COLORS[issue.severity] ? issue.severity : 'medium'
+    const target = targets.get(obj) || { count: 0, severity: 'low' }
+    targets.set(obj, {
+      count: target.count + 1,
+      severity: SEVERITY_RANK[severity] > SEVERITY_RANK[target.severity] ? severity : target.severity,
+    })
+  })
+  return targets
+}
+
+/**
+ * Draw a highlight box and issue count badge around every object with issues
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {CanvasRenderingContext2D} ctx - Context the canvas was rendered to
+ * @param {Array} issues - Compliance issues from the API
+ */
+export function drawIssueHighlights(canvas, ctx, issues) {
+  getIssueTargets(canvas, issues).forEach(({ count, severity }, obj) => {
+    // Screen coordinates, so boxes and badges keep their size at any zoom
+    const rect = obj.getBoundingRect(false, true)
+    const left = rect.left - HIGHLIGHT_PADDING
+    const top = rect.top - HIGHLIGHT_PADDING
+    const color = SEVERITY_COLORS[severity]
+
+    ctx.save()
+    ctx.strokeStyle = color
+    ctx.lineWidth = 2
+    ctx.setLineDash([6, 4])
+    ctx.strokeRect(left, top, rect.width + HIGHLIGHT_PADDING * 2, rect.height + HIGHLIGHT_PADDING * 2)
+
+    ctx.setLineDash([])
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.arc(left, top, BADGE_RADIUS, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.fillStyle = '#FFFFFF'
+    ctx.font = 'bold 11px Arial'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(String(count), left, top)
+    ctx.restore()
+  })
+}
+
+/**
+ * Scroll the canvas view so an object is centred in it
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Object} obj - Fabric.js object
+ */
+export function scrollObjectIntoView(canvas, obj) {
+  const element = canvas.upperCanvasEl
+  let container = element.parentElement
+  while (container && container.scrollHeight <= container.clientHeight && container.scrollWidth <= container.clientWidth) {
+    container = container.parentElement
+  }
+  if (!container) return
+
+  // The canvas element can be shown at another size than its drawing buffer
+  const rect = obj.getBoundingRect(false, true)
+  const canvasBox = element.getBoundingClientRect()
+  const containerBox = container.getBoundingClientRect()
+  const scale = canvasBox.width / (canvas.getWidth() || canvasBox.width)
+  container.scrollBy({
+    left: canvasBox.left + (rect.left + rect.width / 2) * scale - (containerBox.left + containerBox.width / 2),
+    top: canvasBox.top + (rect.top + rect.height / 2) * scale - (containerBox.top + containerBox.height / 2),
+    behavior: 'smooth',
+  })
+}
@@ -1,4 +1,7 @@
 import { fabric } from 'fabric'
+import { isUnsafeZone, redrawUnsafeZones } from './unsafeZones'
+import { EXTRA_PROPERTIES } from './canvasData'
+import { withLegacyRole } from './roles'
 
 /**
  * Project Storage Utility
@@ -8,6 +11,9 @@ import { fabric } from 'fabric'
 const STORAGE_KEY = 'creative-builder-project'
 const STORAGE_VERSION = '1.0'
 
+// Properties saved with every object besides Fabric's own, so roles survive a reload
+const SAVED_PROPERTIES = ['includeDefaultValues', ...EXTRA_PROPERTIES]
+
 /**
  * Save project to localStorage
  * @param {Object} canvas - Fabric.js canvas instance
@@ -28,7 +34,7 @@ export async function saveProject(canvas, state) {
           try {
             // Get image as data URL
             const dataUrl = obj.toDataURL({ format: 'png', quality: 1.0 })
-            const objData = obj.toObject(['includeDefaultValues'])
+            const objData = obj.toObject(SAVED_PROPERTIES)
             // Replace src with data URL
             if (objData.src) {
               objData.src = dataUrl
@@ -36,10 +42,10 @@ export async function saveProject(canvas, state) {
             return objData
           } catch (error) {
             console.warn('Failed to convert image to data URL:', error)
-            return obj.toObject(['includeDefaultValues'])
+            return obj.toObject(SAVED_PROPERTIES)
           }
         }
-        return obj.toObject(['includeDefaultValues'])
+        return obj.toObject(SAVED_PROPERTIES)
       })
     )
     
@@ -77,6 +83,7 @@ export async function saveProject(canvas, state) {
       assets: assetPaths,
       state: {
         currentFormat: state.currentFormat || '1:1',
+        retailer: state.retailer || 'tesco',
         complianceIssues: state.complianceIssues || [],
       },
     }
@@ -120,9 +127,10 @@ export function loadProject() {
  * Restore canvas from project data
  * @param {Object} canvas - Fabric.js canvas instance
  * @param {Object} projectData - Project data from localStorage
+ * @param {Object|null} rules - Retail rules providing the unsafe zones
  * @returns {Promise<boolean>} Success status
  */
-export async function restoreCanvas(canvas, projectData) {
+export async function restoreCanvas(canvas, projectData, rules = null) {
   try {
     if (!canvas || !projectData) {
       throw new Error('Canvas or project data is missing')
@@ -142,10 +150,8 @@ export async function restoreCanvas(canvas, projectData) {
 
     // Restore objects from canvas JSON
     if (projectData.canvas.objects && Array.isArray(projectData.canvas.objects)) {
-      // Filter out unsafe zone overlays from saved data
-      const validObjects = projectData.canvas.objects.filter(
-        obj => obj.name !== 'unsafeZoneTop' && obj.name !== 'unsafeZoneBottom'
-      )
+      // Filter out unsafe zone overlays from saved data; older projects get their roles from names
+      const validObjects = projectData.canvas.objects.filter(obj => !isUnsafeZone(obj)).map(withLegacyRole)
 
       // Load objects from JSON (images are included as data URLs)
       await new Promise((resolve, reject) => {
@@ -156,7 +162,7 @@ export async function restoreCanvas(canvas, projectData) {
           },
           () => {
             // Redraw unsafe zones
-            redrawUnsafeZones(canvas)
+            redrawUnsafeZones(canvas, rules)
             canvas.renderAll()
             resolve()
           },
@@ -164,7 +170,7 @@ export async function restoreCanvas(canvas, projectData) {
             console.error('Error loading canvas JSON:', error)
             // Fallback: try restoring from asset paths
             restoreImages(canvas, projectData.assets).then(() => {
-              redrawUnsafeZones(canvas)
+              redrawUnsafeZones(canvas, rules)
               canvas.renderAll()
               resolve()
             }).catch(reject)
@@ -174,11 +180,11 @@ export async function restoreCanvas(canvas, projectData) {
     } else if (projectData.assets && projectData.assets.length > 0) {
       // Fallback: If no objects in JSON, restore images from asset paths
       await restoreImages(canvas, projectData.assets)
-      redrawUnsafeZones(canvas)
+      redrawUnsafeZones(canvas, rules)
       canvas.renderAll()
     } else {
       // No objects to restore, just redraw unsafe zones
-      redrawUnsafeZones(canvas)
+      redrawUnsafeZones(canvas, rules)
       canvas.renderAll()
     }
 
@@ -249,60 +255,6 @@ async function restoreImages(canvas, assets) {
   await Promise.allSettled(imagePromises)
 }
 
-/**
- * Redraw unsafe zone overlays
- * @param {Object} canvas - Fabric.js canvas instance
- */
-function redrawUnsafeZones(canvas) {
-  const topUnsafeHeight = 200
-  const bottomUnsafeHeight = 250
-  const width = canvas.width
-  const height = canvas.height
-
-  // Remove existing overlays
-  const existingOverlays = canvas.getObjects().filter(
-    obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-  )
-  existingOverlays.forEach(overlay => canvas.remove(overlay))
-
-  // Top unsafe zone
-  const topUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: 0,
-    width: width,
-    height: topUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneTop',
-    excludeFromExport: true,
-  })
-
-  // Bottom unsafe zone
-  const bottomUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: height - bottomUnsafeHeight,
-    width: width,
-    height: bottomUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneBottom',
-    excludeFromExport: true,
-  })
-
-  canvas.add(topUnsafeZone)
-  canvas.add(bottomUnsafeZone)
-  canvas.sendToBack(topUnsafeZone)
-  canvas.sendToBack(bottomUnsafeZone)
-}
-
 /**
  * Check if a saved project exists
  * @returns {boolean}
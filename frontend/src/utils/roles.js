@@ -0,0 +1,46 @@
+/**
+ * Element Roles
+ * Semantic roles stored on canvas objects as `role`; the compliance checker applies
+ * role-specific rules by them (e.g. a 'tag' must use an approved TAG phrase)
+ */
+
+export const ROLES = [
+  { value: 'headline', label: 'Headline' },
+  { value: 'subhead', label: 'Subhead' },
+  { value: 'tag', label: 'TAG' },
+  { value: 'disclaimer', label: 'Disclaimer' },
+  { value: 'packshot', label: 'Packshot' },
+  { value: 'logo', label: 'Logo' },
+  { value: 'background', label: 'Background' },
+]
+
+/**
+ * Get the display label of a role
+ * @param {string|undefined} role - Role value
+ * @returns {string|null} Label, or null for objects without a known role
+ */
+export function getRoleLabel(role) {
+  return ROLES.find(entry => entry.value === role)?.label || null
+}
+
+/**
+ * Name a canvas element for the designer, e.g. Headline: "Fresh picks for..."
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {string} Role (or kind of element) and the start of its text
+ */
+export function describeElement(obj) {
+  const label = getRoleLabel(obj.role) ||
+    (obj.type === 'textbox' ? 'Text' : obj.type === 'image' ? 'Image' : obj.type === 'group' ? 'Group' : 'Shape')
+  return obj.text ? `${label}: "${obj.text.substring(0, 24)}${obj.text.length > 24 ? '...' : ''}"` : label
+}
+
+/**
+ * Give saved object JSON a role if it predates roles
+ * Objects were once marked only by name ('packshot' or 'background').
+ * @param {Object} objectData - Object JSON
+ * @returns {Object} The same JSON, or a copy with the role its name implies
+ */
+export function withLegacyRole(objectData) {
+  if (objectData.role || !getRoleLabel(objectData.name)) return objectData
+  return { ...objectData, role: objectData.name }
+}
@@ -1,22 +1,27 @@
 import { fabric } from 'fabric'
+import { redrawUnsafeZones, resolveUnsafeZone } from './unsafeZones'
 
 /**
  * Create a sample creative with pre-loaded violations for testing auto-fix
  * @param {Object} canvas - Fabric.js canvas instance
+ * The violations are placed by the rule pack's unsafe zones, so its rules must have loaded.
+ * @param {Object} rules - Retail rules providing the unsafe zones
  * @returns {Promise<void>}
  */
-export async function loadSampleCreative(canvas) {
+export async function loadSampleCreative(canvas, rules) {
   if (!canvas) {
     throw new Error('Canvas is not initialized')
   }
+  if (!rules) {
+    throw new Error('The retailer rules have not loaded yet')
+  }
 
   // Clear existing canvas
   canvas.clear()
   
   const width = canvas.width
   const height = canvas.height
-  const topUnsafeHeight = 200
-  const bottomUnsafeHeight = 250
+  const unsafeZone = resolveUnsafeZone(rules, width, height)
 
   // Set background color (light blue gradient effect)
   canvas.setBackgroundColor('#E3F2FD', () => {
@@ -33,6 +38,7 @@ export async function loadSampleCreative(canvas) {
     selectable: false,
     evented: false,
     name: 'background',
+    role: 'background',
   })
   canvas.add(backgroundRect)
   canvas.sendToBack(backgroundRect)
@@ -50,6 +56,7 @@ export async function loadSampleCreative(canvas) {
     rx: 10,
     ry: 10,
     name: 'packshot',
+    role: 'packshot',
   })
   canvas.add(packshotRect)
 
@@ -71,7 +78,7 @@ export async function loadSampleCreative(canvas) {
   // 3. HEADLINE - VIOLATION: Text in unsafe top zone + small font
   const headline = new fabric.Textbox('BEST PRICE GUARANTEED!', {
     left: width / 2,
-    top: 100, // VIOLATION: In unsafe top zone (< 200px)
+    top: unsafeZone.top / 2, // VIOLATION: In unsafe top zone
     width: width - 100,
     fontSize: 16, // VIOLATION: Font size < 20px
     fontFamily: 'Arial',
@@ -81,13 +88,14 @@ export async function loadSampleCreative(canvas) {
     originX: 'center',
     originY: 'top',
     name: 'headline',
+    role: 'headline',
   })
   canvas.add(headline)
 
   // 4. SUBHEADLINE - VIOLATION: Small font + prohibited claim
   const subheadline = new fabric.Textbox('Cheapest Deal Available Now', {
     left: width / 2,
-    top: 150, // VIOLATION: In unsafe top zone
+    top: unsafeZone.top * 0.75, // VIOLATION: In unsafe top zone
     width: width - 100,
     fontSize: 14, // VIOLATION: Font size < 20px
     fontFamily: 'Arial',
@@ -96,6 +104,7 @@ export async function loadSampleCreative(canvas) {
     originX: 'center',
     originY: 'top',
     name: 'subheadline',
+    role: 'subhead',
   })
   canvas.add(subheadline)
 
@@ -154,7 +163,7 @@ export async function loadSampleCreative(canvas) {
   // 8. BOTTOM TEXT - VIOLATION: Text in unsafe bottom zone
   const bottomText = new fabric.Textbox('Terms and conditions apply', {
     left: width / 2,
-    top: height - 200, // VIOLATION: In unsafe bottom zone (> height - 250px)
+    top: height - unsafeZone.bottom * 0.8, // VIOLATION: In unsafe bottom zone
     width: width - 100,
     fontSize: 12, // VIOLATION: Font size < 20px
     fontFamily: 'Arial',
@@ -167,62 +176,7 @@ export async function loadSampleCreative(canvas) {
   canvas.add(bottomText)
 
   // Redraw unsafe zone overlays
-  redrawUnsafeZones(canvas)
+  redrawUnsafeZones(canvas, rules)
   
   canvas.renderAll()
 }
-
-/**
- * Redraw unsafe zone overlays
- * @param {Object} canvas - Fabric.js canvas instance
- */
-function redrawUnsafeZones(canvas) {
-  const topUnsafeHeight = 200
-  const bottomUnsafeHeight = 250
-  const width = canvas.width
-  const height = canvas.height
-
-  // Remove existing overlays
-  const existingOverlays = canvas.getObjects().filter(
-    obj => obj.name === 'unsafeZoneTop' || obj.name === 'unsafeZoneBottom'
-  )
-  existingOverlays.forEach(overlay => canvas.remove(overlay))
-
-  // Top unsafe zone
-  const topUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: 0,
-    width: width,
-    height: topUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneTop',
-    excludeFromExport: true,
-  })
-
-  // Bottom unsafe zone
-  const bottomUnsafeZone = new fabric.Rect({
-    left: 0,
-    top: height - bottomUnsafeHeight,
-    width: width,
-    height: bottomUnsafeHeight,
-    fill: 'rgba(255, 0, 0, 0.3)',
-    stroke: '#FF0000',
-    strokeWidth: 2,
-    strokeDashArray: [5, 5],
-    selectable: false,
-    evented: false,
-    name: 'unsafeZoneBottom',
-    excludeFromExport: true,
-  })
-
-  canvas.add(topUnsafeZone)
-  canvas.add(bottomUnsafeZone)
-  canvas.sendToBack(topUnsafeZone)
-  canvas.sendToBack(bottomUnsafeZone)
-}
-
@@ -0,0 +1,67 @@
+/**
+ * Text Highlight Utilities
+ * Turns the matched terms of compliance issues into spans of a text object's copy
+ */
+
+const SEVERITY_RANK = { high: 2, medium: 1, low: 0 }
+
+/**
+ * Collect the matched-term spans that compliance issues report for one object
+ * Spans that no longer line up with the text (it was edited after the check) are dropped,
+ * and where spans overlap the most severe one is kept.
+ * Issues are matched to the object by its id, or by its index when either has no id.
+ * @param {Array} issues - Compliance issues from the API
+ * @param {number} objectIndex - Index of the object in the canvas objects
+ * @param {string} text - Current text of the object
+ * @param {string|null} objectId - Id of the object
+ * @returns {Array<Object>} Array of { start, end, text, severity, issueId } in text order
+ */
+export function getTextHighlights(issues, objectIndex, text = '', objectId = null) {
+  const spans = issues
+    // Issues with a longer path are about an object nested inside this one
+    .filter(issue => (issue.objectId && objectId
+      ? issue.objectId === objectId
+      : issue.objectIndex === objectIndex && (!issue.path || issue.path.length === 1)))
+    .filter(issue => Array.isArray(issue.matches))
+    .flatMap(issue => issue.matches.map(match => ({
+      start: match.start,
+      end: match.end,
+      text: match.text,
+      severity: issue.severity,
+      issueId: issue.id,
+    })))
+    .filter(span => span.end > span.start && text.slice(span.start, span.end) === span.text)
+    .sort((a, b) => (SEVERITY_RANK[b.severity] ?? 1) - (SEVERITY_RANK[a.severity] ?? 1) || a.start - b.start)
+
+  const kept = []
+  spans.forEach(span => {
+    if (!kept.some(other => span.start < other.end && span.end > other.start)) {
+      kept.push(span)
+    }
+  })
+  return kept.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Split text into plain and highlighted parts
+ * @param {string} text - Text to split
+ * @param {Array<Object>} highlights - Non-overlapping spans from getTextHighlights
+ * @returns {Array<Object>} Array of { text, highlight } where highlight is the span or null
+ */
+export function splitByHighlights(text, highlights) {
+  const parts = []
+  let position = 0
+
+  highlights.forEach(highlight => {
+    if (highlight.start > position) {
+      parts.push({ text: text.slice(position, highlight.start), highlight: null })
+    }
+    parts.push({ text: text.slice(highlight.start, highlight.end), highlight })
+    position = highlight.end
+  })
+
+  if (position < text.length) {
+    parts.push({ text: text.slice(position), highlight: null })
+  }
+  return parts
+}
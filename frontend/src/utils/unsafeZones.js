@@ -0,0 +1,81 @@
+import { fabric } from 'fabric'
+import { detectFormat } from './formats'
+import { resolveUnsafeZone as resolveRulesZone } from '../../../backend/unsafeZones.js'
+
+/**
+ * Unsafe Zone Utilities
+ * Resolves the selected rule pack's unsafe zones for the canvas and draws the overlays
+ *
+ * Zones are resolved by the backend's unsafeZones module against the canvas's own size, so the
+ * overlays match the zones the compliance checker enforces on the same canvas.
+ */
+
+const OVERLAY_NAMES = ['unsafeZoneTop', 'unsafeZoneBottom', 'unsafeZoneLeft', 'unsafeZoneRight']
+
+/**
+ * Resolve the unsafe zone of a canvas in pixels
+ * @param {Object|null} rules - Retail rules from the rules API
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} { format, top, bottom, left, right } in pixels, all 0 until the rules have loaded
+ */
+export function resolveUnsafeZone(rules, width, height) {
+  if (!rules) {
+    return { format: detectFormat(width, height), top: 0, bottom: 0, left: 0, right: 0 }
+  }
+  return resolveRulesZone(rules, width, height)
+}
+
+/**
+ * Check whether a canvas object is an unsafe zone overlay
+ * @param {Object} obj - Fabric.js object or object JSON
+ * @returns {boolean}
+ */
+export function isUnsafeZone(obj) {
+  return Boolean(obj) && OVERLAY_NAMES.includes(obj.name)
+}
+
+/**
+ * Remove the unsafe zone overlays from the canvas
+ * @param {Object} canvas - Fabric.js canvas instance
+ */
+export function removeUnsafeZones(canvas) {
+  canvas.getObjects().filter(isUnsafeZone).forEach(overlay => canvas.remove(overlay))
+}
+
+/**
+ * Redraw unsafe zone overlays
+ * @param {Object} canvas - Fabric.js canvas instance
+ * @param {Object|null} rules - Retail rules from the rules API
+ */
+export function redrawUnsafeZones(canvas, rules) {
+  const width = canvas.width
+  const height = canvas.height
+  const zone = resolveUnsafeZone(rules, width, height)
+
+  removeUnsafeZones(canvas)
+
+  const areas = [
+    { name: 'unsafeZoneTop', left: 0, top: 0, width, height: zone.top },
+    { name: 'unsafeZoneBottom', left: 0, top: height - zone.bottom, width, height: zone.bottom },
+    { name: 'unsafeZoneLeft', left: 0, top: 0, width: zone.left, height },
+    { name: 'unsafeZoneRight', left: width - zone.right, top: 0, width: zone.right, height },
+  ]
+
+  areas
+    .filter(area => area.width > 0 && area.height > 0)
+    .forEach(area => {
+      const overlay = new fabric.Rect({
+        ...area,
+        fill: 'rgba(255, 0, 0, 0.3)',
+        stroke: '#FF0000',
+        strokeWidth: 2,
+        strokeDashArray: [5, 5],
+        selectable: false,
+        evented: false,
+        excludeFromExport: true,
+      })
+      canvas.add(overlay)
+      canvas.sendToBack(overlay)
+    })
+}
@@ -1,10 +1,14 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
+    fs: {
+      // The unsafe zones are resolved by the backend's module, shared with the editor
+      allow: [searchForWorkspaceRoot(process.cwd()), '../backend/unsafeZones.js'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',